@@ -4,10 +4,46 @@
  * A tool to analyze specifications built with Spec-Up
  */
 
-const fetcher = require('./src/fetcher');
 const analyzer = require('./src/analyzer');
+const batch = require('./src/batch');
+const localSource = require('./src/localSource');
+const httpClient = require('./src/httpClient');
+const httpCache = require('./src/httpCache');
+const npmRegistry = require('./src/npmRegistry');
+const runHistory = require('./src/runHistory');
+const config = require('./src/config');
+const ci = require('./src/ci');
+const rules = require('./src/rules');
+const versionDiff = require('./src/versionDiff');
+const plugins = require('./src/plugins');
+const path = require('path');
 const chalk = require('chalk');
 
+// Supported report formats
+const FORMATS = ['html', 'json', 'markdown', 'sarif', 'junit'];
+
+// Formats a comparison of two runs can be written in
+const DIFF_FORMATS = ['html', 'json', 'markdown'];
+
+// Names of the formats in progress messages
+const FORMAT_LABELS = {
+  html: 'HTML',
+  json: 'JSON',
+  markdown: 'Markdown',
+  sarif: 'SARIF',
+  junit: 'JUnit XML'
+};
+
+/**
+ * Exit once everything written to stdout has been flushed
+ * A report piped to another program (e.g. `--format json | jq`) would be cut off by an immediate process.exit()
+ * @param {number} code - Exit code
+ */
+function exitWhenFlushed(code) {
+  process.exitCode = code;
+  process.stdout.write('', () => process.exit(code));
+}
+
 /**
  * Parse command line arguments
  * @returns {Object} Parsed arguments
@@ -15,19 +51,95 @@ const chalk = require('chalk');
 function parseArguments() {
   const args = {
     url: null,
-    html: true  // Always generate HTML reports
+    format: 'html', // HTML is the default report format
+    output: null,   // Output file for non-HTML formats (stdout when null)
+    batch: null,    // File with a list of URLs to analyze in batch mode
+    diff: null,     // Two saved JSON reports to compare
+    ci: false,      // Evaluate CI requirements and exit non-zero when they fail
+    config: null,   // Configuration file (.specalyzerrc in the working directory by default)
+    plugins: [],    // Plugin files or packages given with --plugin
+    concurrency: batch.DEFAULT_CONCURRENCY,
+    checkExternalLinks: true,
+    ref: null,      // Branch, tag or commit to read repository files from
+    compareVersions: null, // Archived versions to compare, e.g. "v2" or "v1..v2"
+    timeout: null,  // HTTP settings, client defaults when null
+    retries: null,
+    userAgent: null,
+    cache: true,
+    cacheMaxAge: null, // Seconds a cached response is used without revalidation
+    registry: null  // npm registry for build tool releases, npmRegistry.DEFAULT_REGISTRY when null
   };
   
   // Skip first two elements (node executable and script path)
   const cliArgs = process.argv.slice(2);
   
-  // Parse arguments - only look for URL, ignore other flags
+  // Parse arguments - the first positional argument is the URL
   for (let i = 0; i < cliArgs.length; i++) {
     const arg = cliArgs[i];
     
     if (arg === '--html') {
-      // Keep for backwards compatibility but it's always true
-      continue;
+      // Keep for backwards compatibility
+      args.format = 'html';
+    } else if (arg === '--format' || arg === '-f') {
+      args.format = cliArgs[++i];
+    } else if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length);
+    } else if (arg === '--output' || arg === '-o') {
+      args.output = cliArgs[++i];
+    } else if (arg.startsWith('--output=')) {
+      args.output = arg.slice('--output='.length);
+    } else if (arg === '--batch' || arg === '-b') {
+      args.batch = cliArgs[++i];
+    } else if (arg.startsWith('--batch=')) {
+      args.batch = arg.slice('--batch='.length);
+    } else if (arg === '--diff') {
+      args.diff = [cliArgs[++i], cliArgs[++i]];
+    } else if (arg === '--ci') {
+      args.ci = true;
+    } else if (arg === '--config') {
+      args.config = cliArgs[++i];
+    } else if (arg.startsWith('--config=')) {
+      args.config = arg.slice('--config='.length);
+    } else if (arg === '--plugin') {
+      args.plugins.push(cliArgs[++i]);
+    } else if (arg.startsWith('--plugin=')) {
+      args.plugins.push(arg.slice('--plugin='.length));
+    } else if (arg === '--concurrency') {
+      args.concurrency = parseInt(cliArgs[++i], 10);
+    } else if (arg.startsWith('--concurrency=')) {
+      args.concurrency = parseInt(arg.slice('--concurrency='.length), 10);
+    } else if (arg === '--branch' || arg === '--ref') {
+      args.ref = cliArgs[++i];
+    } else if (arg.startsWith('--branch=') || arg.startsWith('--ref=')) {
+      args.ref = arg.slice(arg.indexOf('=') + 1);
+    } else if (arg === '--compare-versions') {
+      args.compareVersions = cliArgs[++i];
+    } else if (arg.startsWith('--compare-versions=')) {
+      args.compareVersions = arg.slice('--compare-versions='.length);
+    } else if (arg === '--timeout') {
+      args.timeout = parseInt(cliArgs[++i], 10);
+    } else if (arg.startsWith('--timeout=')) {
+      args.timeout = parseInt(arg.slice('--timeout='.length), 10);
+    } else if (arg === '--retries') {
+      args.retries = parseInt(cliArgs[++i], 10);
+    } else if (arg.startsWith('--retries=')) {
+      args.retries = parseInt(arg.slice('--retries='.length), 10);
+    } else if (arg === '--user-agent') {
+      args.userAgent = cliArgs[++i];
+    } else if (arg.startsWith('--user-agent=')) {
+      args.userAgent = arg.slice('--user-agent='.length);
+    } else if (arg === '--no-cache') {
+      args.cache = false;
+    } else if (arg === '--cache-max-age') {
+      args.cacheMaxAge = parseInt(cliArgs[++i], 10);
+    } else if (arg.startsWith('--cache-max-age=')) {
+      args.cacheMaxAge = parseInt(arg.slice('--cache-max-age='.length), 10);
+    } else if (arg === '--registry') {
+      args.registry = cliArgs[++i];
+    } else if (arg.startsWith('--registry=')) {
+      args.registry = arg.slice('--registry='.length);
+    } else if (arg === '--skip-external-links') {
+      args.checkExternalLinks = false;
     } else if (!args.url) {
       args.url = arg;
     }
@@ -43,27 +155,196 @@ async function main() {
   // Parse arguments
   const args = parseArguments();
   
-  if (!args.url) {
+  if (!args.url && !args.batch && !args.diff) {
     console.error(chalk.red('❌ Error: Missing URL argument.'));
-    console.error(chalk.yellow('📖 Usage: npx specalyzer <url>'));
+    console.error(chalk.yellow('📖 Usage: npx specalyzer <url> [--format html|json|markdown|sarif|junit] [--output <file>]'));
+    console.error(chalk.yellow('📖        npx specalyzer --batch <file> [--concurrency <n>]'));
+    console.error(chalk.yellow('📖        npx specalyzer <url> --ci [--config <file>] [--output <file>]'));
+    console.error(chalk.yellow('📖        npx specalyzer --diff <before.json> <after.json> [--format html|json|markdown]'));
     console.error(chalk.cyan('📍 where <url> is either:'));
     console.error(chalk.cyan('  🌐 A URL to a deployed Spec-Up site (e.g., https://example.com/spec)'));
     console.error(chalk.cyan('  🐙 A GitHub repository URL (e.g., https://github.com/org/repo)'));
-    console.error(chalk.cyan('📍 The tool will automatically generate an HTML report.'));
+    console.error(chalk.cyan('  📁 A local directory with a built spec or a source checkout (e.g., ./docs or .)'));
+    console.error(chalk.cyan('📍 By default the tool generates an HTML report; use --format json for machine-readable output.'));
+    process.exit(1);
+  }
+
+  if (!FORMATS.includes(args.format)) {
+    console.error(chalk.red(`❌ Error: Unknown format "${args.format}". Supported formats: ${FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (args.diff && !(args.diff[0] && args.diff[1])) {
+    console.error(chalk.red('❌ Error: --diff needs two saved JSON reports: --diff <before.json> <after.json>'));
+    process.exit(1);
+  }
+
+  if (args.diff && !DIFF_FORMATS.includes(args.format)) {
+    console.error(chalk.red(`❌ Error: --diff supports the formats: ${DIFF_FORMATS.join(', ')}`));
     process.exit(1);
   }
 
+  if (args.ci && (args.batch || args.diff)) {
+    console.error(chalk.red('❌ Error: --ci analyzes a single spec and cannot be combined with --batch or --diff.'));
+    process.exit(ci.EXIT_CODES.ERROR);
+  }
+
+  if (args.batch && args.format !== 'html') {
+    console.error(chalk.red('❌ Error: Batch mode only supports the html format.'));
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+    console.error(chalk.red('❌ Error: --concurrency must be a positive integer.'));
+    process.exit(1);
+  }
+
+  if (args.timeout !== null && (!Number.isInteger(args.timeout) || args.timeout < 1)) {
+    console.error(chalk.red('❌ Error: --timeout must be a positive number of milliseconds.'));
+    process.exit(1);
+  }
+
+  if (args.retries !== null && (!Number.isInteger(args.retries) || args.retries < 0)) {
+    console.error(chalk.red('❌ Error: --retries must be zero or a positive integer.'));
+    process.exit(1);
+  }
+
+  if (args.cacheMaxAge !== null && (!Number.isInteger(args.cacheMaxAge) || args.cacheMaxAge < 0)) {
+    console.error(chalk.red('❌ Error: --cache-max-age must be zero or a positive number of seconds.'));
+    process.exit(1);
+  }
+
+  if (args.registry !== null && !/^https?:\/\/\S+$/.test(args.registry || '')) {
+    console.error(chalk.red('❌ Error: --registry must be an http(s) URL, e.g. https://registry.npmjs.org'));
+    process.exit(1);
+  }
+
+  let comparisons = null;
+  if (args.compareVersions !== null) {
+    try {
+      comparisons = versionDiff.parseComparisons(args.compareVersions || '');
+      if (!comparisons.length) throw new Error('--compare-versions needs at least one version, e.g. v2 or v1..v2');
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  httpClient.configure({
+    timeout: args.timeout,
+    retries: args.retries,
+    userAgent: args.userAgent
+  });
+  npmRegistry.configure({
+    registry: args.registry
+  });
+  httpCache.configure({
+    enabled: args.cache,
+    // CI runs revalidate every cached response unless a maximum age is given explicitly
+    maxAge: args.cacheMaxAge === null && args.ci ? 0 : args.cacheMaxAge
+  });
+
+  // When JSON or Markdown goes to stdout, send progress messages to stderr so stdout stays clean
+  if (args.format !== 'html' && !args.output) {
+    console.log = console.error;
+  }
+
+  // Load .specalyzerrc (or --config) and its plugins, and validate the parts used by this run
+  let loadedConfig;
+  let loadedPlugins = [];
+  let ciConfig = null;
+  try {
+    loadedConfig = config.loadConfig(args.config);
+    const configPlugins = loadedConfig.config.plugins || [];
+    if (!Array.isArray(configPlugins) || !configPlugins.every(specifier => typeof specifier === 'string')) {
+      throw new Error('plugins must be an array of file paths or package names');
+    }
+    // Plugins from the configuration file are resolved relative to that file
+    loadedPlugins = plugins.loadPlugins(configPlugins, loadedConfig.path ? path.dirname(loadedConfig.path) : process.cwd());
+    loadedPlugins = plugins.loadPlugins(args.plugins, process.cwd(), loadedPlugins);
+    rules.resolveRuleSettings(loadedConfig.config.rules);
+    if (args.ci) {
+      ciConfig = ci.resolveCiConfig(loadedConfig.config.ci);
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(args.ci ? ci.EXIT_CODES.ERROR : 1);
+  }
+
   // Version info
+  const analysisOptions = {
+    checkExternalLinks: args.checkExternalLinks,
+    ref: args.ref,
+    compareVersions: comparisons,
+    rules: loadedConfig.config.rules,
+    plugins: loadedPlugins
+  };
+
   const pkgJson = require('./package.json');
   const version = pkgJson.version || '1.0.0';
   console.log(chalk.blue(`ℹ️  Specalyzer v${version}`));
 
-  const normalizedUrl = fetcher.normalizeUrl(args.url);
+  if (args.diff) {
+    try {
+      console.log(chalk.magenta(`🔁 Comparing ${args.diff[0]} with ${args.diff[1]}\n`));
+      const filePath = await runHistory.generateDiffReport(args.diff[0], args.diff[1], version, {
+        format: args.format,
+        output: args.output
+      });
+      if (filePath) {
+        console.log(chalk.green(`\n✅ Comparison report generated: ${filePath}`));
+      }
+      return exitWhenFlushed(0);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (args.batch) {
+    try {
+      console.log(chalk.magenta(`📋 Batch analysis of: ${args.batch}\n`));
+      const filePath = await batch.generateBatchReport(args.batch, version, {
+        concurrency: args.concurrency,
+        analysis: analysisOptions
+      });
+      console.log(chalk.green(`\n✅ Batch dashboard generated and opened in your default browser: ${filePath}`));
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  // A local directory is analyzed from disk, anything else is treated as a URL
+  const normalizedUrl = localSource.resolveTarget(args.url);
   console.log(chalk.magenta(`🔍 Analyzing: ${normalizedUrl}\n`));
 
+  if (args.ci) {
+    console.log(chalk.blue(loadedConfig.path ? `⚙️  Using configuration: ${loadedConfig.path}` : '⚙️  No configuration file found, failing on check errors only'));
+    try {
+      const evaluation = await analyzer.runCiCheck(normalizedUrl, version, ciConfig, args.output, { ...analysisOptions, format: args.format });
+      ci.printSummary(evaluation);
+      return exitWhenFlushed(evaluation.passed ? ci.EXIT_CODES.PASSED : ci.EXIT_CODES.FAILED);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      process.exit(ci.EXIT_CODES.ERROR);
+    }
+  }
+
   try {
+    if (args.format !== 'html') {
+      const label = FORMAT_LABELS[args.format];
+      console.log(chalk.yellow(`⏳ Generating ${label} report…`));
+      const filePath = await analyzer.generateFileReport(normalizedUrl, version, args.format, args.output, analysisOptions);
+      if (filePath) {
+        console.log(chalk.green(`\n✅ ${label} report generated: ${filePath}`));
+      }
+      return exitWhenFlushed(0);
+    }
+
     console.log(chalk.yellow('⏳ Generating HTML report…'));
-    const filePath = await analyzer.generateHtmlReport(normalizedUrl, version);
+    const filePath = await analyzer.generateHtmlReport(normalizedUrl, version, analysisOptions);
     console.log(chalk.green(`\n✅ HTML report generated and opened in your default browser: ${filePath}`));
     console.log(chalk.blue('💡 TIP: You can share this HTML file with others or save it for reference.'));
     
@@ -0,0 +1,277 @@
+/**
+ * Accessibility module
+ * Audits the rendered spec offline, from its DOM: page language, text alternatives of images,
+ * table headers, link texts, form labels and heading order
+ */
+
+// Audit categories, in the order they are reported
+const CATEGORY = {
+  LANGUAGE: 'language',
+  IMAGES: 'images',
+  TABLES: 'tables',
+  LINKS: 'links',
+  FORMS: 'forms',
+  HEADINGS: 'headings'
+};
+
+// Link texts that say nothing about where the link goes
+const NON_DESCRIPTIVE_LINK_TEXTS = [
+  'click here', 'here', 'click', 'more', 'read more', 'learn more', 'more info', 'info',
+  'link', 'this', 'this link', 'this page', 'go', 'details', 'see here', 'page'
+];
+
+// Form controls that need no label of their own
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+// Loose check of a BCP 47 language tag, e.g. en, en-US, zh-Hant-TW
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Collapse whitespace in a text
+ * @param {*} text - Text to clean; anything but a string counts as empty
+ * @returns {string} Trimmed text on one line, or an empty string
+ */
+function cleanText(text) {
+  return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Check whether an element is hidden from assistive technology
+ * @param {Element} el - Element to check
+ * @returns {boolean} Whether it or an ancestor is hidden
+ */
+function isHidden(el) {
+  return !!el.closest('[hidden], [aria-hidden="true"], template, noscript');
+}
+
+/**
+ * Compute a simplified accessible name: aria-labelledby, aria-label, text with image alternatives, then title
+ * @param {Element} el - Element to name
+ * @returns {string} The name, or an empty string
+ */
+function accessibleName(el) {
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => el.ownerDocument.getElementById(id))
+    .filter(Boolean)
+    .map(label => cleanText(label.textContent))
+    .join(' ');
+  if (labelledBy) return labelledBy;
+
+  const label = cleanText(el.getAttribute('aria-label'));
+  if (label) return label;
+
+  // Text content, with images replaced by their alt text
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll('img[alt]').forEach(img => img.replaceWith(` ${img.getAttribute('alt')} `));
+  clone.querySelectorAll('[aria-hidden="true"]').forEach(hidden => hidden.remove());
+  const text = cleanText(clone.textContent);
+  if (text) return text;
+
+  return cleanText(el.getAttribute('title'));
+}
+
+/**
+ * Describe an element for a finding, e.g. img#logo or a[href="#intro"]
+ * @param {Element} el - Element to describe
+ * @returns {string} Short selector-like description
+ */
+function describeElement(el) {
+  const tag = el.tagName.toLowerCase();
+  if (el.id) return `${tag}#${el.id}`;
+  for (const attribute of ['src', 'href', 'name', 'type']) {
+    const value = el.getAttribute(attribute);
+    if (value) {
+      const shortened = value.length > 60 ? `${value.slice(0, 60)}…` : value;
+      return `${tag}[${attribute}="${shortened}"]`;
+    }
+  }
+  return tag;
+}
+
+/**
+ * Check the language of the page
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkLanguage(document) {
+  const lang = cleanText(document.documentElement.getAttribute('lang'));
+  if (!lang) {
+    return [{ category: CATEGORY.LANGUAGE, message: 'The <html> element has no lang attribute', element: 'html', id: null }];
+  }
+  if (!LANGUAGE_TAG.test(lang)) {
+    return [{ category: CATEGORY.LANGUAGE, message: `The lang attribute "${lang}" is not a valid language tag`, element: 'html', id: null }];
+  }
+  return [];
+}
+
+/**
+ * Find images without a text alternative; alt="" marks a decorative image and is accepted
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkImages(document) {
+  const findings = [];
+  for (const img of document.querySelectorAll('img, input[type="image" i], area[href]')) {
+    if (isHidden(img) || img.getAttribute('role') === 'presentation' || img.getAttribute('role') === 'none') continue;
+    if (img.hasAttribute('alt') && (img.tagName === 'IMG' || cleanText(img.getAttribute('alt')))) continue;
+    if (cleanText(img.getAttribute('aria-label')) || img.hasAttribute('aria-labelledby')) continue;
+    findings.push({ category: CATEGORY.IMAGES, message: `${describeElement(img)} has no alt text`, element: describeElement(img), id: img.id || null });
+  }
+  for (const svg of document.querySelectorAll('svg[role="img"]')) {
+    if (isHidden(svg) || accessibleName(svg) || svg.querySelector('title')) continue;
+    findings.push({ category: CATEGORY.IMAGES, message: `${describeElement(svg)} has role="img" but no accessible name`, element: describeElement(svg), id: svg.id || null });
+  }
+  return findings;
+}
+
+/**
+ * Find data tables without header cells; layout tables (role="presentation") are skipped
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkTables(document) {
+  const findings = [];
+  for (const table of document.querySelectorAll('table')) {
+    if (isHidden(table) || ['presentation', 'none'].includes(table.getAttribute('role'))) continue;
+    const hasHeaders = [...table.querySelectorAll('th, [role="columnheader"], [role="rowheader"]')]
+      .some(cell => cell.closest('table') === table);
+    if (!hasHeaders) {
+      findings.push({ category: CATEGORY.TABLES, message: `${describeElement(table)} has no header cells (<th>)`, element: describeElement(table), id: table.id || null });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Find links without text and links whose text does not describe their target
+ * Links with the same non-descriptive text, such as heading anchors, are reported together
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkLinks(document) {
+  const findings = [];
+  const vague = new Map();
+
+  for (const link of document.querySelectorAll('a[href]')) {
+    if (isHidden(link)) continue;
+    const name = accessibleName(link);
+    const normalized = name.toLowerCase().replace(/[.:!…]+$/, '');
+
+    if (!name) {
+      findings.push({ category: CATEGORY.LINKS, message: `${describeElement(link)} has no text`, element: describeElement(link), id: link.id || null });
+    } else if (NON_DESCRIPTIVE_LINK_TEXTS.includes(normalized) || !/[\p{L}\p{N}]/u.test(name)) {
+      if (!vague.has(name)) vague.set(name, []);
+      vague.get(name).push(link);
+    }
+  }
+
+  for (const [text, links] of vague) {
+    findings.push({
+      category: CATEGORY.LINKS,
+      message: links.length === 1
+        ? `${describeElement(links[0])} has the non-descriptive text "${text}"`
+        : `${links.length} links have the non-descriptive text "${text}"`,
+      element: describeElement(links[0]),
+      id: links[0].id || null
+    });
+  }
+  return findings;
+}
+
+/**
+ * Escape a value for use in a double-quoted CSS attribute selector
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return value.replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Find form controls without a label
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkForms(document) {
+  const findings = [];
+  for (const control of document.querySelectorAll('input, select, textarea')) {
+    if (isHidden(control)) continue;
+    if (control.tagName === 'INPUT' && UNLABELLED_INPUT_TYPES.includes((control.getAttribute('type') || '').toLowerCase())) continue;
+
+    const labelled = control.closest('label') ||
+      (control.id && document.querySelector(`label[for="${escapeAttribute(control.id)}"]`)) ||
+      cleanText(control.getAttribute('aria-label')) ||
+      control.hasAttribute('aria-labelledby') ||
+      cleanText(control.getAttribute('title'));
+    if (!labelled) {
+      const placeholder = cleanText(control.getAttribute('placeholder'));
+      findings.push({
+        category: CATEGORY.FORMS,
+        message: `${describeElement(control)} has no label${placeholder ? ' (a placeholder is not a label)' : ''}`,
+        element: describeElement(control),
+        id: control.id || null
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Check the headings: an h1 first and no empty headings
+ * Skipped heading levels are reported by the structure check (structure.js), not here
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Findings
+ */
+function checkHeadings(document) {
+  const findings = [];
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(h => !isHidden(h));
+  const finding = (message, heading) => ({
+    category: CATEGORY.HEADINGS,
+    message,
+    element: heading ? describeElement(heading) : 'body',
+    id: heading ? heading.id || null : null
+  });
+
+  if (!headings.length) {
+    return [finding('The page has no headings', null)];
+  }
+  if (headings[0].tagName !== 'H1') {
+    findings.push(finding(`The first heading is an ${headings[0].tagName.toLowerCase()}, not an h1`, headings[0]));
+  }
+
+  for (const heading of headings) {
+    if (!accessibleName(heading)) {
+      findings.push(finding(`${describeElement(heading)} is empty`, heading));
+    }
+  }
+  return findings;
+}
+
+/**
+ * Audit the accessibility of a rendered spec
+ * @param {Document} document - The parsed spec document
+ * @returns {{findings: Array<{category: string, message: string, element: string, id: string|null}>, counts: Object<string, number>, total: number}} Findings and their number per category
+ */
+function auditAccessibility(document) {
+  const findings = [
+    ...checkLanguage(document),
+    ...checkImages(document),
+    ...checkTables(document),
+    ...checkLinks(document),
+    ...checkForms(document),
+    ...checkHeadings(document)
+  ];
+
+  const counts = {};
+  for (const category of Object.values(CATEGORY)) {
+    counts[category] = findings.filter(finding => finding.category === category).length;
+  }
+
+  return { findings, counts, total: findings.length };
+}
+
+module.exports = {
+  CATEGORY,
+  cleanText,
+  auditAccessibility
+};
@@ -8,23 +8,72 @@ const repoUrl = require('./repoUrl');
 const reporter = require('./reporter');
 const formatter = require('./formatter');
 const versionCheck = require('./versionCheck');
+const versionDiff = require('./versionDiff');
+const pdfInspect = require('./pdfInspect');
+const specMetadata = require('./specMetadata');
+const lockfile = require('./lockfile');
+const npmRegistry = require('./npmRegistry');
 const specupVersion = require('./specupVersion');
+const linkCheck = require('./linkCheck');
+const structure = require('./structure');
+const accessibility = require('./accessibility');
+const terminology = require('./terminology');
+const externalRefs = require('./externalRefs');
+const specsJson = require('./specsJson');
+const github = require('./github');
+const localSource = require('./localSource');
+const { JSDOM } = require('jsdom');
+const path = require('path');
+const chalk = require('chalk');
+const { pathToFileURL } = require('url');
 // Import the HTML reporter module
 const htmlReporter = require('./htmlReporter');
+const jsonReporter = require('./jsonReporter');
+const markdownReporter = require('./markdownReporter');
+const sarifReporter = require('./sarifReporter');
+const junitReporter = require('./junitReporter');
+const runHistory = require('./runHistory');
+const trends = require('./trends');
+const ci = require('./ci');
+const rules = require('./rules');
+const plugins = require('./plugins');
 
 /**
- * Fetch and analyze HTML to extract repo URL
+ * Fetch the rendered index.html of a spec site
+ * @param {string} url - URL of the spec site
+ * @returns {Promise<{html: string|null, error: Error|null}>} The HTML (null for GitHub repository URLs and failed fetches) and the fetch error
+ */
+async function fetchSpecHtml(url) {
+  // A GitHub repository URL has no rendered spec to fetch
+  if (url.includes('github.com')) {
+    return { html: null, error: null };
+  }
+  
+  try {
+    return { html: await fetcher.fetchIndexHtml(url), error: null };
+  } catch (error) {
+    return { html: null, error };
+  }
+}
+
+/**
+ * Analyze HTML to extract repo URL
  * @param {string} url - URL to analyze
+ * @param {string|null} html - The rendered index.html, if available
  * @returns {Promise<Object|string>} Repository URL
  */
-async function fetchAndAnalyzeHtml(url) {
+async function fetchAndAnalyzeHtml(url, html) {
   // Check if the URL is already a GitHub repo URL
   if (url.includes('github.com')) {
     return url; // If it's already a GitHub URL, return it directly
   }
   
+  // If we can't fetch the HTML, assume the URL is the repo itself
+  if (!html) {
+    return url;
+  }
+  
   try {
-    const html = await fetcher.fetchIndexHtml(url);
     const repo = specConfig.extractRepoUrlFromSpecConfig(html);
     
     if (!repo) {
@@ -47,94 +96,268 @@ async function fetchAndAnalyzeHtml(url) {
       return url;
     }
   } catch (error) {
-    // If we can't fetch the HTML, assume the URL is the repo itself
+    // If we can't parse the HTML, assume the URL is the repo itself
     return url;
   }
 }
 
 /**
- * Check for PDF and print status
- * @param {string} url - URL to check
- * @returns {Promise<void>}
+ * Decide which git refs repository files are read from
+ * An explicit ref wins; otherwise the default branch is asked from the GitHub API,
+ * falling back to trying main and master
+ * @param {string} repoUrlString - Repository URL
+ * @param {Object} options - Analysis options
+ * @param {string} [options.ref] - Explicit branch, tag or commit
+ * @returns {Promise<{candidates: string[], source: string, error: Error|null}>} Refs to try and how they were chosen
  */
-async function checkAndPrintPdfStatus(url) {
+async function resolveRefs(repoUrlString, options = {}) {
+  if (options.ref) {
+    return { candidates: [options.ref], source: 'option', error: null };
+  }
+  
   try {
-    const exists = await fetcher.checkIndexPdf(url);
-    // reporter.printPdfStatus(exists); // Removed console reporting
+    const branch = await github.getDefaultBranch(repoUrlString);
+    return { candidates: [branch], source: 'github-api', error: null };
   } catch (error) {
-    // reporter.printPdfStatus(false, error); // Removed console reporting
+    return { candidates: specupVersion.DEFAULT_BRANCHES, source: 'fallback', error };
   }
 }
 
 /**
- * Analyze a specification site
- * @param {string} normalizedUrl - The normalized URL to analyze
+ * Fetch a JSON file from the source repository, trying each candidate ref in turn
+ * @param {string} repoUrlString - Repository URL
+ * @param {string} fileName - Path of the file inside the repository
+ * @param {Array<string>} refs - Branches, tags or commits to try, in order
+ * @returns {Promise<{data: Object, ref: string}>} The parsed JSON and the ref it was read from
+ */
+async function fetchRepoJson(repoUrlString, fileName, refs) {
+  // Get possible URLs for the file (one per ref)
+  const urls = specupVersion.getRawFileUrls(repoUrlString, fileName, refs);
+  
+  if (!urls || urls.length === 0) {
+    throw new Error(`Could not construct raw ${fileName} URL from repo URL.`);
+  }
+  
+  // Try each URL in sequence until one works
+  let lastError = null;
+  for (let i = 0; i < urls.length; i++) {
+    try {
+      const data = await fetcher.fetchJsonFile(urls[i]);
+      return { data, ref: refs[i] };
+    } catch (err) {
+      // Store the error and try the next URL
+      lastError = err;
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Fetch a text file from the source repository, trying each candidate ref in turn like fetchRepoJson
+ * @param {string} repoUrlString - Repository URL
+ * @param {string} fileName - Path of the file inside the repository
+ * @param {Array<string>} refs - Branches, tags or commits to try, in order
+ * @returns {Promise<string|null>} The file content, or null if it exists at none of the refs
+ */
+async function fetchRepoText(repoUrlString, fileName, refs) {
+  const urls = specupVersion.getRawFileUrls(repoUrlString, fileName, refs);
+  if (!urls || urls.length === 0) return null;
+
+  // A missing file moves on to the next ref; an error is only thrown when no ref has the file
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      const text = await fetcher.fetchTextFile(url);
+      if (text !== null) return text;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (lastError) throw lastError;
+  return null;
+}
+
+/**
+ * Get the title of the spec from its index.html
+ * @param {Document|null} document - The parsed spec document
+ * @returns {string|null} The page title, or the first h1 when there is none
+ */
+function getSpecTitle(document) {
+  if (!document) return null;
+  const h1 = document.querySelector('h1');
+  const title = (document.title || (h1 && h1.textContent) || '').replace(/\s+/g, ' ').trim();
+  return title || null;
+}
+
+/**
+ * Analyze a specification site, or a spec directory on disk
+ * @param {string} normalizedUrl - The normalized URL, or absolute path of a local directory, to analyze
  * @param {Object} options - Analysis options
  * @returns {Promise<Object>} Analysis results
  */
 async function analyzeSpec(normalizedUrl, options = {}) {
   const result = {
+    localPath: null, // Set when a local directory is analyzed instead of a deployed site
     repo: null,
+    ref: null, // Git ref (branch, tag or commit) that repository files were read from
     pdfExists: false,
     pdfError: null,
+    pdfUrl: null, // URL of index.pdf (a file: URL for a local spec)
+    pdfInfo: null, // Inspection of index.pdf and its comparison with index.html, see pdfInspect.js
+    pdfInspectError: null,
     specUpVersion: null,
     isUsingSpecUp: false, // New field for spec-up (original) detection
     specUpOriginalVersion: null, // Version if using original spec-up
+    buildToolError: null,
+    buildToolLock: null, // Exact version from the repository's lockfile, see lockfile.js
+    buildToolLockError: null,
+    buildToolUpdate: null, // Comparison with the latest release in the npm registry, see npmRegistry.js
+    buildToolUpdateError: null,
     versionInfo: null,
+    linkCheck: null,
+    linkCheckError: null,
+    structure: null, // Heading outline, table of contents and duplicate ids, see structure.js
+    structureError: null,
+    accessibility: null, // Offline accessibility audit of the page, see accessibility.js
+    accessibilityError: null,
+    terminology: null,
+    terminologyError: null,
+    specsJson: null,
+    specsJsonError: null,
+    specsJsonValidation: null,
+    externalRefs: null,
+    externalRefsError: null,
+    htmlFound: false, // Whether the rendered index.html could be read
+    htmlError: null, // Error fetching index.html, if any
+    metadata: null, // Title, description, authors, ... from specConfig and the document, see specMetadata.js
+    metadataError: null,
     lastModified: null,
+    lastModifiedError: null,
+    versionInfoError: null,
+    versionDiffs: null, // Content comparisons of archived versions, see versionDiff.js
+    versionDiffsError: null,
     headers: null,
+    ruleResults: null, // Findings per rule, see rules.js
+    pluginCards: [], // Report cards (HTML) contributed by plugins
     error: null
   };
   
+  // Raw inputs handed to plugin rules and cards, filled in as they become available
+  const context = {
+    url: normalizedUrl,
+    document: null,
+    specConfig: null,
+    packageJson: null,
+    specsJson: null,
+    headers: null
+  };
+  
   try {
+    // A local directory is read from disk, without network access: steps that need it are skipped
+    const layout = localSource.detectLayout(normalizedUrl);
+    result.localPath = layout ? layout.root : null;
+    const offline = !!layout;
+    
     // Get the last modified date
     try {
-      const lastModifiedInfo = await fetcher.getLastModified(normalizedUrl);
+      const lastModifiedInfo = layout
+        ? localSource.getLastModified(layout)
+        : await fetcher.getLastModified(normalizedUrl);
       result.lastModified = lastModifiedInfo.date;
       result.headers = lastModifiedInfo.headers;
     } catch (error) {
       // Do not log to console, allow HTML report to show this
+      result.lastModifiedError = error;
     }
     
     // Fetch and analyze HTML
-    const repo = await fetchAndAnalyzeHtml(normalizedUrl);
+    let html;
+    if (layout) {
+      html = localSource.readIndexHtml(layout);
+    } else {
+      const fetched = await fetchSpecHtml(normalizedUrl);
+      html = fetched.html;
+      result.htmlError = fetched.error;
+    }
+    result.htmlFound = !!html;
+    const document = html ? new JSDOM(html).window.document : null;
+    context.document = document;
+    context.specConfig = document ? specConfig.getSpecConfig(document) : null;
+    if (document) {
+      // Relative logo and favicon URLs resolve against the page
+      const pageUrl = layout ? pathToFileURL(`${layout.outputDir}/`).href : `${normalizedUrl}/`;
+      try {
+        result.metadata = specMetadata.extractMetadata(document, context.specConfig, pageUrl);
+      } catch (metadataError) {
+        result.metadataError = metadataError;
+      }
+    }
+    const repo = layout
+      ? (html && specConfig.extractRepoUrlFromSpecConfig(html)) || localSource.findRepoUrl(layout) || layout.root
+      : await fetchAndAnalyzeHtml(normalizedUrl, html);
     result.repo = repo;
     
-    // Check PDF existence
+    // Download index.pdf and inspect it
     try {
-      const exists = await fetcher.checkIndexPdf(normalizedUrl);
-      result.pdfExists = exists;
+      const pdf = layout ? localSource.readIndexPdf(layout) : await fetcher.fetchIndexPdf(normalizedUrl);
+      result.pdfExists = !!pdf;
+      if (pdf) {
+        result.pdfUrl = layout
+          ? pathToFileURL(path.join(layout.outputDir, 'index.pdf')).href
+          : `${normalizedUrl}/index.pdf`;
+        try {
+          const inspection = pdfInspect.inspectPdf(pdf);
+          result.pdfInfo = {
+            ...inspection,
+            ...pdfInspect.compareWithSpec(inspection, { title: getSpecTitle(document), lastModified: result.lastModified })
+          };
+        } catch (inspectError) {
+          result.pdfInspectError = inspectError;
+        }
+      }
     } catch (pdfError) {
-      result.pdfError = pdfError;
+      if (pdfError.code === 'EBODYTOOLARGE') {
+        // The PDF exists, it is only too large to inspect
+        result.pdfExists = true;
+        result.pdfUrl = `${normalizedUrl}/index.pdf`;
+        result.pdfInspectError = pdfError;
+      } else {
+        result.pdfError = pdfError;
+      }
     }
     
     // Get and print spec-up-t version
     const repoUrlString = repoUrl.getRepoUrlString(repo);
+    const fromCheckout = !!(layout && layout.sourceDir);
     
-    try {
-      // Get possible URLs for package.json (main and master branches)
-      const pkgUrls = specupVersion.getRawPackageJsonUrls(repoUrlString);
-      
-      if (!pkgUrls || pkgUrls.length === 0) {
-        throw new Error('Could not construct raw package.json URL from repo URL.');
-      }
-      
-      // Try each URL in sequence until one works
-      let pkg = null;
-      let lastError = null;
-      
-      for (const pkgUrl of pkgUrls) {
-        try {
-          pkg = await fetcher.fetchPackageJson(pkgUrl);
-          // If we got here, we successfully fetched the package.json
-          break;
-        } catch (err) {
-          // Store the error and try the next URL
-          lastError = err;
-        }
+    // Decide which branch/ref to read repository files from (a local directory needs no ref)
+    const refs = layout
+      ? { candidates: [], source: 'local', error: null }
+      : await resolveRefs(repoUrlString, options);
+    result.ref = {
+      name: refs.source === 'fallback' || refs.source === 'local' ? null : refs.candidates[0],
+      source: refs.source,
+      error: refs.error
+    };
+    
+    // Read repository files from the local checkout, or from GitHub at the resolved ref
+    const readRepoJson = async (fileName, candidates) => {
+      if (fromCheckout) {
+        return { data: localSource.readJson(layout.sourceDir, fileName), ref: null };
       }
-      
-      if (pkg) {
+      return fetchRepoJson(repoUrlString, fileName, candidates);
+    };
+    
+    // A build output folder without its source checkout has no package.json or specs.json to read
+    const hasRepoFiles = !layout || fromCheckout;
+    
+    if (hasRepoFiles) {
+      try {
+        const { data: pkg, ref } = await readRepoJson('package.json', refs.candidates);
+        result.ref.name = ref;
+        context.packageJson = pkg;
+        
         // Check if using original spec-up
         const isUsingSpecUp = specupVersion.isUsingSpecUp(pkg);
         result.isUsingSpecUp = isUsingSpecUp;
@@ -148,19 +371,112 @@ async function analyzeSpec(normalizedUrl, options = {}) {
           const version = specupVersion.getSpecUpTVersionFromPackageJson(pkg);
           result.specUpVersion = version;
         }
+        
+        // Resolve the exact installed version from a lockfile next to package.json, on the same ref first
+        const declared = isUsingSpecUp ? result.specUpOriginalVersion : result.specUpVersion;
+        const packageName = isUsingSpecUp ? 'spec-up' : 'spec-up-t';
+        if (declared) {
+          try {
+            const readLockfile = fileName => fromCheckout
+              ? localSource.readText(layout.sourceDir, fileName)
+              : fetchRepoText(repoUrlString, fileName, [ref, ...refs.candidates.filter(candidate => candidate !== ref)]);
+            result.buildToolLock = await lockfile.findLockedVersion(readLockfile, packageName, declared);
+          } catch (lockError) {
+            result.buildToolLockError = lockError;
+          }
+          
+          // Compare with the latest release in the npm registry
+          if (!offline) {
+            try {
+              const installed = result.buildToolLock ? result.buildToolLock.version : declared;
+              result.buildToolUpdate = await npmRegistry.checkForUpdates(packageName, installed);
+            } catch (updateError) {
+              result.buildToolUpdateError = updateError;
+            }
+          }
+        }
+      } catch (versionError) {
+        // Version error will be shown in the report
+        result.buildToolError = versionError;
+      }
+      
+      // Get specs.json (Spec-Up configuration) from the repository
+      try {
+        // Prefer the ref package.json was found on, so both files come from the same branch
+        const candidates = result.ref.name ? [result.ref.name] : refs.candidates;
+        const { data, ref } = await readRepoJson('specs.json', candidates);
+        result.specsJson = data;
+        result.ref.name = result.ref.name || ref;
+        result.specsJsonValidation = specsJson.validateSpecsJson(result.specsJson);
+      } catch (specsJsonError) {
+        result.specsJsonError = specsJsonError;
       }
-    } catch (versionError) {
-      // Version error will be shown in HTML report
     }
     
     // Check for versions directory and count version subdirectories
     try {
-      const versionInfo = await versionCheck.checkVersions(normalizedUrl);
+      const versionInfo = layout
+        ? localSource.listVersions(layout)
+        : await versionCheck.checkVersions(normalizedUrl, { document, repoUrl: repoUrlString });
       result.versionInfo = versionInfo;
     } catch (versionError) {
-      // Version check error will be shown in HTML report
+      // Version check error will be shown in the report
+      result.versionInfoError = versionError;
+    }
+    
+    // Compare the content of the selected archived versions
+    if (options.compareVersions && !result.versionInfo) {
+      result.versionDiffsError = new Error('Versions not compared: the archived versions could not be determined');
+      console.log(chalk.yellow(`⚠️  ${result.versionDiffsError.message}`));
+    } else if (options.compareVersions) {
+      try {
+        result.versionDiffs = await versionDiff.compareVersions(options.compareVersions, result.versionInfo, document);
+      } catch (versionDiffsError) {
+        result.versionDiffsError = versionDiffsError;
+      }
+    }
+    
+    // Check internal anchors and external links in the rendered spec
+    if (document) {
+      try {
+        const baseUrl = layout ? localSource.getBaseUrl(layout) : normalizedUrl;
+        result.linkCheck = await linkCheck.checkLinks(document, baseUrl, {
+          checkExternalLinks: offline ? false : options.checkExternalLinks
+        });
+      } catch (linkError) {
+        result.linkCheckError = linkError;
+      }
+      
+      // Validate the heading outline, table of contents and ids
+      try {
+        result.structure = structure.analyzeStructure(document);
+      } catch (structureError) {
+        result.structureError = structureError;
+      }
+      
+      // Audit the accessibility of the page
+      try {
+        result.accessibility = accessibility.auditAccessibility(document);
+      } catch (accessibilityError) {
+        result.accessibilityError = accessibilityError;
+      }
+      
+      // Analyze term definitions and references
+      try {
+        result.terminology = terminology.analyzeTerminology(document);
+      } catch (terminologyError) {
+        result.terminologyError = terminologyError;
+      }
+      
+      // Verify that external term references exist in the referenced specs
+      try {
+        result.externalRefs = await externalRefs.checkExternalReferences(document, result.specsJson, { fetchSpecs: !offline });
+      } catch (externalRefsError) {
+        result.externalRefsError = externalRefsError;
+      }
     }
     
+    finishAnalysis(result, context, options);
     return result;
   } catch (error) {
     result.error = error;
@@ -169,28 +485,69 @@ async function analyzeSpec(normalizedUrl, options = {}) {
       process.exit(1);
     }
     
+    finishAnalysis(result, context, options);
     return result;
   }
 }
 
 /**
- * Generate HTML report for spec analysis
- * @param {string} normalizedUrl - The normalized URL to analyze
- * @param {string} version - Specalyzer version
- * @returns {Promise<string>} Path to generated HTML file
+ * Run the rules and plugin cards over the collected data
+ * @param {Object} result - Result object from analyzeSpec
+ * @param {Object} context - Plugin context
+ * @param {Object} options - Analysis options
+ */
+function finishAnalysis(result, context, options) {
+  context.headers = result.headers;
+  context.specsJson = result.specsJson;
+  result.ruleResults = rules.runRules(result, options.rules, context);
+  result.pluginCards = plugins.buildPluginCards(options.plugins || [], context);
+}
+
+/**
+ * Build the report card sections for an analysis result
+ * @param {Object} result - Result object from analyzeSpec
+ * @returns {string} HTML string containing all card sections
  */
-async function generateHtmlReport(normalizedUrl, version) {
-  const result = await analyzeSpec(normalizedUrl, { htmlOnly: true, suppressExit: true });
+function buildReportSections(result) {
+  let html = '';
   
-  // Generate HTML parts
-  let html = htmlReporter.generateHtmlBoilerplate('Specalyzer Report', normalizedUrl);
+  // Changes since the previous run
+  if (result.changes) {
+    html += htmlReporter.createCardSection(
+      'Changes Since Previous Run',
+      htmlReporter.formatRunDiff(result.changes),
+      result.changes.summary.regressions ? 'warning' : 'success',
+      'bi-arrow-left-right'
+    );
+  }
+  
+  // Findings of all rules
+  if (result.ruleResults) {
+    const findingCount = result.ruleResults.reduce((sum, rule) => sum + rule.findings.length, 0);
+    html += htmlReporter.createCardSection(
+      'Findings',
+      htmlReporter.formatFindings(result.ruleResults),
+      result.ruleResults.some(rule => rule.status === 'error') ? 'danger' : (findingCount ? 'warning' : 'success'),
+      'bi-list-check'
+    );
+  }
+  
+  // Spec metadata section
+  if (result.metadata || result.metadataError) {
+    html += htmlReporter.createCardSection(
+      'Spec Metadata',
+      htmlReporter.formatSpecMetadata(result.metadata, result.metadataError),
+      !result.metadata || result.metadata.inconsistencies.length ? 'warning' : 'info',
+      'bi-card-heading'
+    );
+  }
   
   // Repository section
   if (result.repo) {
     // Make sure we're using the repoUrl module to format the repository URL consistently
     html += htmlReporter.createCardSection(
       'Repository',
-      htmlReporter.formatRepositoryInfo(result.repo),
+      htmlReporter.formatRepositoryInfo(result.repo, result.ref),
       'primary'
     );
   }
@@ -208,7 +565,7 @@ async function generateHtmlReport(normalizedUrl, version) {
   const pdfStatus = result.pdfExists ? 'success' : 'warning';
   html += htmlReporter.createCardSection(
     'PDF Status',
-    htmlReporter.formatPdfStatus(result.pdfExists, result.pdfError),
+    htmlReporter.formatPdfStatus(result.pdfExists, result.pdfError, result.pdfInfo, result.pdfInspectError),
     pdfStatus
   );
   
@@ -216,17 +573,34 @@ async function generateHtmlReport(normalizedUrl, version) {
   if (result.isUsingSpecUp) {
     html += htmlReporter.createCardSection(
       'Build Tool Version (Original Spec-Up)',
-      htmlReporter.formatSpecUpVersion(result.specUpOriginalVersion, true),
+      htmlReporter.formatSpecUpVersion(result.specUpOriginalVersion, true, result.buildToolLock, result.buildToolLockError) +
+        htmlReporter.formatBuildToolUpdate(result.buildToolUpdate, result.buildToolUpdateError),
       'success'
     );
   } else {
     html += htmlReporter.createCardSection(
       'Build Tool Version (Spec-Up-T)',
-      htmlReporter.formatSpecUpVersion(result.specUpVersion, false),
+      htmlReporter.formatSpecUpVersion(result.specUpVersion, false, result.buildToolLock, result.buildToolLockError) +
+        htmlReporter.formatBuildToolUpdate(result.buildToolUpdate, result.buildToolUpdateError),
       'info'
     );
   }
   
+  // specs.json configuration section
+  if (result.specsJson || result.specsJsonError) {
+    const configOk = result.specsJsonValidation && result.specsJsonValidation.issues.length === 0;
+    html += htmlReporter.createCardSection(
+      'Configuration (specs.json)',
+      htmlReporter.formatSpecsJson(
+        result.specsJsonValidation,
+        result.specsJson ? specsJson.getEffectiveConfig(result.specsJson) : [],
+        result.specsJsonError
+      ),
+      configOk ? 'secondary' : 'warning',
+      'bi-sliders'
+    );
+  }
+  
   // Specification version history section
   if (result.versionInfo) {
     html += htmlReporter.createCardSection(
@@ -236,6 +610,96 @@ async function generateHtmlReport(normalizedUrl, version) {
     );
   }
   
+  // Content comparisons between versions
+  if (result.versionDiffsError) {
+    html += htmlReporter.createCardSection(
+      'Version Comparison',
+      `<div class="alert alert-danger mb-0">${htmlReporter.escapeHtml(result.versionDiffsError.message)}</div>`,
+      'danger',
+      'bi-file-diff'
+    );
+  }
+  for (const diff of result.versionDiffs || []) {
+    html += htmlReporter.createCardSection(
+      `Version Comparison: ${htmlReporter.escapeHtml(diff.from.name)} → ${htmlReporter.escapeHtml(diff.to.name)}`,
+      htmlReporter.formatVersionDiff(diff),
+      diff.error ? 'danger' : 'info',
+      'bi-file-diff'
+    );
+  }
+  
+  // Link health section
+  if (result.linkCheck || result.linkCheckError) {
+    const linksOk = result.linkCheck && result.linkCheck.brokenLinks.length === 0;
+    html += htmlReporter.createCardSection(
+      'Link Health',
+      htmlReporter.formatLinkCheck(result.linkCheck, result.linkCheckError),
+      linksOk ? 'success' : 'warning',
+      'bi-link-45deg'
+    );
+  }
+  
+  // Document structure section
+  if (result.structure || result.structureError) {
+    const structureOk = result.structure && result.structure.issues.length === 0;
+    html += htmlReporter.createCardSection(
+      'Document Structure',
+      htmlReporter.formatStructure(result.structure, result.structureError),
+      structureOk ? 'info' : 'warning',
+      'bi-list-nested'
+    );
+  }
+  
+  // Accessibility section
+  if (result.accessibility || result.accessibilityError) {
+    const accessible = result.accessibility && result.accessibility.total === 0;
+    html += htmlReporter.createCardSection(
+      'Accessibility',
+      htmlReporter.formatAccessibility(result.accessibility, result.accessibilityError),
+      accessible ? 'success' : 'warning',
+      'bi-universal-access'
+    );
+  }
+  
+  // Terminology section
+  if (result.terminology || result.terminologyError) {
+    const terms = result.terminology;
+    const termsOk = terms && terms.undefinedReferences.length === 0 && terms.duplicates.length === 0;
+    html += htmlReporter.createCardSection(
+      'Terminology',
+      htmlReporter.formatTerminology(terms, result.terminologyError),
+      termsOk ? 'info' : 'warning',
+      'bi-book'
+    );
+  }
+  
+  // External term references section
+  if (result.externalRefs || result.externalRefsError) {
+    const refs = result.externalRefs;
+    const refsOk = refs && refs.summary.broken === 0 && refs.summary.unresolved === 0;
+    html += htmlReporter.createCardSection(
+      'External Term References',
+      htmlReporter.formatExternalRefs(refs, result.externalRefsError),
+      refsOk ? 'info' : 'warning',
+      'bi-box-arrow-in-down-right'
+    );
+  }
+  
+  // Cards contributed by plugins
+  for (const card of result.pluginCards || []) {
+    html += card;
+  }
+  
+  // Trends over previous runs
+  if (result.trend && result.trend.length > 1) {
+    html += htmlReporter.createCardSection(
+      'Trends',
+      htmlReporter.formatTrends(result.trend),
+      'secondary',
+      'bi-graph-up'
+    );
+  }
+  
   // Error section if needed
   if (result.error) {
     html += htmlReporter.createCardSection(
@@ -245,15 +709,147 @@ async function generateHtmlReport(normalizedUrl, version) {
     );
   }
   
+  return html;
+}
+
+/**
+ * Get the filename prefix for reports and run snapshots
+ * @param {string} normalizedUrl - The analyzed URL
+ * @param {Object} result - Result object from analyzeSpec
+ * @returns {string} Filename prefix, e.g. example_com_report
+ */
+function getReportBaseFilename(normalizedUrl, result) {
+  const name = result.localPath ? path.basename(result.localPath) : new URL(normalizedUrl).hostname;
+  return `${name.replace(/[^\w-]/g, '_')}_report`;
+}
+
+/**
+ * Compare a new report with the previous run for the same URL, then save it as the latest run
+ * and add it to the trend history
+ * @param {Object} report - JSON report of this run
+ * @param {string} baseFilename - Filename prefix for the run snapshot
+ * @returns {{changes: Object|null, trend: Array<Object>}} Differences from the previous run (null for the first run) and the trend points
+ */
+function recordRun(report, baseFilename) {
+  const previous = runHistory.findPreviousRun(report.url, baseFilename);
+  runHistory.saveRun(report, baseFilename);
+  return {
+    changes: previous ? runHistory.diffRuns(previous, report) : null,
+    trend: trends.recordTrend(report)
+  };
+}
+
+/**
+ * Generate HTML report for spec analysis
+ * @param {string} normalizedUrl - The normalized URL to analyze
+ * @param {string} version - Specalyzer version
+ * @param {Object} options - Analysis options passed on to analyzeSpec
+ * @returns {Promise<string>} Path to generated HTML file
+ */
+async function generateHtmlReport(normalizedUrl, version, options = {}) {
+  const result = await analyzeSpec(normalizedUrl, { ...options, htmlOnly: true, suppressExit: true });
+  const baseFilename = getReportBaseFilename(normalizedUrl, result);
+  const run = recordRun(jsonReporter.buildJsonReport(result, normalizedUrl, version), baseFilename);
+  result.changes = run.changes;
+  result.trend = run.trend;
+  
+  // Generate HTML parts
+  let html = htmlReporter.generateHtmlBoilerplate('Specalyzer Report', normalizedUrl);
+  html += buildReportSections(result);
+  
   // Add footer
   html += htmlReporter.generateHtmlFooter(version, normalizedUrl);
   
   // Save to file and open in browser
-  const filePath = await htmlReporter.saveAndOpenReport(html, normalizedUrl);
+  const filePath = await htmlReporter.saveAndOpenReport(html, normalizedUrl, baseFilename);
   
   return filePath;
 }
 
+/**
+ * Render a JSON report in one of the file formats and write it to a file or stdout
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @param {string} format - json, markdown, sarif or junit
+ * @param {string|null} outputPath - File to write to, or null for stdout
+ * @returns {string|null} Path to the written file, or null when written to stdout
+ */
+function writeReport(report, format, outputPath) {
+  switch (format) {
+    case 'markdown':
+      return markdownReporter.writeMarkdownReport(markdownReporter.buildMarkdownReport(report), outputPath);
+    case 'sarif':
+      return sarifReporter.writeSarifReport(sarifReporter.buildSarifReport(report), outputPath);
+    case 'junit':
+      return junitReporter.writeJunitReport(junitReporter.buildJunitReport(report), outputPath);
+    default:
+      return jsonReporter.writeJsonReport(report, outputPath);
+  }
+}
+
+/**
+ * Generate a JSON, Markdown, SARIF or JUnit XML report for spec analysis
+ * The run is only recorded (snapshot and trend history) when the report is written to a file
+ * @param {string} normalizedUrl - The normalized URL to analyze
+ * @param {string} version - Specalyzer version
+ * @param {string} format - json, markdown, sarif or junit
+ * @param {string|null} outputPath - File to write the report to, or null for stdout
+ * @param {Object} options - Analysis options passed on to analyzeSpec
+ * @returns {Promise<string|null>} Path to generated file, or null when written to stdout
+ */
+async function generateFileReport(normalizedUrl, version, format, outputPath = null, options = {}) {
+  const result = await analyzeSpec(normalizedUrl, { ...options, suppressExit: true });
+  const report = jsonReporter.buildJsonReport(result, normalizedUrl, version);
+  if (outputPath) {
+    report.changes = recordRun(report, getReportBaseFilename(normalizedUrl, result)).changes;
+  }
+
+  return writeReport(report, format, outputPath);
+}
+
+/**
+ * Generate JSON report for spec analysis
+ * @param {string} normalizedUrl - The normalized URL to analyze
+ * @param {string} version - Specalyzer version
+ * @param {string|null} outputPath - File to write the JSON to, or null for stdout
+ * @param {Object} options - Analysis options passed on to analyzeSpec
+ * @returns {Promise<string|null>} Path to generated JSON file, or null when written to stdout
+ */
+async function generateJsonReport(normalizedUrl, version, outputPath = null, options = {}) {
+  return generateFileReport(normalizedUrl, version, 'json', outputPath, options);
+}
+
+/**
+ * Analyze a spec and evaluate it against CI requirements, without opening a browser
+ * As for generateFileReport, the run is only recorded when the report is written to a file
+ * @param {string} normalizedUrl - The normalized URL to analyze
+ * @param {string} version - Specalyzer version
+ * @param {Object} ciConfig - Complete CI configuration from ci.resolveCiConfig
+ * @param {string|null} outputPath - File to write the report to; without it only non-JSON formats are written (to stdout)
+ * @param {Object} options - Analysis options passed on to analyzeSpec
+ * @param {string} [options.format] - Report format: json (default), markdown, sarif or junit
+ * @returns {Promise<{passed: boolean, results: Array<Object>}>} CI evaluation
+ */
+async function runCiCheck(normalizedUrl, version, ciConfig, outputPath = null, options = {}) {
+  const result = await analyzeSpec(normalizedUrl, { ...options, suppressExit: true });
+  const report = jsonReporter.buildJsonReport(result, normalizedUrl, version);
+  const evaluation = ci.evaluateReport(report, ciConfig);
+  report.ci = evaluation;
+  if (outputPath) {
+    report.changes = recordRun(report, getReportBaseFilename(normalizedUrl, result)).changes;
+  }
+
+  const format = options.format && options.format !== 'html' ? options.format : 'json';
+  if (outputPath || format !== 'json') {
+    writeReport(report, format, outputPath);
+  }
+
+  return evaluation;
+}
+
 // Export functions
 module.exports.analyzeSpec = analyzeSpec;
+module.exports.buildReportSections = buildReportSections;
 module.exports.generateHtmlReport = generateHtmlReport;
+module.exports.generateJsonReport = generateJsonReport;
+module.exports.generateFileReport = generateFileReport;
+module.exports.runCiCheck = runCiCheck;
@@ -0,0 +1,122 @@
+/**
+ * Batch analysis module
+ * Analyzes many specifications from a list file and builds an aggregated dashboard
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const localSource = require('./localSource');
+const analyzer = require('./analyzer');
+const htmlReporter = require('./htmlReporter');
+const jsonReporter = require('./jsonReporter');
+const trends = require('./trends');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Default number of specs analyzed at the same time
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Read a list of URLs from a file
+ * One URL, GitHub repository or local directory per line; blank lines and lines starting with # are ignored
+ * @param {string} filePath - Path to the list file
+ * @returns {string[]} Normalized, de-duplicated URLs and absolute directory paths
+ */
+function readUrlList(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const urls = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => localSource.resolveTarget(line));
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Analyze every URL in the list
+ * @param {string[]} urls - Normalized URLs to analyze
+ * @param {Object} options - Batch options
+ * @param {number} [options.concurrency] - Maximum number of concurrent analyses
+ * @param {Object} [options.analysis] - Analysis options passed on to analyzeSpec
+ * @returns {Promise<Array<{url: string, result: Object}>>} Analysis results per URL
+ */
+async function analyzeBatch(urls, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const analysisOptions = options.analysis || {};
+
+  return mapWithConcurrency(urls, concurrency, async (url, index) => {
+    console.log(chalk.magenta(`🔍 [${index + 1}/${urls.length}] Analyzing: ${url}`));
+    let result;
+    try {
+      result = await analyzer.analyzeSpec(url, { ...analysisOptions, suppressExit: true });
+    } catch (error) {
+      // One failing spec must not abort the whole batch
+      result = { repo: null, pdfExists: false, versionInfo: null, error };
+    }
+    return { url, result };
+  });
+}
+
+/**
+ * Generate the aggregated HTML dashboard for a list file
+ * @param {string} listFile - Path to the file with URLs
+ * @param {string} version - Specalyzer version
+ * @param {Object} options - Batch options
+ * @param {number} [options.concurrency] - Maximum number of concurrent analyses
+ * @param {Object} [options.analysis] - Analysis options passed on to analyzeSpec
+ * @returns {Promise<string>} Path to generated HTML file
+ */
+async function generateBatchReport(listFile, version, options = {}) {
+  const urls = readUrlList(listFile);
+  if (urls.length === 0) {
+    throw new Error(`No URLs found in ${listFile}`);
+  }
+
+  const analyses = await analyzeBatch(urls, options);
+  const entries = analyses.map((analysis, index) => ({
+    ...analysis,
+    anchor: `spec-${index + 1}`
+  }));
+
+  // Batch runs count towards each spec's trend history too
+  for (const { url, result } of entries) {
+    result.trend = trends.recordTrend(jsonReporter.buildJsonReport(result, url, version));
+  }
+
+  let html = htmlReporter.generateHtmlBoilerplate(
+    'Specalyzer Dashboard',
+    path.basename(listFile),
+    `This dashboard summarizes ${entries.length} specification${entries.length !== 1 ? 's' : ''}. Click a column header to sort, or open the details of a spec below.`
+  );
+
+  html += htmlReporter.createCardSection(
+    'Overview',
+    htmlReporter.formatBatchDashboard(entries),
+    'dark'
+  );
+
+  // Per-spec drill-down built from the same cards as the single-spec report
+  entries.forEach(({ url, anchor, result }) => {
+    html += `
+    <section id="${anchor}" class="mt-5">
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h2 class="h4 mb-0"><i class="bi bi-file-earmark-text me-2"></i>${htmlReporter.escapeHtml(url)}</h2>
+        <a href="#" class="btn btn-sm btn-outline-secondary"><i class="bi bi-arrow-up"></i> Back to top</a>
+      </div>
+      ${analyzer.buildReportSections(result)}
+    </section>
+    `;
+  });
+
+  html += htmlReporter.generateHtmlFooter(version, listFile, `npx specalyzer --batch ${listFile}`);
+
+  return htmlReporter.saveAndOpenReport(html, listFile, 'batch_dashboard');
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  readUrlList,
+  analyzeBatch,
+  generateBatchReport
+};
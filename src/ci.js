@@ -0,0 +1,203 @@
+/**
+ * CI mode module
+ * Evaluates a JSON report against the requirements in the "ci" section of .specalyzerrc
+ */
+
+const chalk = require('chalk');
+const rules = require('./rules');
+
+// Exit codes used in CI mode
+const EXIT_CODES = {
+  PASSED: 0,
+  FAILED: 1,
+  ERROR: 2 // Invalid configuration or unexpected failure
+};
+
+// Requirements applied when the configuration has no "ci" section
+const DEFAULT_CI_CONFIG = {
+  requiredChecks: [],
+  failOn: 'error'
+};
+
+// Severity of each check status, used by failOn
+const STATUS_RANK = {
+  pass: 0,
+  info: 0,
+  warn: 1,
+  error: 2
+};
+
+const FAIL_ON_VALUES = ['error', 'warn', 'none'];
+
+// Settings the "ci" section may contain
+const CI_KEYS = ['requiredChecks', 'failOn', 'minSpecUpTVersion', 'maxDaysSinceUpdate', 'maxBrokenLinks'];
+
+/**
+ * Validate the "ci" section of the configuration and fill in defaults
+ * Required checks must be ids of registered rules, so plugins have to be loaded first
+ * @param {Object} [ciConfig] - The "ci" section of .specalyzerrc
+ * @returns {Object} Complete CI configuration
+ */
+function resolveCiConfig(ciConfig = {}) {
+  if (!ciConfig || typeof ciConfig !== 'object' || Array.isArray(ciConfig)) {
+    throw new Error('ci must be an object');
+  }
+  for (const key of Object.keys(ciConfig)) {
+    if (!CI_KEYS.includes(key)) {
+      throw new Error(`Unknown ci setting "${key}". Known settings: ${CI_KEYS.join(', ')}`);
+    }
+  }
+
+  const resolved = { ...DEFAULT_CI_CONFIG, ...ciConfig };
+
+  if (!Array.isArray(resolved.requiredChecks) || !resolved.requiredChecks.every(id => typeof id === 'string')) {
+    throw new Error('ci.requiredChecks must be an array of check ids');
+  }
+  for (const id of resolved.requiredChecks) {
+    if (!rules.RULES.some(rule => rule.id === id)) {
+      throw new Error(`Unknown check "${id}" in ci.requiredChecks. Known checks: ${rules.RULES.map(rule => rule.id).join(', ')}`);
+    }
+  }
+  if (!FAIL_ON_VALUES.includes(resolved.failOn)) {
+    throw new Error(`ci.failOn must be one of: ${FAIL_ON_VALUES.join(', ')}`);
+  }
+  if (resolved.minSpecUpTVersion !== undefined && !parseVersion(String(resolved.minSpecUpTVersion))) {
+    throw new Error('ci.minSpecUpTVersion must be a version such as 1.2.0');
+  }
+  for (const key of ['maxDaysSinceUpdate', 'maxBrokenLinks']) {
+    if (resolved[key] !== undefined && (typeof resolved[key] !== 'number' || resolved[key] < 0)) {
+      throw new Error(`ci.${key} must be zero or a positive number`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Parse the first x.y.z version found in a version or range string (e.g. ^1.2.3)
+ * @param {string} value - Version or range
+ * @returns {number[]|null} Major, minor and patch, or null if there is no version
+ */
+function parseVersion(value) {
+  const m = (value || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return m ? [m[1], m[2], m[3]].map(part => parseInt(part || '0', 10)) : null;
+}
+
+/**
+ * Compare two versions
+ * @param {number[]} a - First version
+ * @param {number[]} b - Second version
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Evaluate a JSON report against the CI requirements
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @param {Object} ciConfig - Complete CI configuration from resolveCiConfig
+ * @returns {{passed: boolean, results: Array<{id: string, passed: boolean, message: string}>}} Evaluation
+ */
+function evaluateReport(report, ciConfig) {
+  const results = [];
+  const checks = report.checks || [];
+
+  // Required checks must pass; info only marks findings that need no action and passes too
+  for (const id of ciConfig.requiredChecks) {
+    const check = checks.find(c => c.id === id);
+    if (!check) {
+      results.push({ id, passed: false, message: 'Required check did not run' });
+    } else {
+      const passed = (STATUS_RANK[check.status] || 0) === 0;
+      results.push({ id, passed, message: passed ? check.message : `${check.status}: ${check.message}` });
+    }
+  }
+
+  // Other checks fail the build from the failOn status up
+  if (ciConfig.failOn !== 'none') {
+    for (const check of checks) {
+      if (ciConfig.requiredChecks.includes(check.id)) continue;
+      if ((STATUS_RANK[check.status] || 0) >= STATUS_RANK[ciConfig.failOn]) {
+        results.push({ id: check.id, passed: false, message: `${check.status}: ${check.message}` });
+      }
+    }
+  }
+
+  if (ciConfig.minSpecUpTVersion !== undefined) {
+    const minimum = String(ciConfig.minSpecUpTVersion);
+    const tool = report.buildTool || {};
+    // Prefer the installed version from the lockfile over the declared range
+    const toolVersion = tool.installedVersion || tool.version;
+    const actual = tool.name === 'spec-up-t' ? parseVersion(toolVersion) : null;
+    let message;
+    if (tool.name !== 'spec-up-t') {
+      message = tool.name ? `Uses ${tool.name}, not spec-up-t` : 'spec-up-t version not detected';
+    } else if (!actual) {
+      message = `spec-up-t version "${toolVersion}" could not be parsed`;
+    } else {
+      message = `spec-up-t ${toolVersion} (minimum ${minimum})`;
+    }
+    results.push({
+      id: 'min-spec-up-t-version',
+      passed: !!actual && compareVersions(actual, parseVersion(minimum)) >= 0,
+      message
+    });
+  }
+
+  if (ciConfig.maxDaysSinceUpdate !== undefined) {
+    const limit = ciConfig.maxDaysSinceUpdate;
+    if (!report.lastModified) {
+      results.push({ id: 'max-days-since-update', passed: false, message: 'Last update date unknown' });
+    } else {
+      const days = Math.floor((new Date(report.generatedAt) - new Date(report.lastModified)) / (24 * 60 * 60 * 1000));
+      results.push({ id: 'max-days-since-update', passed: days <= limit, message: `Updated ${days} day${days !== 1 ? 's' : ''} ago (limit ${limit})` });
+    }
+  }
+
+  if (ciConfig.maxBrokenLinks !== undefined) {
+    const limit = ciConfig.maxBrokenLinks;
+    if (!report.links || !report.links.broken) {
+      results.push({ id: 'max-broken-links', passed: false, message: 'Links were not checked' });
+    } else {
+      const count = report.links.broken.length;
+      results.push({ id: 'max-broken-links', passed: count <= limit, message: `${count} broken link${count !== 1 ? 's' : ''} (limit ${limit})` });
+    }
+  }
+
+  if (report.error) {
+    results.push({ id: 'analysis', passed: false, message: report.error.message });
+  }
+
+  return {
+    passed: results.every(r => r.passed),
+    results
+  };
+}
+
+/**
+ * Print a concise summary of the evaluation to stderr
+ * @param {Object} evaluation - Evaluation from evaluateReport
+ */
+function printSummary(evaluation) {
+  const failed = evaluation.results.filter(r => !r.passed);
+  const passedCount = evaluation.results.length - failed.length;
+
+  console.error(chalk.bold(`\nSpecalyzer CI: ${passedCount} passed, ${failed.length} failed`));
+  for (const result of evaluation.results) {
+    const line = `  ${result.passed ? '✅' : '❌'} ${result.id}: ${result.message}`;
+    console.error(result.passed ? chalk.green(line) : chalk.red(line));
+  }
+  console.error(evaluation.passed ? chalk.green('\n✅ All CI requirements met') : chalk.red('\n❌ CI requirements not met'));
+}
+
+module.exports = {
+  EXIT_CODES,
+  DEFAULT_CI_CONFIG,
+  resolveCiConfig,
+  evaluateReport,
+  printSummary
+};
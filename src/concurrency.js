@@ -0,0 +1,29 @@
+/**
+ * Concurrency utilities
+ */
+
+/**
+ * Run an async worker over a list of items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runNext);
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports.mapWithConcurrency = mapWithConcurrency;
@@ -0,0 +1,45 @@
+/**
+ * Configuration module
+ * Loads the optional .specalyzerrc file (JSON) that configures CI mode and other settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Name of the configuration file looked up in the working directory
+const CONFIG_FILE = '.specalyzerrc';
+
+/**
+ * Load the configuration file
+ * Without an explicit path, .specalyzerrc in the working directory is used when it exists
+ * @param {string|null} configPath - Path given with --config, or null
+ * @returns {{config: Object, path: string|null}} The configuration (empty when there is no file) and its path
+ */
+function loadConfig(configPath = null) {
+  const filePath = path.resolve(configPath || CONFIG_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (configPath) {
+      throw new Error(`Configuration file not found: ${filePath}`);
+    }
+    return { config: {}, path: null };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`JSON parsing error in ${filePath}: ${e.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+
+  return { config, path: filePath };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadConfig
+};
@@ -0,0 +1,277 @@
+/**
+ * External term reference module
+ * Verifies that terms referenced from other specifications ([[xref:]] and [[tref:]]) exist there
+ *
+ * Spec-Up-T renders `[[xref: spec, term]]` as a link with class `x-term-reference` and a
+ * `data-local-href` of `#term:<spec>:<term>`, pointing at `<gh_page>#term:<term>`.
+ * Terms transcluded with `[[tref: spec, term]]` appear in the terms list as a `<dt>` with class
+ * `transcluded-xref-term`.
+ */
+
+const { JSDOM } = require('jsdom');
+const chalk = require('chalk');
+const fetcher = require('./fetcher');
+const terminology = require('./terminology');
+const { safeDecode } = require('./linkCheck');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Number of external specs fetched at the same time
+const FETCH_CONCURRENCY = 4;
+
+// Status values of a single external reference
+const REF_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  RENAMED: 'renamed',
+  SPEC_UNAVAILABLE: 'spec-unavailable',
+  UNKNOWN_SPEC: 'unknown-spec',
+  NOT_CHECKED: 'not-checked' // The referenced spec was not fetched (offline analysis)
+};
+
+/**
+ * Parse a `#term:<spec>:<term>` fragment
+ * @param {string|null} fragment - Fragment including the leading #
+ * @returns {{spec: string, term: string}|null} Spec and term, or null if the fragment has another shape
+ */
+function parseExternalTermFragment(fragment) {
+  const m = (fragment || '').match(/^#?term:([^:]+):(.+)$/);
+  return m ? { spec: safeDecode(m[1]), term: safeDecode(m[2]) } : null;
+}
+
+/**
+ * Collect external term references (xref and tref) from the spec document
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<{type: string, spec: string|null, term: string, text: string, href: string|null}>} External references
+ */
+function collectExternalReferences(document) {
+  const references = [];
+
+  for (const el of document.querySelectorAll('a.x-term-reference')) {
+    const href = el.getAttribute('href');
+    const parsed = parseExternalTermFragment(el.getAttribute('data-local-href'));
+
+    if (parsed) {
+      references.push({ type: 'xref', spec: parsed.spec, term: parsed.term, text: el.textContent.trim(), href });
+      continue;
+    }
+
+    // Without data-local-href the spec name is unknown, but the link itself still says where the term lives
+    const hashIndex = href ? href.indexOf('#term:') : -1;
+    if (hashIndex !== -1) {
+      references.push({
+        type: 'xref',
+        spec: null,
+        term: safeDecode(href.slice(hashIndex + '#term:'.length)),
+        text: el.textContent.trim(),
+        href
+      });
+    }
+  }
+
+  for (const dt of document.querySelectorAll('dt.transcluded-xref-term')) {
+    const target = dt.matches('[id^="term:"]') ? dt : dt.querySelector('[id^="term:"]');
+    const parsed = target ? parseExternalTermFragment(target.id) : null;
+    const spec = parsed ? parsed.spec : (dt.getAttribute('data-ext-spec') || null);
+    const term = parsed ? parsed.term : (target ? target.id.slice('term:'.length) : dt.textContent.trim());
+
+    references.push({ type: 'tref', spec, term, text: dt.textContent.trim(), href: null });
+  }
+
+  return references;
+}
+
+/**
+ * Get the external specs declared in specs.json
+ * Supports both the current format (array of objects with `external_spec` and `gh_page`)
+ * and the legacy format (array of `{ "<name>": "<url>" }` objects)
+ * @param {Object|null} specsJson - Parsed specs.json
+ * @returns {Map<string, {name: string, ghPage: string|null, repoUrl: string|null}>} External specs by name
+ */
+function getExternalSpecs(specsJson) {
+  const externalSpecs = new Map();
+  if (!specsJson || !Array.isArray(specsJson.specs)) return externalSpecs;
+
+  for (const spec of specsJson.specs) {
+    if (!spec || !Array.isArray(spec.external_specs)) continue;
+
+    for (const entry of spec.external_specs) {
+      if (!entry || typeof entry !== 'object') continue;
+
+      if (entry.external_spec) {
+        externalSpecs.set(entry.external_spec, {
+          name: entry.external_spec,
+          ghPage: entry.gh_page || null,
+          repoUrl: entry.url || null
+        });
+      } else {
+        for (const [name, url] of Object.entries(entry)) {
+          if (typeof url === 'string') {
+            externalSpecs.set(name, { name, ghPage: url, repoUrl: null });
+          }
+        }
+      }
+    }
+  }
+
+  return externalSpecs;
+}
+
+/**
+ * Strip a trailing index.html and slash so the URL can be passed to fetcher.fetchIndexHtml
+ * @param {string} url - URL of a published spec
+ * @returns {string} Base URL of the spec
+ */
+function toSpecBaseUrl(url) {
+  return url.split('#')[0].replace(/index\.html?$/i, '').replace(/\/$/, '');
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the defined term that most likely replaced a missing one
+ * @param {string} term - The missing term
+ * @param {Set<string>} definedTerms - Terms defined in the external spec
+ * @returns {string|null} The closest term, or null if nothing is close enough
+ */
+function findSimilarTerm(term, definedTerms) {
+  const wanted = term.toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(wanted.length / 5));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of definedTerms) {
+    const distance = editDistance(wanted, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Fetch an external spec and collect the terms it defines
+ * @param {string} baseUrl - Base URL of the external spec
+ * @returns {Promise<{terms: Set<string>|null, error: Error|null}>} Defined terms or the error
+ */
+async function fetchDefinedTerms(baseUrl) {
+  try {
+    console.log(chalk.blue(`📚 Fetching external spec: ${baseUrl}`));
+    const html = await fetcher.fetchIndexHtml(baseUrl);
+    const document = new JSDOM(html).window.document;
+    const definitions = terminology.collectDefinitions(document);
+    return { terms: new Set(definitions.map(d => d.term)), error: null };
+  } catch (error) {
+    return { terms: null, error };
+  }
+}
+
+/**
+ * Check every external term reference against the spec it points to
+ * @param {Document} document - The parsed spec document
+ * @param {Object|null} specsJson - Parsed specs.json of the repository, if available
+ * @param {Object} options - Check options
+ * @param {boolean} [options.fetchSpecs=true] - Whether to fetch the referenced specs; without it references are only resolved
+ * @returns {Promise<Object>} References with their status, the external specs and a summary
+ */
+async function checkExternalReferences(document, specsJson, options = {}) {
+  const references = collectExternalReferences(document);
+  const declaredSpecs = getExternalSpecs(specsJson);
+
+  // Resolve the URL of the spec each reference points to
+  for (const reference of references) {
+    const declared = reference.spec ? declaredSpecs.get(reference.spec) : null;
+    if (declared && declared.ghPage) {
+      reference.targetUrl = toSpecBaseUrl(declared.ghPage);
+    } else if (reference.href && /^https?:\/\//i.test(reference.href)) {
+      reference.targetUrl = toSpecBaseUrl(reference.href);
+    } else {
+      reference.targetUrl = null;
+    }
+  }
+
+  // Fetch each target spec once
+  const fetchSpecs = options.fetchSpecs !== false;
+  const targetUrls = [...new Set(references.map(r => r.targetUrl).filter(Boolean))];
+  const fetched = fetchSpecs
+    ? await mapWithConcurrency(targetUrls, FETCH_CONCURRENCY, fetchDefinedTerms)
+    : targetUrls.map(() => ({ terms: null, error: null }));
+  const termsByUrl = new Map(targetUrls.map((url, i) => [url, fetched[i]]));
+
+  for (const reference of references) {
+    reference.suggestion = null;
+
+    if (!reference.targetUrl) {
+      reference.status = REF_STATUS.UNKNOWN_SPEC;
+      continue;
+    }
+
+    const target = termsByUrl.get(reference.targetUrl);
+    if (!fetchSpecs) {
+      reference.status = REF_STATUS.NOT_CHECKED;
+    } else if (!target.terms) {
+      reference.status = REF_STATUS.SPEC_UNAVAILABLE;
+    } else if (target.terms.has(reference.term)) {
+      reference.status = REF_STATUS.OK;
+    } else {
+      reference.suggestion = findSimilarTerm(reference.term, target.terms);
+      reference.status = reference.suggestion ? REF_STATUS.RENAMED : REF_STATUS.MISSING;
+    }
+  }
+
+  const specs = targetUrls.map(url => {
+    const target = termsByUrl.get(url);
+    const declared = Array.from(declaredSpecs.values()).find(s => s.ghPage && toSpecBaseUrl(s.ghPage) === url);
+    return {
+      name: declared ? declared.name : null,
+      url,
+      available: fetchSpecs ? !!target.terms : null,
+      termCount: target.terms ? target.terms.size : 0,
+      error: target.error ? target.error.message : null
+    };
+  });
+
+  const countByStatus = status => references.filter(r => r.status === status).length;
+
+  return {
+    references,
+    specs,
+    summary: {
+      total: references.length,
+      ok: countByStatus(REF_STATUS.OK),
+      broken: countByStatus(REF_STATUS.MISSING) + countByStatus(REF_STATUS.RENAMED),
+      unresolved: countByStatus(REF_STATUS.SPEC_UNAVAILABLE) + countByStatus(REF_STATUS.UNKNOWN_SPEC),
+      notChecked: countByStatus(REF_STATUS.NOT_CHECKED)
+    }
+  };
+}
+
+module.exports = {
+  REF_STATUS,
+  parseExternalTermFragment,
+  collectExternalReferences,
+  getExternalSpecs,
+  findSimilarTerm,
+  checkExternalReferences
+};
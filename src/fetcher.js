@@ -2,7 +2,7 @@
  * HTTP utilities for fetching data
  */
 
-const https = require('https');
+const httpClient = require('./httpClient');
 const pdfCheck = require('./pdfCheck');
 const specupVersion = require('./specupVersion');
 const chalk = require('chalk');
@@ -13,13 +13,7 @@ const chalk = require('chalk');
  * @returns {Promise<string>} The HTML content
  */
 function fetchIndexHtml(url) {
-  return new Promise((resolve, reject) => {
-    https.get(`${url}/index.html`, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
+  return httpClient.getText(`${url}/index.html`);
 }
 
 /**
@@ -37,62 +31,84 @@ function checkIndexPdf(url) {
 }
 
 /**
- * Fetches and parses package.json from a URL
- * @param {string} url - The URL to the raw package.json
- * @returns {Promise<Object>} The parsed package.json
+ * Downloads index.pdf from a URL
+ * @param {string} url - The base URL to fetch from
+ * @returns {Promise<Buffer|null>} The PDF file, or null if it does not exist
+ */
+function fetchIndexPdf(url) {
+  return pdfCheck.fetchIndexPdf(url);
+}
+
+/**
+ * Fetches and parses a JSON file (package.json, specs.json, ...) from a URL
+ * @param {string} url - The URL to the raw JSON file
+ * @returns {Promise<Object>} The parsed JSON
  */
-function fetchPackageJson(url) {
+function fetchJsonFile(url) {
+  const fileName = url.split('/').pop();
   return new Promise((resolve, reject) => {
-    console.log(chalk.cyan(`📄 Fetching package.json from: ${url}`));
+    console.log(chalk.cyan(`📄 Fetching ${fileName} from: ${url}`));
     specupVersion.fetchJson(url, (err, data) => {
       if (err) {
         // Don't log 404 errors as they're expected when trying different branches
-        if (!err.message.includes('HTTP Error: 404')) {
-          console.log(chalk.red(`❌ Error fetching package.json: ${err.message}`));
+        if (err.status !== 404) {
+          console.log(chalk.red(`❌ Error fetching ${fileName}: ${err.message}`));
         }
         reject(err);
       } else {
-        console.log(chalk.green(`✅ Successfully fetched package.json from: ${url}`));
+        console.log(chalk.green(`✅ Successfully fetched ${fileName} from: ${url}`));
         resolve(data);
       }
     });
   });
 }
 
+/**
+ * Fetches a text file (yarn.lock, pnpm-lock.yaml, ...) from a URL
+ * @param {string} url - The URL to the raw file
+ * @returns {Promise<string|null>} The file content, or null if it does not exist
+ */
+async function fetchTextFile(url) {
+  const res = await httpClient.request(url, { responseType: 'text', throwHttpErrors: false });
+  if (res.status === 404) {
+    return null;
+  }
+  if (res.status !== 200) {
+    throw new httpClient.HttpError(`Unexpected status code: ${res.status}`, {
+      url: res.url,
+      code: `HTTP_${res.status}`,
+      status: res.status,
+      headers: res.headers
+    });
+  }
+  return res.body;
+}
+
 /**
  * Gets the last modified date for a URL
  * @param {string} url - The URL to check
  * @returns {Promise<{date: Date|null, headers: Object}>} The last modified date and response headers
  */
-function getLastModified(url) {
-  return new Promise((resolve, reject) => {
-    const requestUrl = url.endsWith('/') ? url : `${url}/`;
-    const options = {
-      method: 'HEAD'
-    };
+async function getLastModified(url) {
+  const requestUrl = url.endsWith('/') ? url : `${url}/`;
 
-    https.get(requestUrl, options, (res) => {
-      const headers = res.headers;
-      let lastModified = null;
-      
-      // Try to get Last-Modified header
-      if (headers['last-modified']) {
-        lastModified = new Date(headers['last-modified']);
-      }
-      
-      resolve({
-        date: lastModified,
-        headers: headers
-      });
-    }).on('error', (err) => {
-      // Don't fail the whole process for this, just return null
-      console.error(chalk.red(`⚠️  Error getting last modified date: ${err.message}`));
-      resolve({
-        date: null,
-        headers: {}
-      });
-    });
-  });
+  try {
+    const res = await httpClient.request(requestUrl, { method: 'HEAD', throwHttpErrors: false });
+    const headers = res.headers;
+
+    // Try to get Last-Modified header
+    return {
+      date: headers['last-modified'] ? new Date(headers['last-modified']) : null,
+      headers: headers
+    };
+  } catch (err) {
+    // Don't fail the whole process for this, just return null
+    console.error(chalk.red(`⚠️  Error getting last modified date: ${err.message}`));
+    return {
+      date: null,
+      headers: {}
+    };
+  }
 }
 
 /**
@@ -111,6 +127,10 @@ function normalizeUrl(str) {
 // Export functions directly from module
 module.exports.fetchIndexHtml = fetchIndexHtml;
 module.exports.checkIndexPdf = checkIndexPdf;
-module.exports.fetchPackageJson = fetchPackageJson;
+module.exports.fetchIndexPdf = fetchIndexPdf;
+module.exports.fetchJsonFile = fetchJsonFile;
+module.exports.fetchTextFile = fetchTextFile;
+// Kept for backwards compatibility
+module.exports.fetchPackageJson = fetchJsonFile;
 module.exports.getLastModified = getLastModified;
 module.exports.normalizeUrl = normalizeUrl;
@@ -0,0 +1,160 @@
+/**
+ * GitHub API utilities
+ * Resolves repository information (such as the default branch or GitHub Pages source) through the GitHub REST API
+ */
+
+const httpClient = require('./httpClient');
+
+const API_BASE_URL = 'https://api.github.com';
+
+// Environment variables checked, in order, for a GitHub token
+const TOKEN_ENV_VARS = ['SPECALYZER_GITHUB_TOKEN', 'GITHUB_TOKEN', 'GH_TOKEN'];
+
+/**
+ * Extract owner and repository name from a GitHub repository URL
+ * @param {string} repoUrl - The GitHub repository URL
+ * @returns {{owner: string, repo: string}|null} Owner and repo, or null if not a GitHub URL
+ */
+function parseGithubRepo(repoUrl) {
+  if (typeof repoUrl !== 'string') return null;
+
+  const m = repoUrl.match(/^https?:\/\/(?:www\.)?github\.com\/([^\/]+)\/([^\/#?]+)/i);
+  if (!m) return null;
+
+  return { owner: m[1], repo: m[2].replace(/\.git$/, '') };
+}
+
+/**
+ * Get the GitHub token from the environment, if any
+ * @returns {string|null} The token or null
+ */
+function getGithubToken() {
+  for (const name of TOKEN_ENV_VARS) {
+    if (process.env[name]) return process.env[name];
+  }
+  return null;
+}
+
+/**
+ * Call the GitHub REST API
+ * @param {string} apiPath - API path, e.g. /repos/org/repo
+ * @returns {Promise<Object>} The parsed JSON response
+ */
+async function fetchGithubApi(apiPath) {
+  const headers = {
+    'Accept': 'application/vnd.github+json'
+  };
+  const token = getGithubToken();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const res = await httpClient.request(`${API_BASE_URL}${apiPath}`, { headers, throwHttpErrors: false });
+
+  if (res.status === 403 && res.headers['x-ratelimit-remaining'] === '0') {
+    throw new Error(`GitHub API rate limit exceeded. Set ${TOKEN_ENV_VARS[0]} or GITHUB_TOKEN to raise the limit.`);
+  }
+  if (res.status >= 400) {
+    throw new httpClient.HttpError(`GitHub API error: ${res.status} for ${apiPath}`, {
+      url: res.url,
+      code: `HTTP_${res.status}`,
+      status: res.status,
+      headers: res.headers
+    });
+  }
+  try {
+    return JSON.parse(res.body);
+  } catch (e) {
+    throw new Error(`GitHub API returned invalid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve the default branch of a GitHub repository
+ * @param {string} repoUrl - The GitHub repository URL
+ * @returns {Promise<string>} The default branch name
+ */
+async function getDefaultBranch(repoUrl) {
+  const parsed = parseGithubRepo(repoUrl);
+  if (!parsed) {
+    throw new Error(`Not a GitHub repository URL: ${repoUrl}`);
+  }
+
+  const info = await fetchGithubApi(`/repos/${encodeURIComponent(parsed.owner)}/${encodeURIComponent(parsed.repo)}`);
+  if (!info.default_branch) {
+    throw new Error('GitHub API response has no default_branch');
+  }
+
+  return info.default_branch;
+}
+
+/**
+ * Work out the repository behind a GitHub Pages site URL (https://owner.github.io/repo/...)
+ * @param {string} siteUrl - URL of the deployed site
+ * @returns {{owner: string, repo: string, sitePath: string}|null} Repository and the path of the site inside it, or null for other hosts
+ */
+function parseGithubPagesUrl(siteUrl) {
+  let url;
+  try {
+    url = new URL(siteUrl);
+  } catch (e) {
+    return null;
+  }
+
+  const m = url.hostname.match(/^([^.]+)\.github\.io$/i);
+  if (!m) return null;
+
+  const owner = m[1];
+  const segments = url.pathname.split('/').filter(Boolean);
+  // A user or organization site (owner.github.io) has no repository segment in the path
+  if (!segments.length) {
+    return { owner, repo: `${owner}.github.io`, sitePath: '' };
+  }
+  return { owner, repo: segments[0], sitePath: segments.slice(1).join('/') };
+}
+
+/**
+ * Get the branch and folder a repository publishes its GitHub Pages site from
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{branch: string, path: string}>} Publishing source, path without leading slash ('' for the root)
+ */
+async function getPagesSource(owner, repo) {
+  const info = await fetchGithubApi(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pages`);
+  if (!info.source || !info.source.branch) {
+    throw new Error('GitHub Pages of this repository are not published from a branch');
+  }
+
+  return { branch: info.source.branch, path: (info.source.path || '/').replace(/^\/+|\/+$/g, '') };
+}
+
+/**
+ * List the subdirectories of a folder in a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} dirPath - Folder path inside the repository
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string[]>} Names of the subdirectories
+ */
+async function listDirectories(owner, repo, dirPath, ref) {
+  const encodedPath = dirPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+  const entries = await fetchGithubApi(
+    `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`
+  );
+  if (!Array.isArray(entries)) {
+    throw new Error(`${dirPath} is not a directory`);
+  }
+
+  return entries.filter(entry => entry.type === 'dir').map(entry => entry.name);
+}
+
+module.exports = {
+  TOKEN_ENV_VARS,
+  parseGithubRepo,
+  parseGithubPagesUrl,
+  getGithubToken,
+  fetchGithubApi,
+  getDefaultBranch,
+  getPagesSource,
+  listDirectories
+};
@@ -8,14 +8,46 @@ const path = require('path');
 const open = require('open');
 const chalk = require('chalk');
 
+/**
+ * Escape a value for safe inclusion in HTML text or attribute values
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keep a URL taken from the analyzed spec only if it is safe to link to: http(s) or relative
+ * @param {string|null} value - URL from the spec
+ * @returns {string|null} The URL, or null for javascript:, data: and other schemes
+ */
+function safeUrl(value) {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  // Browsers ignore tabs and newlines inside a scheme, e.g. "java\tscript:"
+  if (!url || /[\u0000-\u001f]/.test(url)) return null;
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || /^https?$/i.test(scheme[1]) ? url : null;
+}
+
 /**
  * Generate HTML boilerplate with Bootstrap styling
  * @param {string} title - The title of the HTML page
- * @param {string} url - The URL being analyzed
+ * @param {string} url - The URL being analyzed (or another source, e.g. a list file)
+ * @param {string} intro - Introductory text shown below the header
  * @returns {string} HTML boilerplate string
  */
-function generateHtmlBoilerplate(title, url) {
+function generateHtmlBoilerplate(title, url, intro = 'This report provides an analysis of the specification at the URL above.') {
   const timestamp = new Date().toLocaleString();
+  const sourceHtml = /^https?:\/\//i.test(url)
+    ? `<strong><i class="bi bi-globe"></i> URL:</strong> <a href="${url}" target="_blank" class="text-light">${url}</a>`
+    : `<strong><i class="bi bi-file-text"></i> Source:</strong> ${escapeHtml(url)}`;
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -96,6 +128,24 @@ function generateHtmlBoilerplate(title, url) {
     .info-icon {
       margin-right: 0.5rem;
     }
+    .outline-tree,
+    .outline-tree ul {
+      list-style: none;
+      padding-left: 1.25rem;
+      margin-bottom: 0;
+    }
+    .outline-tree {
+      padding-left: 0;
+    }
+    .outline-tree li {
+      border-left: 1px solid #dee2e6;
+      padding-left: 0.5rem;
+    }
+    .outline-node-problem > .outline-label {
+      background-color: #fff3cd;
+      border-radius: 0.25rem;
+      padding: 0 0.25rem;
+    }
   </style>
 </head>
 <body>
@@ -103,8 +153,8 @@ function generateHtmlBoilerplate(title, url) {
     <div class="report-header">
       <div class="d-flex justify-content-between align-items-start">
         <div>
-          <h1><i class="bi bi-search"></i> Specalyzer Report</h1>
-          <p><strong><i class="bi bi-globe"></i> URL:</strong> <a href="${url}" target="_blank" class="text-light">${url}</a></p>
+          <h1><i class="bi bi-search"></i> ${title}</h1>
+          <p>${sourceHtml}</p>
           <p><strong><i class="bi bi-calendar3"></i> Generated:</strong> ${timestamp}</p>
         </div>
         <div>
@@ -116,7 +166,7 @@ function generateHtmlBoilerplate(title, url) {
     </div>
     <div class="alert alert-info mb-4 d-flex align-items-center">
       <i class="bi bi-info-circle me-3 fs-4"></i> 
-      <div>This report provides an analysis of the specification at the URL above.</div>
+      <div>${intro}</div>
     </div>
 `;
 }
@@ -126,9 +176,10 @@ function generateHtmlBoilerplate(title, url) {
  * @param {string} title - Title for the card header
  * @param {string} content - HTML content for the card body
  * @param {string} cardType - Bootstrap card type (primary, success, warning, danger, info)
+ * @param {string} [icon] - Bootstrap icon class, overriding the default icon for the card type
  * @returns {string} HTML string for the card section
  */
-function createCardSection(title, content, cardType = 'primary') {
+function createCardSection(title, content, cardType = 'primary', icon) {
   // Map card types to Bootstrap icons
   const iconMap = {
     'primary': 'bi-github',
@@ -139,12 +190,12 @@ function createCardSection(title, content, cardType = 'primary') {
     'secondary': 'bi-gear'
   };
   
-  const icon = iconMap[cardType] || 'bi-card-text';
+  const cardIcon = icon || iconMap[cardType] || 'bi-card-text';
   
   return `
     <div class="card border-${cardType} mb-4 shadow-sm">
       <div class="card-header bg-${cardType} text-white">
-        <i class="bi ${icon} me-2"></i>${title}
+        <i class="bi ${cardIcon} me-2"></i>${title}
       </div>
       <div class="card-body">
         ${content}
@@ -156,9 +207,10 @@ function createCardSection(title, content, cardType = 'primary') {
 /**
  * Format repository information as HTML
  * @param {string|Object} repo - Repository URL or object containing repository info
+ * @param {Object|null} ref - Git ref the repository files were read from ({name, source, error})
  * @returns {string} HTML string for repository info
  */
-function formatRepositoryInfo(repo) {
+function formatRepositoryInfo(repo, ref = null) {
   // Handle different repository types (string URL or object)
   let repoUrl = '';
   if (typeof repo === 'string') {
@@ -191,6 +243,27 @@ function formatRepositoryInfo(repo) {
     }
   }
   
+  // Describe which branch/ref was analyzed and how it was chosen
+  const refSources = {
+    'option': 'set with --branch',
+    'github-api': 'default branch from the GitHub API',
+    'fallback': 'guessed, the default branch could not be determined',
+    'local': 'read from the local checkout'
+  };
+  let refHtml = '';
+  if (ref && (ref.name || ref.error || ref.source === 'local')) {
+    refHtml = `
+      <p class="mb-2">
+        <i class="bi bi-git me-1"></i>
+        <strong>Analyzed ref:</strong> ${ref.name ? `<code>${escapeHtml(ref.name)}</code>` : `<span class="text-muted">${ref.source === 'local' ? 'working tree' : 'none found'}</span>`}
+        <small class="text-muted">(${refSources[ref.source] || escapeHtml(ref.source)})</small>
+      </p>
+      ${ref.source === 'fallback' && ref.error && isGitHub
+        ? `<small class="text-muted d-block mb-2"><i class="bi bi-info-circle me-1"></i>${escapeHtml(ref.error.message)}</small>`
+        : ''}
+    `;
+  }
+  
   const repoHtml = `
     <div class="d-flex align-items-center mb-3">
       <i class="bi ${isGitHub ? 'bi-github' : 'bi-git'} fs-3 me-2"></i>
@@ -199,20 +272,213 @@ function formatRepositoryInfo(repo) {
     <p><a href="${repoUrl}" target="_blank" class="btn btn-outline-primary">
       <i class="bi bi-box-arrow-up-right me-1"></i> ${repoUrl}
     </a></p>
+    ${refHtml}
     ${badgeHtml}
   `;
   
   return repoHtml;
 }
 
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in B, KB or MB
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format the inspection of index.pdf as a table of properties and checks
+ * @param {Object} info - PDF inspection from pdfInspect.inspectPdf and compareWithSpec
+ * @returns {string} HTML string for the PDF details
+ */
+function formatPdfDetails(info) {
+  const formatDate = value => value ? escapeHtml(new Date(value).toLocaleString()) : '<span class="text-muted">not set</span>';
+  const formatText = value => value ? escapeHtml(value) : '<span class="text-muted">not set</span>';
+  const check = (passed, passText, failText, unknownText) => {
+    if (passed === null || passed === undefined) {
+      return `<span class="text-muted"><i class="bi bi-question-circle me-1"></i>${unknownText}</span>`;
+    }
+    return passed
+      ? `<span class="text-success"><i class="bi bi-check-circle-fill me-1"></i>${passText}</span>`
+      : `<span class="text-warning"><i class="bi bi-exclamation-triangle-fill me-1"></i>${failText}</span>`;
+  };
+  const { metadata } = info;
+
+  const properties = [
+    ['File size', formatFileSize(info.size)],
+    ['Pages', info.pageCount !== null ? info.pageCount : '<span class="text-muted">unknown</span>'],
+    ['PDF version', escapeHtml(info.pdfVersion || 'unknown')],
+    ['Title', formatText(metadata.title)],
+    ['Author', formatText(metadata.author)],
+    ['Producer', formatText(metadata.producer || metadata.creator)],
+    ['Created', formatDate(metadata.creationDate)],
+    ['Modified', formatDate(metadata.modDate)]
+  ];
+  const checks = [
+    ['Title matches the spec', check(info.titleMatches,
+      'Matches the title of index.html',
+      `Differs from the title of index.html (${escapeHtml(info.specTitle)})`,
+      'Not compared (title missing)')],
+    ['Up to date', check(info.olderThanHtml === null ? null : !info.olderThanHtml,
+      'Not older than index.html',
+      'Older than index.html — the PDF was probably not rebuilt',
+      'Not compared (dates missing)')],
+    ['Text layer', check(info.hasTextLayer,
+      'Text can be searched and selected',
+      'No text layer — the PDF is not searchable or accessible',
+      'Unknown (the PDF is encrypted)')],
+    ['Outline', check(info.hasOutline,
+      `${info.outlineEntries} top-level bookmark(s)`,
+      'No bookmarks for navigating the document',
+      '')]
+  ];
+
+  const rows = rowsData => rowsData.map(([label, value]) => `
+    <tr>
+      <th class="fw-normal text-muted" style="width: 35%;">${label}</th>
+      <td>${value}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="row mt-3">
+      <div class="col-md-6">
+        <h6>Document</h6>
+        <table class="table table-sm mb-0"><tbody>${rows(properties)}</tbody></table>
+      </div>
+      <div class="col-md-6">
+        <h6>Checks</h6>
+        <table class="table table-sm mb-0"><tbody>${rows(checks)}</tbody></table>
+        ${info.encrypted ? '<small class="text-muted">The PDF is encrypted; its metadata could not be read.</small>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Format the metadata of the spec: specConfig next to the document, then the other fields
+ * @param {Object|null} metadata - Metadata from specMetadata.extractMetadata
+ * @param {Error|null} error - Error reading the metadata, if any
+ * @returns {string} HTML string for the metadata
+ */
+function formatSpecMetadata(metadata, error = null) {
+  if (!metadata) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        The spec metadata could not be read${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  const config = metadata.config || { authors: [], editors: [], other: [] };
+  const doc = metadata.document;
+  const empty = '<span class="text-muted">–</span>';
+  const value = text => text ? escapeHtml(text) : empty;
+  const link = (text, url) => {
+    if (!text) return empty;
+    const href = safeUrl(url || text);
+    return href ? `<a href="${escapeHtml(href)}" target="_blank">${escapeHtml(text)}</a>` : value(text);
+  };
+  // The logo is only shown when its URL is safe; it links to logo_link, or else to the image itself
+  const logoUrl = safeUrl(config.logoUrl);
+  const logoImage = logoUrl
+    ? `<a href="${escapeHtml(safeUrl(config.logoLink) || logoUrl)}" target="_blank"><img src="${escapeHtml(logoUrl)}" alt="Logo" style="max-height: 32px;" class="me-2"></a>`
+    : '';
+  const flagged = new Set(metadata.inconsistencies.map(issue => issue.field));
+
+  const rows = [
+    ['title', 'Title', value(config.title), value(doc.title)],
+    ['heading', 'First heading', value(config.title), value(doc.heading)],
+    ['description', 'Description', value(config.description), value(doc.description)],
+    ['author', 'Authors', value(config.authors.join(', ')), value(doc.author)],
+    ['editors', 'Editors', value(config.editors.join(', ')), value(null)],
+    ['status', 'Status', value(config.status), value(null)],
+    ['logo', 'Logo', config.logo
+      ? `${logoImage}<code>${escapeHtml(config.logo)}</code>`
+      : value(null), value(null)],
+    ['favicon', 'Favicon', value(config.favicon), link(doc.favicon, doc.faviconUrl)],
+    ['language', 'Language', value(null), value(doc.language)],
+    ['generator', 'Generator', value(null), value(doc.generator)]
+  ].filter(([field, , fromConfig, fromDoc]) => field === 'title' || fromConfig !== empty || fromDoc !== empty);
+
+  const issues = metadata.inconsistencies.length ? `
+    <div class="alert alert-warning py-2">
+      <ul class="mb-0">
+        ${metadata.inconsistencies.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+      </ul>
+    </div>
+  ` : '';
+
+  const other = config.other.length ? `
+    <details class="mt-3">
+      <summary>Other specConfig fields (${config.other.length})</summary>
+      <table class="table table-sm mb-0">
+        <tbody>
+          ${config.other.map(field => `<tr><th class="fw-normal"><code>${escapeHtml(field.key)}</code></th><td class="text-break"><code>${escapeHtml(field.value)}</code></td></tr>`).join('')}
+        </tbody>
+      </table>
+    </details>
+  ` : '';
+
+  const metaTags = doc.meta.length ? `
+    <details class="mt-3">
+      <summary>Other &lt;meta&gt; tags (${doc.meta.length})</summary>
+      <table class="table table-sm mb-0">
+        <tbody>
+          ${doc.meta.map(meta => `<tr><th class="fw-normal"><code>${escapeHtml(meta.name)}</code></th><td class="text-break">${value(meta.content)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </details>
+  ` : '';
+
+  return `
+    ${issues}
+    ${metadata.config ? '' : '<p class="text-muted"><i class="bi bi-info-circle me-1"></i>The page has no specConfig; only the document metadata is shown.</p>'}
+    <div class="table-responsive">
+      <table class="table table-sm align-middle mb-0">
+        <thead><tr><th></th><th>specConfig</th><th>Document</th></tr></thead>
+        <tbody>
+          ${rows.map(([field, label, fromConfig, fromDoc]) => `
+            <tr${flagged.has(field) ? ' class="table-warning"' : ''}>
+              <th class="fw-normal text-muted">${label}</th>
+              <td>${fromConfig}</td>
+              <td>${fromDoc}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${other}
+    ${metaTags}
+  `;
+}
+
 /**
  * Format PDF status as HTML
  * @param {boolean} exists - Whether PDF exists
  * @param {Error|null} error - Error if any
+ * @param {Object|null} info - PDF inspection, if the PDF could be inspected
+ * @param {Error|null} inspectError - Error inspecting the PDF, if any
  * @returns {string} HTML string for PDF status
  */
-function formatPdfStatus(exists, error = null) {
+function formatPdfStatus(exists, error = null, info = null, inspectError = null) {
   if (exists) {
+    let details = '';
+    if (info) {
+      details = formatPdfDetails(info);
+    } else if (inspectError) {
+      details = `
+        <p class="mb-0 mt-3 text-warning">
+          <i class="bi bi-exclamation-triangle-fill me-1"></i>
+          The PDF could not be inspected: ${escapeHtml(inspectError.message)}
+        </p>
+      `;
+    }
     return `
       <div class="d-flex align-items-center">
         <div class="rounded-circle bg-success text-white p-2 me-3">
@@ -223,6 +489,7 @@ function formatPdfStatus(exists, error = null) {
           <p class="mb-0 text-success"><i class="bi bi-check-circle-fill me-1"></i> The PDF version of this specification is available.</p>
         </div>
       </div>
+      ${details}
     `;
   } else {
     return `
@@ -234,7 +501,7 @@ function formatPdfStatus(exists, error = null) {
           <h5 class="mb-1">PDF Document Not Found</h5>
           <p class="mb-0 text-warning">
             <i class="bi bi-exclamation-triangle-fill me-1"></i>
-            ${error ? `Error: ${error.message}` : 'The PDF version of this specification could not be found.'}
+            ${error ? `Error: ${escapeHtml(error.message)}` : 'The PDF version of this specification could not be found.'}
           </p>
           <small class="text-muted mt-2">PDF files make specifications more accessible and preserve content for offline reading.</small>
         </div>
@@ -245,22 +512,22 @@ function formatPdfStatus(exists, error = null) {
 
 /**
  * Format spec-up version information as HTML (supports both original and TypeScript variants)
- * @param {string|null} version - The detected Spec-Up version or null if not found
+ * @param {string|null} version - The version declared in package.json or null if not found
  * @param {boolean} isOriginal - Whether this is the original spec-up (true) or spec-up-t (false)
+ * @param {Object|null} lock - Exact version from the lockfile (file, version, integrity, checksum, resolved), if found
+ * @param {Error|null} lockError - Error reading the lockfile, if any
  * @returns {string} HTML string for version info
  */
-function formatSpecUpVersion(version, isOriginal = false) {
+function formatSpecUpVersion(version, isOriginal = false, lock = null, lockError = null) {
   const toolName = isOriginal ? 'Build Tool: Spec-Up (Original)' : 'Build Tool: Spec-Up-T';
   const bgColor = isOriginal ? 'success' : 'info';
-  const description = isOriginal 
-    ? `This specification was built using the original Spec-Up build tool (version ${version}). This is the GitHub repo/npm package version that generated the HTML specification.`
-    : `This specification was built using Spec-Up-T build tool (version ${version}). This is the GitHub repo/npm package version that generated the HTML specification.`;
+  const packageName = isOriginal ? 'spec-up' : 'spec-up-t';
   const notDetectedTitle = isOriginal ? 'Build Tool: Spec-Up (Original)' : 'Build Tool: Spec-Up-T Not Detected';
   const notDetectedMessage = isOriginal
     ? 'This specification was built using the original Spec-Up build tool, but the version is not specified in package.json.'
     : 'Could not determine which version of the Spec-Up-T build tool was used to generate this specification.';
 
-  if (version) {
+  if (version && lock) {
     return `
       <div class="d-flex align-items-center">
         <div class="rounded-circle bg-${bgColor} text-white p-2 me-3">
@@ -268,18 +535,35 @@ function formatSpecUpVersion(version, isOriginal = false) {
         </div>
         <div>
           <h5 class="mb-1">${toolName}</h5>
-          <p class="mb-0"><code>${version}</code></p>
-          <small class="text-muted">${description}</small>
-          <div class="mt-2 p-2 bg-light rounded">
-            <small class="text-info">
-              <i class="bi bi-info-circle me-1"></i>
-              <strong>About Build Tool Versions:</strong> 
-              This shows the version of the GitHub repository/npm package used to generate the specification HTML.
-              Symbols like <code>^</code>, <code>~</code>, or <code>*</code> indicate version ranges, not exact versions.
-              <code>^1.0.8</code> means "compatible with 1.0.8" (allows 1.x.x but not 2.0.0).
-              <code>~1.0.8</code> means "reasonably close to 1.0.8" (allows 1.0.x but not 1.1.0).
-            </small>
-          </div>
+          <p class="mb-0"><code>${escapeHtml(lock.version)}</code></p>
+          <small class="text-muted">
+            Installed version of <code>${packageName}</code> according to <code>${escapeHtml(lock.file)}</code>;
+            package.json declares <code>${escapeHtml(version)}</code>.
+          </small>
+          ${lock.integrity ? `
+          <div class="mt-1 text-break">
+            <small class="text-muted">Integrity: <code>${escapeHtml(lock.integrity)}</code></small>
+          </div>` : ''}
+          ${lock.checksum ? `
+          <div class="mt-1 text-break">
+            <small class="text-muted">Yarn checksum (of Yarn's package archive, not an npm integrity hash): <code>${escapeHtml(lock.checksum)}</code></small>
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  } else if (version) {
+    const reason = lockError
+      ? `The lockfile could not be read (${escapeHtml(lockError.message)}), so this is the version declared in package.json.`
+      : 'No lockfile (package-lock.json, yarn.lock or pnpm-lock.yaml) lists it, so this is the version declared in package.json.';
+    return `
+      <div class="d-flex align-items-center">
+        <div class="rounded-circle bg-${bgColor} text-white p-2 me-3">
+          <i class="bi bi-hammer fs-3"></i>
+        </div>
+        <div>
+          <h5 class="mb-1">${toolName}</h5>
+          <p class="mb-0"><code>${escapeHtml(version)}</code></p>
+          <small class="text-muted">${reason}</small>
         </div>
       </div>
     `;
@@ -308,6 +592,65 @@ function formatSpecUpVersion(version, isOriginal = false) {
   }
 }
 
+/**
+ * Format how far the build tool is behind its latest release, for the build tool card
+ * @param {Object|null} update - Result of npmRegistry.checkForUpdates
+ * @param {Error|null} error - Error querying the registry, if any
+ * @returns {string} HTML string for the update status
+ */
+function formatBuildToolUpdate(update, error = null) {
+  if (error) {
+    return `
+      <p class="mb-0 mt-3 text-muted">
+        <i class="bi bi-cloud-slash me-1"></i>
+        Could not look up the latest release: ${escapeHtml(error.message)}
+      </p>
+    `;
+  }
+  if (!update) return '';
+
+  const formatDate = value => value ? escapeHtml(new Date(value).toLocaleDateString()) : '–';
+  const statuses = {
+    'up-to-date': ['success', 'Up to date', `${escapeHtml(update.version)} is the latest release.`],
+    'minor-behind': ['warning text-dark', 'Minor versions behind', `${update.newerReleases.length} newer release(s) in the same major version.`],
+    'major-behind': ['danger', 'Major version behind', `The latest release is a new major version; ${update.newerReleases.length} newer release(s) in total.`],
+    'unknown': ['secondary', 'Unknown', `<code>${escapeHtml(update.declared)}</code> is not a published release of ${escapeHtml(update.name)}.`]
+  };
+  const [badge, label, description] = statuses[update.status] || statuses.unknown;
+
+  const releases = update.newerReleases.slice().reverse();
+  const rows = releases.map(release => `
+    <tr>
+      <td><code>${escapeHtml(release.version)}</code>${release.version === update.latest ? ' <span class="badge bg-primary">latest</span>' : ''}</td>
+      <td>${formatDate(release.date)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="mt-3">
+      <h6>
+        Latest Release
+        <span class="badge bg-${badge} ms-1">${label}</span>
+      </h6>
+      <p class="mb-1">
+        ${update.latest ? `<code>${escapeHtml(update.latest)}</code>, published ${formatDate(update.latestDate)}.` : 'No latest release is tagged.'}
+        ${description}
+      </p>
+      ${releases.length ? `
+      <details>
+        <summary>Releases since ${escapeHtml(update.version)}${update.versionDate ? ` (published ${formatDate(update.versionDate)})` : ''}</summary>
+        <div class="table-responsive">
+          <table class="table table-sm mb-0">
+            <thead><tr><th>Version</th><th>Published</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </details>` : ''}
+      <small class="text-muted">Releases from ${escapeHtml(update.registry)}</small>
+    </div>
+  `;
+}
+
 /**
  * Format version information as HTML
  * @param {Object} versionInfo - Version information object
@@ -339,6 +682,15 @@ function formatVersionInfo(versionInfo) {
     `;
   }
 
+  // How the versions were discovered (versionCheck.VERSION_SOURCE)
+  const versionSourceLabels = {
+    'version-menu': 'the version menu of the spec',
+    'directory-listing': 'the versions directory listing',
+    'github-api': 'the GitHub API (GitHub Pages branch)',
+    'probe': 'probing common version names (may be incomplete)',
+    'local': 'the local versions folder'
+  };
+
   // Ensure we have a baseUrl for constructing version links
   let baseUrl = versionInfo.baseUrl || '';
   if (baseUrl && !baseUrl.endsWith('/')) {
@@ -349,10 +701,10 @@ function formatVersionInfo(versionInfo) {
   if (versionInfo.versions && versionInfo.versions.length > 0) {
     versionLinks = '<div class="version-list"><div class="list-group">';
     versionInfo.versions.forEach(version => {
-      const versionUrl = `${baseUrl}versions/${version}/`;
+      const versionUrl = `${baseUrl}versions/${encodeURIComponent(version)}/`;
       versionLinks += `
-        <a href="${versionUrl}" target="_blank" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center">
-          <span><i class="bi bi-clock-history me-2"></i>${version}</span>
+        <a href="${escapeHtml(versionUrl)}" target="_blank" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center">
+          <span><i class="bi bi-clock-history me-2"></i>${escapeHtml(version)}</span>
           <span class="badge bg-primary rounded-pill">
             <i class="bi bi-box-arrow-up-right"></i>
           </span>
@@ -374,6 +726,7 @@ function formatVersionInfo(versionInfo) {
             <i class="bi bi-check-circle-fill me-1 text-success"></i>
             This specification has ${versionInfo.count} archived version${versionInfo.count !== 1 ? 's' : ''} available.
           </p>
+          ${versionInfo.source ? `<small class="text-muted">Found via ${escapeHtml(versionSourceLabels[versionInfo.source] || versionInfo.source)}</small>` : ''}
           <div class="mt-2 p-2 bg-light rounded">
             <small class="text-info">
               <i class="bi bi-info-circle me-1"></i>
@@ -468,9 +821,10 @@ function formatLastModified(lastModified, headers = {}) {
  * Generate HTML footer with links and information
  * @param {string} version - Specalyzer version
  * @param {string} url - The URL that was analyzed
+ * @param {string} command - Command shown when the user asks to refresh the report
  * @returns {string} HTML footer string
  */
-function generateHtmlFooter(version, url) {
+function generateHtmlFooter(version, url, command = `npx specalyzer ${url} --html`) {
   const currentYear = new Date().getFullYear();
 
   return `
@@ -496,8 +850,7 @@ function generateHtmlFooter(version, url) {
   <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js"></script>
   <script>
     function refreshReport() {
-      const url = "${url}";
-      const command = "npx specalyzer " + url + " --html";
+      const command = ${JSON.stringify(command)};
       
       if (confirm("This will run the following command in your terminal:\\n\\n" + command + "\\n\\nContinue?")) {
         const newTab = window.open('', '_blank');
@@ -510,16 +863,900 @@ function generateHtmlFooter(version, url) {
 </html>`;
 }
 
+/**
+ * Format link check results as HTML
+ * @param {Object|null} linkCheck - Link check summary from linkCheck.checkLinks
+ * @param {Error|null} error - Error if the check failed
+ * @returns {string} HTML string for link health info
+ */
+function formatLinkCheck(linkCheck, error = null) {
+  if (!linkCheck) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        Links could not be checked${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  const brokenCount = linkCheck.brokenLinks.length;
+  const externalNote = linkCheck.external.checked
+    ? `${linkCheck.external.unique} unique external URL${linkCheck.external.unique !== 1 ? 's' : ''} checked`
+    : 'external links were not checked';
+
+  const summary = `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle bg-${brokenCount ? 'warning' : 'success'} text-white p-2 me-3">
+        <i class="bi bi-link-45deg fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">${brokenCount ? `${brokenCount} Broken Link${brokenCount !== 1 ? 's' : ''} Found` : 'All Links Resolve'}</h5>
+        <p class="mb-0">
+          <span class="badge bg-secondary me-1">${linkCheck.internal.total} internal anchors</span>
+          <span class="badge bg-secondary me-1">${linkCheck.external.total} external links</span>
+        </p>
+        <small class="text-muted">Internal anchors are matched against element ids in the document; ${externalNote}.</small>
+      </div>
+    </div>
+  `;
+
+  if (!brokenCount) {
+    return summary;
+  }
+
+  const groups = linkCheck.bySection.map(group => `
+    <h6 class="mt-3"><i class="bi bi-bookmark me-1"></i>${escapeHtml(group.section)}</h6>
+    <ul class="list-group">
+      ${group.links.map(link => `
+        <li class="list-group-item d-flex justify-content-between align-items-start">
+          <div>
+            <code>${escapeHtml(link.href)}</code>
+            ${link.text ? `<div class="small text-muted">${escapeHtml(link.text)}</div>` : ''}
+          </div>
+          <span class="badge bg-${link.type === 'internal' ? 'warning text-dark' : 'danger'}">${escapeHtml(link.error)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `).join('');
+
+  return `${summary}<div class="version-list">${groups}</div>`;
+}
+
+/**
+ * Format terminology analysis as HTML
+ * @param {Object|null} terms - Terminology analysis from terminology.analyzeTerminology
+ * @param {Error|null} error - Error if the analysis failed
+ * @returns {string} HTML string for terminology info
+ */
+function formatTerminology(terms, error = null) {
+  if (!terms) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        Terminology could not be analyzed${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  if (!terms.found) {
+    return `
+      <div class="d-flex align-items-center">
+        <div class="rounded-circle bg-secondary text-white p-2 me-3">
+          <i class="bi bi-book fs-3"></i>
+        </div>
+        <div>
+          <h5 class="mb-1">No Terminology Found</h5>
+          <p class="mb-0 text-muted">
+            <i class="bi bi-info-circle me-1"></i>
+            This specification has no term definitions or term references.
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  // Render a titled list of term problems, or nothing when the list is empty
+  const problemList = (title, items, badgeClass) => {
+    if (!items.length) return '';
+    return `
+      <h6 class="mt-3">${title} <span class="badge ${badgeClass}">${items.length}</span></h6>
+      <div class="d-flex flex-wrap gap-1">
+        ${items.map(item => `<code class="border rounded px-1">${escapeHtml(item)}</code>`).join('')}
+      </div>
+    `;
+  };
+
+  return `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle bg-info text-white p-2 me-3">
+        <i class="bi bi-book fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">Terms and Definitions</h5>
+        <p class="mb-0">
+          <span class="badge bg-primary me-1">${terms.definitions.length} defined terms</span>
+          <span class="badge bg-secondary me-1">${terms.referenceCount} references</span>
+        </p>
+        <small class="text-muted">Defined terms come from the terms-and-definitions list; references are links to <code>#term:</code> anchors.</small>
+      </div>
+    </div>
+    ${problemList('References to Undefined Terms', terms.undefinedReferences.map(r => `${r.term} (${r.count}×)`), 'bg-danger')}
+    ${problemList('Duplicate Definitions', terms.duplicates.map(d => `${d.term} (${d.count}×)`), 'bg-warning text-dark')}
+    ${problemList('Defined but Never Referenced', terms.unused, 'bg-secondary')}
+    <details class="mt-3">
+      <summary>All defined terms</summary>
+      <div class="version-list">
+        ${terms.definitions.map(d => `<code class="me-2">${escapeHtml(d.term)}</code>${d.transcluded ? '<span class="badge bg-light text-dark me-2">external</span>' : ''}`).join('')}
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Format one node of the document outline and its subsections as HTML
+ * @param {Object} node - Outline node from structure.analyzeStructure
+ * @returns {string} HTML list item
+ */
+function formatOutlineNode(node) {
+  const problem = node.issues.length > 0;
+  const issues = node.issues.map(issue =>
+    `<div class="small text-warning-emphasis ms-3"><i class="bi bi-exclamation-triangle me-1"></i>${escapeHtml(issue.message)}</div>`
+  ).join('');
+  const children = node.children.length
+    ? `<ul>${node.children.map(formatOutlineNode).join('')}</ul>`
+    : '';
+
+  return `
+    <li class="${problem ? 'outline-node-problem' : ''}">
+      <span class="outline-label">
+        <span class="badge bg-light text-dark me-1">h${node.level}</span>${escapeHtml(node.text || '(empty heading)')}
+        ${node.id ? `<code class="small text-muted ms-1">#${escapeHtml(node.id)}</code>` : ''}
+      </span>
+      ${issues}
+      ${children}
+    </li>
+  `;
+}
+
+/**
+ * Format the document structure analysis as HTML
+ * @param {Object|null} structure - Result of structure.analyzeStructure
+ * @param {Error|null} error - Error if the analysis failed
+ * @returns {string} HTML string with the outline tree and structure problems
+ */
+function formatStructure(structure, error = null) {
+  if (!structure) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        The document structure could not be analyzed${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  if (structure.headingCount === 0) {
+    return `
+      <div class="d-flex align-items-center">
+        <div class="rounded-circle bg-secondary text-white p-2 me-3">
+          <i class="bi bi-list-nested fs-3"></i>
+        </div>
+        <div>
+          <h5 class="mb-1">No Headings Found</h5>
+          <p class="mb-0 text-muted">
+            <i class="bi bi-info-circle me-1"></i>
+            This specification has no headings to build an outline from.
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  const toc = structure.toc;
+  const tocBadge = toc.found
+    ? `<span class="badge bg-secondary me-1">${toc.entries} table of contents entries</span>`
+    : '<span class="badge bg-light text-dark me-1">no table of contents</span>';
+
+  // Problems that belong to no heading, such as TOC entries pointing nowhere or duplicate ids of other elements
+  const detached = structure.issues.filter(issue => !issue.heading);
+
+  return `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle ${structure.issues.length ? 'bg-warning' : 'bg-info'} text-white p-2 me-3">
+        <i class="bi bi-list-nested fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">${structure.issues.length ? `${structure.issues.length} Structure Problem${structure.issues.length === 1 ? '' : 's'}` : 'Well-Formed Outline'}</h5>
+        <p class="mb-0">
+          <span class="badge bg-primary me-1">${structure.headingCount} headings</span>
+          ${tocBadge}
+          ${structure.duplicateIds.length ? `<span class="badge bg-warning text-dark me-1">${structure.duplicateIds.length} duplicate ids</span>` : ''}
+        </p>
+        <small class="text-muted">Checks heading levels, empty sections, duplicate ids, the table of contents and section numbering.</small>
+      </div>
+    </div>
+    ${detached.length ? `
+      <h6 class="mt-3">Other Problems <span class="badge bg-warning text-dark">${detached.length}</span></h6>
+      <ul class="small mb-0">
+        ${detached.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    <details class="mt-3"${structure.issues.length ? ' open' : ''}>
+      <summary>Outline</summary>
+      <div class="version-list">
+        <ul class="outline-tree">
+          ${structure.outline.map(formatOutlineNode).join('')}
+        </ul>
+      </div>
+    </details>
+  `;
+}
+
+/**
+ * Format the accessibility audit as HTML
+ * @param {Object|null} audit - Result of accessibility.auditAccessibility
+ * @param {Error|null} error - Error if the audit failed
+ * @returns {string} HTML string with counts per category and the findings
+ */
+function formatAccessibility(audit, error = null) {
+  if (!audit) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        Accessibility could not be audited${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  const labels = {
+    language: 'Page language',
+    images: 'Images without alt text',
+    tables: 'Tables without headers',
+    links: 'Non-descriptive links',
+    forms: 'Unlabelled form controls',
+    headings: 'Heading order'
+  };
+
+  const rows = Object.keys(audit.counts).map(category => `
+    <tr${audit.counts[category] ? ' class="table-warning"' : ''}>
+      <td>${labels[category] || escapeHtml(category)}</td>
+      <td class="text-end">
+        ${audit.counts[category]
+          ? `<span class="badge bg-warning text-dark">${audit.counts[category]}</span>`
+          : '<i class="bi bi-check-circle-fill text-success"></i>'}
+      </td>
+    </tr>
+  `).join('');
+
+  const findings = audit.findings.length ? `
+    <details class="mt-3" open>
+      <summary>Findings</summary>
+      <ul class="small mt-2 mb-0">
+        ${audit.findings.map(finding => `
+          <li>
+            <span class="badge bg-light text-dark me-1">${escapeHtml(finding.category)}</span>
+            ${escapeHtml(finding.message)}
+          </li>
+        `).join('')}
+      </ul>
+    </details>
+  ` : '';
+
+  return `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle ${audit.total ? 'bg-warning' : 'bg-success'} text-white p-2 me-3">
+        <i class="bi bi-universal-access fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">${audit.total ? `${audit.total} Accessibility Problem${audit.total === 1 ? '' : 's'}` : 'No Accessibility Problems Found'}</h5>
+        <small class="text-muted">An offline check of the page markup; it does not replace testing with assistive technology.</small>
+      </div>
+    </div>
+    <table class="table table-sm mb-0">
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ${findings}
+  `;
+}
+
+/**
+ * Format external term reference checks as HTML
+ * @param {Object|null} refs - Result of externalRefs.checkExternalReferences
+ * @param {Error|null} error - Error if the check failed
+ * @returns {string} HTML string for external reference info
+ */
+function formatExternalRefs(refs, error = null) {
+  if (!refs) {
+    return `
+      <div class="alert alert-warning mb-0">
+        <i class="bi bi-exclamation-triangle-fill me-1"></i>
+        External term references could not be checked${error ? `: ${escapeHtml(error.message)}` : '.'}
+      </div>
+    `;
+  }
+
+  if (refs.summary.total === 0) {
+    return `
+      <div class="d-flex align-items-center">
+        <div class="rounded-circle bg-secondary text-white p-2 me-3">
+          <i class="bi bi-box-arrow-in-down-right fs-3"></i>
+        </div>
+        <div>
+          <h5 class="mb-1">No External Term References</h5>
+          <p class="mb-0 text-muted">
+            <i class="bi bi-info-circle me-1"></i>
+            This specification does not reference terms from other specifications (<code>[[xref:]]</code> or <code>[[tref:]]</code>).
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  const statusLabels = {
+    'ok': '<span class="badge bg-success">OK</span>',
+    'missing': '<span class="badge bg-danger">Missing</span>',
+    'renamed': '<span class="badge bg-warning text-dark">Renamed?</span>',
+    'spec-unavailable': '<span class="badge bg-secondary">Spec unavailable</span>',
+    'unknown-spec': '<span class="badge bg-secondary">Unknown spec</span>'
+  };
+
+  const problems = refs.references.filter(ref => ref.status !== 'ok' && ref.status !== 'not-checked');
+  const notChecked = refs.summary.notChecked || 0;
+  const problemRows = problems.map(ref => `
+    <tr>
+      <td><span class="badge bg-light text-dark">${ref.type}</span></td>
+      <td>${ref.spec ? `<code>${escapeHtml(ref.spec)}</code>` : '<span class="text-muted">?</span>'}</td>
+      <td><code>${escapeHtml(ref.term)}</code>${ref.suggestion ? `<div class="small text-muted">Did you mean <code>${escapeHtml(ref.suggestion)}</code>?</div>` : ''}</td>
+      <td>${statusLabels[ref.status] || escapeHtml(ref.status)}</td>
+    </tr>
+  `).join('');
+
+  // Spec URLs come from the analyzed page: only http(s) and relative URLs are linked
+  const specLink = url => {
+    const href = safeUrl(url);
+    return href ? `<a href="${escapeHtml(href)}" target="_blank">${escapeHtml(url)}</a>` : escapeHtml(url);
+  };
+  const specItems = refs.specs.map(spec => `
+    <li class="list-group-item d-flex justify-content-between align-items-center">
+      <span>${spec.name ? `<strong>${escapeHtml(spec.name)}</strong> – ` : ''}${specLink(spec.url)}</span>
+      ${spec.available === null
+        ? '<span class="badge bg-light text-dark">Not fetched</span>'
+        : (spec.available
+          ? `<span class="badge bg-primary rounded-pill">${spec.termCount} terms</span>`
+          : `<span class="badge bg-danger">${escapeHtml(spec.error || 'Unavailable')}</span>`)}
+    </li>
+  `).join('');
+
+  return `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle bg-${problems.length ? 'warning' : 'success'} text-white p-2 me-3">
+        <i class="bi bi-box-arrow-in-down-right fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">${refs.summary.ok} of ${refs.summary.total} External References Resolve</h5>
+        <p class="mb-0">
+          <span class="badge bg-danger me-1">${refs.summary.broken} broken</span>
+          <span class="badge bg-secondary me-1">${refs.summary.unresolved} unresolved</span>
+          ${notChecked ? `<span class="badge bg-light text-dark me-1">${notChecked} not checked</span>` : ''}
+        </p>
+        <small class="text-muted">Referenced specs are resolved through <code>external_specs</code> in specs.json and fetched to confirm the term is still defined there${notChecked ? '; a local directory is analyzed offline, so they were not fetched' : ''}.</small>
+      </div>
+    </div>
+    ${problems.length ? `
+      <div class="table-responsive">
+        <table class="table table-sm align-middle">
+          <thead><tr><th>Type</th><th>Spec</th><th>Term</th><th>Status</th></tr></thead>
+          <tbody>${problemRows}</tbody>
+        </table>
+      </div>
+    ` : ''}
+    ${specItems ? `<h6 class="mt-3">Referenced Specifications</h6><ul class="list-group">${specItems}</ul>` : ''}
+  `;
+}
+
+/**
+ * Format specs.json validation and effective configuration as HTML
+ * @param {Object|null} validation - Result of specsJson.validateSpecsJson
+ * @param {Array<{values: Object, defaulted: string[]}>} effectiveConfig - Result of specsJson.getEffectiveConfig
+ * @param {Error|null} error - Error if specs.json could not be fetched
+ * @returns {string} HTML string for specs.json info
+ */
+function formatSpecsJson(validation, effectiveConfig = [], error = null) {
+  if (!validation) {
+    return `
+      <div class="d-flex align-items-center">
+        <div class="rounded-circle bg-warning text-white p-2 me-3">
+          <i class="bi bi-sliders fs-3"></i>
+        </div>
+        <div>
+          <h5 class="mb-1">specs.json Not Available</h5>
+          <p class="mb-0 text-muted">
+            <i class="bi bi-info-circle me-1"></i>
+            ${error ? `Could not fetch specs.json: ${escapeHtml(error.message)}` : 'Could not fetch specs.json from the repository.'}
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  const severityBadge = {
+    error: 'bg-danger',
+    warning: 'bg-warning text-dark'
+  };
+
+  const issueRows = validation.issues.map(issue => `
+    <tr>
+      <td><code>${escapeHtml(issue.path)}</code></td>
+      <td><span class="badge ${severityBadge[issue.severity]}">${issue.type}</span></td>
+      <td>${escapeHtml(issue.message)}</td>
+    </tr>
+  `).join('');
+
+  const configBlocks = effectiveConfig.map((config, index) => {
+    const rows = Object.entries(config.values).map(([key, value]) => `
+      <tr>
+        <td><code>${escapeHtml(key)}</code></td>
+        <td><pre class="mb-0 small">${escapeHtml(JSON.stringify(value, null, 2))}</pre></td>
+        <td>${config.defaulted.includes(key) ? '<span class="badge bg-light text-dark">default</span>' : ''}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <details class="mt-3"${effectiveConfig.length === 1 ? ' open' : ''}>
+        <summary>Effective configuration${effectiveConfig.length > 1 ? ` of <code>specs[${index}]</code>` : ''}</summary>
+        <div class="version-list">
+          <table class="table table-sm mb-0">
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </details>
+    `;
+  }).join('');
+
+  return `
+    <div class="d-flex align-items-center mb-3">
+      <div class="rounded-circle bg-${validation.valid ? 'secondary' : 'danger'} text-white p-2 me-3">
+        <i class="bi bi-sliders fs-3"></i>
+      </div>
+      <div>
+        <h5 class="mb-1">${validation.valid ? 'specs.json Is Valid' : 'specs.json Has Errors'}</h5>
+        <p class="mb-0">
+          ${validation.issues.length
+            ? `<i class="bi bi-exclamation-triangle-fill me-1 text-warning"></i>${validation.issues.length} issue${validation.issues.length !== 1 ? 's' : ''} found`
+            : '<i class="bi bi-check-circle-fill me-1 text-success"></i>No issues found'}
+        </p>
+        <small class="text-muted">Validated against the known Spec-Up-T configuration keys.</small>
+      </div>
+    </div>
+    ${issueRows ? `
+      <div class="table-responsive">
+        <table class="table table-sm align-middle">
+          <thead><tr><th>Path</th><th>Issue</th><th>Details</th></tr></thead>
+          <tbody>${issueRows}</tbody>
+        </table>
+      </div>
+    ` : ''}
+    ${configBlocks}
+  `;
+}
+
+/**
+ * Format the results and findings of all rules
+ * @param {Array<Object>} ruleResults - Rule results from rules.runRules
+ * @returns {string} HTML string for the findings
+ */
+function formatFindings(ruleResults) {
+  const statusBadges = {
+    pass: '<span class="badge bg-success">pass</span>',
+    info: '<span class="badge bg-secondary">info</span>',
+    warn: '<span class="badge bg-warning text-dark">warn</span>',
+    error: '<span class="badge bg-danger">error</span>'
+  };
+  const severityClasses = {
+    error: 'text-danger',
+    warning: 'text-warning',
+    info: 'text-secondary'
+  };
+
+  const findings = ruleResults.flatMap(rule => rule.findings);
+  const countBySeverity = severity => findings.filter(f => f.severity === severity).length;
+
+  const rows = ruleResults.map(rule => `
+    <tr>
+      <td>${statusBadges[rule.status]}</td>
+      <td><code>${escapeHtml(rule.id)}</code></td>
+      <td>
+        ${escapeHtml(rule.message)}
+        ${rule.findings.length ? `
+          <ul class="list-unstyled small mb-0 mt-1">
+            ${rule.findings.map(f => `
+              <li>
+                <span class="${severityClasses[f.severity]}">${escapeHtml(f.severity)}</span>
+                ${escapeHtml(f.message)}
+                ${f.location ? `<span class="text-muted">— ${escapeHtml(f.location)}</span>` : ''}
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </td>
+    </tr>
+  `).join('');
+
+  return `
+    <p class="mb-2">
+      <span class="badge bg-danger me-1">${countBySeverity('error')} errors</span>
+      <span class="badge bg-warning text-dark me-1">${countBySeverity('warning')} warnings</span>
+      <span class="badge bg-secondary me-1">${countBySeverity('info')} info</span>
+    </p>
+    <div class="table-responsive">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Status</th><th>Rule</th><th>Result</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Format the changes between two analysis runs
+ * @param {Object} diff - Differences from runHistory.diffRuns
+ * @returns {string} HTML string for the changes
+ */
+function formatRunDiff(diff) {
+  const since = `<small class="text-muted">Compared with the run of ${escapeHtml(diff.before.generatedAt)}.</small>`;
+
+  if (!diff.changes.length) {
+    return `
+      <p class="mb-1"><i class="bi bi-check-circle-fill text-success me-1"></i>No changes since the previous run.</p>
+      ${since}
+    `;
+  }
+
+  const typeBadges = {
+    regression: '<span class="badge bg-danger">Regression</span>',
+    improvement: '<span class="badge bg-success">Improvement</span>',
+    change: '<span class="badge bg-secondary">Change</span>'
+  };
+
+  // Regressions first, then improvements, then other changes
+  const order = ['regression', 'improvement', 'change'];
+  const rows = diff.changes
+    .slice()
+    .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type))
+    .map(change => `
+      <tr>
+        <td>${typeBadges[change.type]}</td>
+        <td><code>${escapeHtml(change.id)}</code></td>
+        <td>${escapeHtml(change.message)}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <p class="mb-2">
+      <span class="badge bg-danger me-1">${diff.summary.regressions} regressions</span>
+      <span class="badge bg-success me-1">${diff.summary.improvements} improvements</span>
+      <span class="badge bg-secondary me-1">${diff.summary.changes} other changes</span>
+    </p>
+    ${since}
+    <div class="table-responsive mt-2">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Type</th><th>Area</th><th>Change</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Format the content changes between two versions of a spec, with a side-by-side view per modified section
+ * @param {Object} diff - Version diff from versionDiff.compareVersions
+ * @returns {string} HTML string for the version comparison
+ */
+function formatVersionDiff(diff) {
+  const link = version => `<a href="${escapeHtml(version.url)}" target="_blank">${escapeHtml(version.name)}</a>`;
+  const heading = `<p class="mb-2">Changes from ${link(diff.from)} to ${link(diff.to)}.</p>`;
+
+  if (diff.error) {
+    return `
+      ${heading}
+      <div class="alert alert-danger mb-0">${escapeHtml(diff.error.message || diff.error)}</div>
+    `;
+  }
+
+  const { summary, sections, terms } = diff;
+  if (!summary.sectionsAdded && !summary.sectionsRemoved && !summary.sectionsModified && !summary.termsAdded && !summary.termsRemoved) {
+    return `${heading}<p class="mb-0"><i class="bi bi-check-circle-fill text-success me-1"></i>The content is identical.</p>`;
+  }
+
+  const sectionList = (list, cssClass) => `
+    <ul class="small mb-2">
+      ${list.map(section => `<li class="${cssClass}">${escapeHtml(section.title)}</li>`).join('')}
+    </ul>
+  `;
+  const termList = (list, badge) => list.map(term => `<span class="badge ${badge} me-1">${escapeHtml(term)}</span>`).join('');
+
+  const rowClasses = {
+    added: ['', 'table-success'],
+    removed: ['table-danger', ''],
+    changed: ['table-danger', 'table-success']
+  };
+  const modified = sections.modified.map(section => `
+    <details class="mb-2">
+      <summary>
+        ${escapeHtml(section.title)}
+        ${section.previousTitle ? `<small class="text-muted">(was “${escapeHtml(section.previousTitle)}”)</small>` : ''}
+        <small class="text-muted">— ${section.rows.length} changed, ${section.unchangedBlocks} unchanged block(s)</small>
+      </summary>
+      <div class="table-responsive mt-1">
+        <table class="table table-sm table-bordered small mb-0" style="table-layout: fixed;">
+          <thead><tr><th>${escapeHtml(diff.from.name)}</th><th>${escapeHtml(diff.to.name)}</th></tr></thead>
+          <tbody>
+            ${section.rows.map(row => `
+              <tr>
+                <td class="${rowClasses[row.type][0]}">${row.before !== null ? escapeHtml(row.before) : ''}</td>
+                <td class="${rowClasses[row.type][1]}">${row.after !== null ? escapeHtml(row.after) : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  `).join('');
+
+  return `
+    ${heading}
+    <p class="mb-3">
+      <span class="badge bg-success me-1">${summary.sectionsAdded} sections added</span>
+      <span class="badge bg-danger me-1">${summary.sectionsRemoved} sections removed</span>
+      <span class="badge bg-warning text-dark me-1">${summary.sectionsModified} sections modified</span>
+      <span class="badge bg-success me-1">${summary.termsAdded} terms added</span>
+      <span class="badge bg-danger me-1">${summary.termsRemoved} terms removed</span>
+    </p>
+    ${sections.added.length ? `<h6>Added sections</h6>${sectionList(sections.added, 'text-success')}` : ''}
+    ${sections.removed.length ? `<h6>Removed sections</h6>${sectionList(sections.removed, 'text-danger')}` : ''}
+    ${terms.added.length ? `<h6>Added terms</h6><p>${termList(terms.added, 'bg-success')}</p>` : ''}
+    ${terms.removed.length ? `<h6>Removed terms</h6><p>${termList(terms.removed, 'bg-danger')}</p>` : ''}
+    ${modified ? `<h6>Modified sections</h6>${modified}` : ''}
+  `;
+}
+
+/**
+ * Render a small inline SVG line chart
+ * @param {Array<number|null>} values - Values in chronological order; null leaves a gap
+ * @param {string[]} labels - Label per value, shown as tooltip
+ * @param {string} unit - Unit shown after the values
+ * @returns {string} SVG markup
+ */
+function renderLineChart(values, labels, unit) {
+  const width = 300;
+  const height = 60;
+  const pad = 6;
+  const known = values.filter(v => v !== null);
+  if (!known.length) {
+    return '<p class="text-muted mb-0"><small>No data.</small></p>';
+  }
+
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const x = i => values.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (values.length - 1);
+  const y = v => max === min ? height / 2 : height - pad - ((v - min) * (height - 2 * pad)) / (max - min);
+
+  // Consecutive known values form one line segment
+  const segments = [];
+  let current = [];
+  values.forEach((v, i) => {
+    if (v === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  const points = values.map((v, i) => v === null ? '' : `
+      <circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2.5" fill="#0d6efd"><title>${escapeHtml(labels[i])}: ${v} ${unit}</title></circle>`).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-100" style="max-height: 90px" role="img">
+      ${segments.map(seg => `<polyline points="${seg.join(' ')}" fill="none" stroke="#0d6efd" stroke-width="1.5"/>`).join('')}
+      ${points}
+    </svg>
+    <div class="d-flex justify-content-between"><small class="text-muted">min ${min} ${unit}</small><small class="text-muted">max ${max} ${unit}</small></div>
+  `;
+}
+
+/**
+ * Format the history of a spec as trend views
+ * @param {Array<Object>} points - Trend points from trends.readTrend, oldest first
+ * @returns {string} HTML string for the trends
+ */
+function formatTrends(points) {
+  const labels = points.map(p => new Date(p.generatedAt).toLocaleString());
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // Build tool versions as consecutive periods
+  const periods = [];
+  points.forEach((p, i) => {
+    const tool = p.buildTool.version ? `${p.buildTool.name || 'unknown'} ${p.buildTool.version}` : 'not detected';
+    const last = periods[periods.length - 1];
+    if (last && last.tool === tool) {
+      last.to = labels[i];
+      last.runs++;
+    } else {
+      periods.push({ tool, from: labels[i], to: labels[i], runs: 1 });
+    }
+  });
+
+  // Age of the deployed spec at the time of each run
+  const freshness = points.map(p => p.lastModified
+    ? Math.max(0, Math.round((new Date(p.generatedAt) - new Date(p.lastModified)) / dayMs))
+    : null);
+
+  // Check status per run
+  const statusColors = { pass: 'bg-success', info: 'bg-secondary', warn: 'bg-warning', error: 'bg-danger' };
+  const checkIds = [...new Set(points.flatMap(p => Object.keys(p.checks || {})))];
+  const checkRows = checkIds.map(id => `
+      <tr>
+        <td><code>${escapeHtml(id)}</code></td>
+        <td>
+          ${points.map((p, i) => {
+            const status = (p.checks || {})[id];
+            return `<span class="d-inline-block rounded ${statusColors[status] || 'bg-light border'}" style="width: 12px; height: 12px" title="${escapeHtml(labels[i])}: ${escapeHtml(status || 'not run')}"></span>`;
+          }).join(' ')}
+        </td>
+      </tr>
+    `).join('');
+
+  return `
+    <p class="mb-3">
+      <span class="badge bg-primary me-1">${points.length} runs</span>
+      <small class="text-muted">since ${escapeHtml(labels[0])}, stored in <code>reports/history/</code></small>
+    </p>
+    <div class="row">
+      <div class="col-md-6 mb-3">
+        <h6>Archived Versions</h6>
+        ${renderLineChart(points.map(p => p.archivedVersions), labels, 'versions')}
+      </div>
+      <div class="col-md-6 mb-3">
+        <h6>Deploy Freshness <small class="text-muted">(days since last update)</small></h6>
+        ${renderLineChart(freshness, labels, 'days')}
+      </div>
+    </div>
+    <h6>Build Tool Version</h6>
+    <div class="table-responsive mb-3">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Version</th><th>From</th><th>To</th><th>Runs</th></tr></thead>
+        <tbody>
+          ${periods.map(period => `
+            <tr>
+              <td>${escapeHtml(period.tool)}</td>
+              <td>${escapeHtml(period.from)}</td>
+              <td>${escapeHtml(period.to)}</td>
+              <td>${period.runs}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <h6>Check History <small class="text-muted">(oldest run on the left)</small></h6>
+    <div class="table-responsive">
+      <table class="table table-sm mb-0">
+        <tbody>${checkRows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Format the aggregated batch dashboard as a sortable HTML table
+ * @param {Array<{url: string, anchor: string, result: Object}>} entries - One entry per analyzed spec
+ * @returns {string} HTML string for the dashboard table
+ */
+function formatBatchDashboard(entries) {
+  const rows = entries.map(({ url, anchor, result }) => {
+    const repo = typeof result.repo === 'string' ? result.repo : '';
+    // The repository URL comes from the spec's own files: only http(s) and relative URLs are linked
+    const repoUrl = safeUrl(repo);
+    let repoCell = '<span class="text-muted">Unknown</span>';
+    if (repoUrl) {
+      repoCell = `<a href="${escapeHtml(repoUrl)}" target="_blank">${escapeHtml(repo)}</a>`;
+    } else if (repo) {
+      repoCell = escapeHtml(repo);
+    }
+    
+    let buildTool = 'Not detected';
+    let toolVersion = result.specUpVersion;
+    if (result.isUsingSpecUp) {
+      buildTool = 'Spec-Up (Original)';
+      toolVersion = result.specUpOriginalVersion;
+    } else if (result.specUpVersion) {
+      buildTool = 'Spec-Up-T';
+    }
+    if (toolVersion && result.buildToolLock) {
+      toolVersion = result.buildToolLock.version;
+    }
+    
+    const pdfBadge = result.pdfExists
+      ? '<span class="badge bg-success">Available</span>'
+      : `<span class="badge bg-warning text-dark">${result.pdfError ? 'Error' : 'Missing'}</span>`;
+    
+    const lastModified = result.lastModified instanceof Date && !isNaN(result.lastModified)
+      ? result.lastModified
+      : null;
+    const archivedCount = result.versionInfo ? result.versionInfo.count : 0;
+    
+    return `
+        <tr${result.error ? ' class="table-danger"' : ''}>
+          <td data-sort="${escapeHtml(url)}"><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></td>
+          <td data-sort="${escapeHtml(repo)}">${repoCell}</td>
+          <td data-sort="${escapeHtml(buildTool)}">${escapeHtml(buildTool)}</td>
+          <td data-sort="${escapeHtml(toolVersion || '')}">${toolVersion ? `<code>${escapeHtml(toolVersion)}</code>` : '<span class="text-muted">–</span>'}</td>
+          <td data-sort="${result.pdfExists ? 1 : 0}">${pdfBadge}</td>
+          <td data-sort="${lastModified ? lastModified.getTime() : 0}">${lastModified ? lastModified.toLocaleDateString() : '<span class="text-muted">Unknown</span>'}</td>
+          <td data-sort="${archivedCount}">${archivedCount}</td>
+          <td><a href="#${anchor}" class="btn btn-sm btn-outline-primary"><i class="bi bi-zoom-in"></i> Details</a></td>
+        </tr>
+      `;
+  }).join('');
+  
+  return `
+    <div class="table-responsive">
+      <table class="table table-hover align-middle sortable-table">
+        <thead>
+          <tr>
+            <th role="button">Spec <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">Repository <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">Build Tool <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">Version <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">PDF <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">Last Updated <i class="bi bi-arrow-down-up"></i></th>
+            <th role="button">Archived Versions <i class="bi bi-arrow-down-up"></i></th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+    <script>
+      document.querySelectorAll('.sortable-table').forEach(function (table) {
+        table.querySelectorAll('th[role="button"]').forEach(function (th, column) {
+          th.addEventListener('click', function () {
+            const tbody = table.tBodies[0];
+            const ascending = th.dataset.order !== 'asc';
+            th.dataset.order = ascending ? 'asc' : 'desc';
+            const rows = Array.from(tbody.rows);
+            rows.sort(function (a, b) {
+              const x = a.cells[column].dataset.sort;
+              const y = b.cells[column].dataset.sort;
+              const numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+              const cmp = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+              return ascending ? cmp : -cmp;
+            });
+            rows.forEach(function (row) { tbody.appendChild(row); });
+          });
+        });
+      });
+    </script>
+  `;
+}
+
 /**
  * Save the HTML report to a file and open it in the default browser
  * @param {string} html - The HTML content to save
  * @param {string} url - The URL that was analyzed
+ * @param {string} [baseFilename] - Filename prefix (derived from the URL host when omitted)
  * @returns {Promise<string>} Path to the saved file
  */
-async function saveAndOpenReport(html, url) {
+async function saveAndOpenReport(html, url, baseFilename) {
   // Create a filename from the URL
-  const urlObj = new URL(url);
-  const baseFilename = urlObj.hostname.replace(/\./g, '_') + '_report';
+  if (!baseFilename) {
+    const urlObj = new URL(url);
+    baseFilename = urlObj.hostname.replace(/\./g, '_') + '_report';
+  }
   const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
   const filename = `${baseFilename}_${timestamp}.html`;
   
@@ -546,13 +1783,27 @@ async function saveAndOpenReport(html, url) {
 }
 
 module.exports = {
+  escapeHtml,
   generateHtmlBoilerplate,
   createCardSection,
   formatRepositoryInfo,
+  formatSpecMetadata,
   formatPdfStatus,
+  formatBuildToolUpdate,
   formatSpecUpVersion,
   formatVersionInfo,
   formatLastModified,
+  formatLinkCheck,
+  formatStructure,
+  formatAccessibility,
+  formatTerminology,
+  formatExternalRefs,
+  formatSpecsJson,
+  formatFindings,
+  formatRunDiff,
+  formatVersionDiff,
+  formatTrends,
+  formatBatchDashboard,
   generateHtmlFooter,
   saveAndOpenReport
 };
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * On-disk HTTP cache
+ * Stores responses keyed by method and URL, together with their ETag and Last-Modified
+ * validators, so repeated runs can skip requests or revalidate them conditionally.
+ * Each entry is a JSON file with the response metadata and, for responses with a body,
+ * a .body file with the raw bytes. Requests with credentials are never cached (see httpClient).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Get the default cache directory, outside the directory the tool is run from
+ * SPECALYZER_CACHE_DIR wins; otherwise $XDG_CACHE_HOME/specalyzer or ~/.cache/specalyzer, and the temp directory without a home
+ * @returns {string} Absolute path of the cache directory
+ */
+function defaultDir() {
+  if (process.env.SPECALYZER_CACHE_DIR) return path.resolve(process.env.SPECALYZER_CACHE_DIR);
+  const home = os.homedir();
+  const base = process.env.XDG_CACHE_HOME || (home ? path.join(home, '.cache') : os.tmpdir());
+  return path.join(base, 'specalyzer');
+}
+
+// Cache-wide settings, adjustable with configure()
+const settings = {
+  enabled: true,
+  maxAge: 300, // Seconds a stored response is used without revalidation
+  maxSize: 100 * 1024 * 1024, // Bytes the cache may hold; the least recently used entries are evicted beyond it
+  maxEntrySize: 10 * 1024 * 1024, // Bodies larger than this are not stored
+  dir: defaultDir()
+};
+
+// Bytes in the cache directory, counted on the first write of this process
+let usage = null;
+
+/**
+ * Change cache settings
+ * @param {Object} options - Any of enabled, maxAge (seconds), maxSize and maxEntrySize (bytes), dir
+ */
+function configure(options = {}) {
+  for (const key of Object.keys(settings)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      settings[key] = options[key];
+    }
+  }
+  usage = null;
+}
+
+/**
+ * Check whether a request can use the cache
+ * @param {string} method - HTTP method
+ * @returns {boolean} Whether caching applies
+ */
+function isCacheable(method) {
+  return settings.enabled && (method === 'GET' || method === 'HEAD');
+}
+
+/**
+ * Get the file that stores the entry for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Requested URL
+ * @returns {string} Absolute path of the cache file
+ */
+function entryPath(method, url) {
+  const hash = crypto.createHash('sha256').update(`${method} ${url}`).digest('hex');
+  return path.join(settings.dir, `${hash}.json`);
+}
+
+/**
+ * Get the file that stores the body of an entry
+ * @param {string} filePath - Path of the entry's JSON file
+ * @returns {string} Absolute path of the body file
+ */
+function bodyPath(filePath) {
+  return filePath.replace(/\.json$/, '.body');
+}
+
+/**
+ * Read the cached entry for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Requested URL
+ * @returns {Object|null} The entry with its body as a Buffer, or null if there is none (or it is unreadable)
+ */
+function read(method, url) {
+  try {
+    const filePath = entryPath(method, url);
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // Entries of other URLs (hash collisions) and of older cache formats are misses
+    if (entry.url !== url || typeof entry.hasBody !== 'boolean') return null;
+    entry.body = entry.hasBody ? fs.readFileSync(bodyPath(filePath)) : null;
+    return entry;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an entry is young enough to be used without revalidation
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} Whether the entry is fresh
+ */
+function isFresh(entry) {
+  return Date.now() - entry.storedAt < settings.maxAge * 1000;
+}
+
+/**
+ * Get the conditional request headers for revalidating an entry
+ * @param {Object} entry - Cache entry
+ * @returns {Object} If-None-Match and/or If-Modified-Since headers
+ */
+function getValidators(entry) {
+  const headers = {};
+  if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+  if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+  return headers;
+}
+
+/**
+ * Store a response; only successful responses and 404/410 are cached, and only bodies up to maxEntrySize
+ * @param {string} method - HTTP method
+ * @param {string} url - Requested URL
+ * @param {{status: number, headers: Object, body: Buffer|null, url: string, redirects: number}} response - Final response
+ * @returns {Object|null} The stored entry, or null if the response is not cacheable
+ */
+function write(method, url, response) {
+  const cacheableStatus = (response.status >= 200 && response.status < 300) || response.status === 404 || response.status === 410;
+  if (!cacheableStatus) return null;
+  if (response.body && response.body.length > settings.maxEntrySize) return null;
+
+  const entry = {
+    url,
+    method,
+    storedAt: Date.now(),
+    status: response.status,
+    headers: response.headers,
+    finalUrl: response.url,
+    redirects: response.redirects,
+    hasBody: !!response.body,
+    body: response.body || null
+  };
+  save(entry, true);
+  return entry;
+}
+
+/**
+ * Mark an entry as revalidated (after a 304 Not Modified)
+ * @param {Object} entry - Cache entry
+ */
+function touch(entry) {
+  entry.storedAt = Date.now();
+  save(entry, false);
+}
+
+/**
+ * Write a file through a temporary file, so concurrent runs never read a partial file
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} data - Content
+ */
+function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write an entry to disk; failures are ignored since the cache is only an optimization
+ * @param {Object} entry - Cache entry
+ * @param {boolean} withBody - Whether to (re)write the body file as well
+ */
+function save(entry, withBody) {
+  try {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    const filePath = entryPath(entry.method, entry.url);
+    const { body, ...metadata } = entry;
+    const json = JSON.stringify(metadata);
+
+    // The body goes first, so a metadata file never points to a missing body
+    if (withBody && body) {
+      writeAtomic(bodyPath(filePath), body);
+    }
+    writeAtomic(filePath, json);
+
+    if (usage === null) {
+      usage = measure().reduce((sum, file) => sum + file.size, 0);
+    } else {
+      usage += json.length + (withBody && body ? body.length : 0);
+    }
+    if (usage > settings.maxSize) {
+      evict();
+    }
+  } catch (e) {
+    // Cache not writable, carry on without it
+  }
+}
+
+/**
+ * List the entries in the cache directory
+ * @returns {Array<{files: string[], size: number, usedAt: number}>} Entries with their files, total size and last use
+ */
+function measure() {
+  const entries = [];
+  for (const name of fs.readdirSync(settings.dir)) {
+    if (!name.endsWith('.json')) continue;
+    const filePath = path.join(settings.dir, name);
+    try {
+      const stat = fs.statSync(filePath);
+      const files = [filePath];
+      let size = stat.size;
+      if (fs.existsSync(bodyPath(filePath))) {
+        files.push(bodyPath(filePath));
+        size += fs.statSync(bodyPath(filePath)).size;
+      }
+      entries.push({ files, size, usedAt: stat.mtimeMs });
+    } catch (e) {
+      // Removed by a concurrent run
+    }
+  }
+  return entries;
+}
+
+/**
+ * Remove the least recently written or revalidated entries until the cache is below 90% of maxSize
+ */
+function evict() {
+  const entries = measure().sort((a, b) => a.usedAt - b.usedAt);
+  usage = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of entries) {
+    if (usage <= settings.maxSize * 0.9) break;
+    for (const file of entry.files) {
+      try {
+        fs.unlinkSync(file);
+      } catch (e) {
+        // Already removed
+      }
+    }
+    usage -= entry.size;
+  }
+}
+
+/**
+ * Turn a cache entry back into a response
+ * @param {Object} entry - Cache entry
+ * @returns {{status: number, headers: Object, body: Buffer|null, url: string, redirects: number}} Response
+ */
+function toResponse(entry) {
+  return {
+    status: entry.status,
+    headers: entry.headers,
+    body: entry.body,
+    url: entry.finalUrl,
+    redirects: entry.redirects
+  };
+}
+
+module.exports = {
+  configure,
+  isCacheable,
+  read,
+  isFresh,
+  getValidators,
+  write,
+  touch,
+  toResponse
+};
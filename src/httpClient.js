@@ -0,0 +1,343 @@
+/**
+ * Shared HTTP client
+ * Supports http and https, bounded redirect following, timeouts, retries with backoff,
+ * a response size limit, a custom User-Agent and an on-disk cache; all failures are reported as HttpError objects
+ */
+
+const https = require('https');
+const http = require('http');
+const httpCache = require('./httpCache');
+
+// Client-wide defaults, adjustable with configure()
+const defaults = {
+  timeout: 10000,
+  maxRedirects: 5,
+  retries: 2,
+  retryDelay: 500,
+  maxBodySize: 50 * 1024 * 1024, // Bytes; larger responses fail with EBODYTOOLARGE
+  userAgent: `specalyzer/${require('../package.json').version} (+https://github.com/blockchainbird/specalyzer)`
+};
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Request headers with credentials, which are not sent on after a redirect to another origin
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+/**
+ * Error raised for failed HTTP requests
+ * `code` is a Node.js network error code (e.g. ENOTFOUND), ETIMEDOUT, EMAXREDIRECTS, EBODYTOOLARGE or HTTP_<status>
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {string} details.url - URL that failed
+   * @param {string} details.code - Error code
+   * @param {number|null} [details.status] - HTTP status code, if a response was received
+   * @param {Object} [details.headers] - Response headers, if a response was received
+   */
+  constructor(message, { url, code, status = null, headers = {} }) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.code = code;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Change client-wide defaults
+ * @param {Object} options - Any of timeout, maxRedirects, retries, retryDelay, maxBodySize, userAgent
+ */
+function configure(options = {}) {
+  for (const key of Object.keys(defaults)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      defaults[key] = options[key];
+    }
+  }
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Remove the headers that carry credentials
+ * @param {Object} headers - Request headers
+ * @returns {Object} The headers without Authorization, Proxy-Authorization and Cookie
+ */
+function withoutCredentials(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Check whether request headers carry credentials
+ * @param {Object} headers - Request headers
+ * @returns {boolean} Whether Authorization, Proxy-Authorization or Cookie is set
+ */
+function hasCredentials(headers) {
+  return Object.keys(headers).some(name => CREDENTIAL_HEADERS.includes(name.toLowerCase()));
+}
+
+/**
+ * Send a single request without following redirects
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options (method, headers, timeout, responseType, maxBodySize)
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null}>} Raw response
+ */
+function sendOnce(url, options) {
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return reject(new HttpError(`Invalid URL: ${url}`, { url, code: 'EINVALIDURL' }));
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return reject(new HttpError(`Unsupported protocol: ${parsed.protocol}`, { url, code: 'EPROTOCOL' }));
+    }
+
+    const handler = parsed.protocol === 'https:' ? https : http;
+    const req = handler.request(parsed, {
+      method: options.method,
+      headers: { 'User-Agent': defaults.userAgent, ...options.headers },
+      timeout: options.timeout
+    }, (res) => {
+      const isRedirect = res.statusCode >= 300 && res.statusCode < 400 && res.headers.location;
+
+      // Skip the body when it is not needed
+      if (options.method === 'HEAD' || options.responseType === 'none' || isRedirect) {
+        res.destroy();
+        return resolve({ status: res.statusCode, headers: res.headers, body: null });
+      }
+
+      // Stop reading as soon as the body is known to be too large
+      const tooLarge = () => {
+        res.destroy();
+        reject(new HttpError(`Response larger than ${options.maxBodySize} bytes: ${url}`, { url, code: 'EBODYTOOLARGE', status: res.statusCode, headers: res.headers }));
+      };
+      if (parseInt(res.headers['content-length'], 10) > options.maxBodySize) {
+        return tooLarge();
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > options.maxBodySize) return tooLarge();
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', err => reject(new HttpError(err.message, { url, code: err.code || 'ERESPONSE' })));
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new HttpError(`Timeout after ${options.timeout} ms: ${url}`, { url, code: 'ETIMEDOUT' }));
+    });
+
+    req.on('error', (err) => {
+      reject(err instanceof HttpError ? err : new HttpError(err.message, { url, code: err.code || 'ENETWORK' }));
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * Send a request over the network, following redirects and retrying on 5xx and network errors
+ * Credentials are dropped once a redirect leaves the origin of the original request, e.g. a GitHub
+ * token is not sent on to another host
+ * @param {string} url - URL to request
+ * @param {Object} settings - Complete request settings (see request)
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null, url: string, redirects: number}>} Final raw response
+ */
+async function fetchResponse(url, settings) {
+  let currentUrl = url;
+  let headers = settings.headers;
+  let redirects = 0;
+  let attempt = 0;
+
+  for (;;) {
+    let res;
+    try {
+      res = await sendOnce(currentUrl, { ...settings, headers });
+    } catch (err) {
+      if (attempt < settings.retries && RETRYABLE_CODES.includes(err.code)) {
+        await delay(defaults.retryDelay * 2 ** attempt++);
+        continue;
+      }
+      throw err;
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      if (redirects >= settings.maxRedirects) {
+        throw new HttpError(`Too many redirects (more than ${settings.maxRedirects}): ${url}`, { url, code: 'EMAXREDIRECTS', status: res.status, headers: res.headers });
+      }
+      const target = new URL(res.headers.location, currentUrl);
+      if (target.origin !== new URL(url).origin) {
+        headers = withoutCredentials(headers);
+      }
+      currentUrl = target.href;
+      redirects++;
+      continue;
+    }
+
+    if (res.status >= 500 && attempt < settings.retries) {
+      await delay(defaults.retryDelay * 2 ** attempt++);
+      continue;
+    }
+
+    return { ...res, url: currentUrl, redirects };
+  }
+}
+
+/**
+ * Get a response from the on-disk cache or the network
+ * A fresh cache entry is used as is; a stale one is revalidated with If-None-Match/If-Modified-Since
+ * Requests with credentials bypass the cache, so authenticated responses are never written to disk
+ * @param {string} url - URL to request
+ * @param {Object} settings - Complete request settings (see request)
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null, url: string, redirects: number}>} Final raw response
+ */
+async function fetchWithCache(url, settings) {
+  if (settings.cache === false || !httpCache.isCacheable(settings.method) || hasCredentials(settings.headers)) {
+    return fetchResponse(url, settings);
+  }
+
+  const entry = httpCache.read(settings.method, url);
+  // An entry stored without a body cannot answer a request that needs one
+  const usable = entry && (entry.body !== null || settings.method === 'HEAD' || settings.responseType === 'none');
+
+  if (usable && httpCache.isFresh(entry)) {
+    return httpCache.toResponse(entry);
+  }
+
+  const headers = usable ? { ...settings.headers, ...httpCache.getValidators(entry) } : settings.headers;
+  const res = await fetchResponse(url, { ...settings, headers });
+
+  if (usable && res.status === 304) {
+    httpCache.touch(entry);
+    return httpCache.toResponse(entry);
+  }
+
+  httpCache.write(settings.method, url, res);
+  return res;
+}
+
+/**
+ * Send a request, following redirects and retrying on 5xx and network errors
+ * GET and HEAD responses go through the on-disk cache (see httpCache)
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds
+ * @param {number} [options.maxRedirects] - Maximum number of redirects to follow
+ * @param {number} [options.retries] - Number of retries after the first attempt
+ * @param {number} [options.maxBodySize] - Maximum size of the response body in bytes
+ * @param {string} [options.responseType='text'] - 'text', 'json', 'buffer' or 'none'
+ * @param {boolean} [options.throwHttpErrors=true] - Reject on 4xx/5xx responses
+ * @param {boolean} [options.cache=true] - Set to false to bypass the cache for this request
+ * @returns {Promise<{status: number, headers: Object, body: *, url: string, redirects: number}>} Response
+ */
+async function request(url, options = {}) {
+  const settings = {
+    method: 'GET',
+    headers: {},
+    timeout: defaults.timeout,
+    maxRedirects: defaults.maxRedirects,
+    retries: defaults.retries,
+    maxBodySize: defaults.maxBodySize,
+    responseType: 'text',
+    throwHttpErrors: true,
+    cache: true
+  };
+  // Options left undefined keep their default
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+
+  const res = await fetchWithCache(url, settings);
+
+  if (res.status >= 400 && settings.throwHttpErrors) {
+    throw new HttpError(`HTTP Error: ${res.status} for ${res.url}`, {
+      url: res.url,
+      code: `HTTP_${res.status}`,
+      status: res.status,
+      headers: res.headers
+    });
+  }
+
+  return {
+    status: res.status,
+    headers: res.headers,
+    body: parseBody(res.body, settings.responseType, res.url),
+    url: res.url,
+    redirects: res.redirects
+  };
+}
+
+/**
+ * Convert a raw response body to the requested type
+ * @param {Buffer|null} body - Raw body
+ * @param {string} responseType - 'text', 'json', 'buffer' or 'none'
+ * @param {string} url - URL of the response, for error messages
+ * @returns {*} Parsed body
+ */
+function parseBody(body, responseType, url) {
+  if (body === null || responseType === 'none') return null;
+  if (responseType === 'buffer') return body;
+
+  const text = body.toString('utf8');
+  if (responseType !== 'json') return text;
+
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new HttpError(`Empty response received from ${url}`, { url, code: 'EEMPTY' });
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    throw new HttpError(`JSON parsing error: ${e.message}`, { url, code: 'EJSONPARSE' });
+  }
+}
+
+/**
+ * GET a URL and return the body as text
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options (see request)
+ * @returns {Promise<string>} Response body
+ */
+async function getText(url, options = {}) {
+  const res = await request(url, { ...options, responseType: 'text' });
+  return res.body;
+}
+
+/**
+ * GET a URL and parse the body as JSON
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options (see request)
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function getJson(url, options = {}) {
+  const res = await request(url, { ...options, responseType: 'json' });
+  return res.body;
+}
+
+module.exports = {
+  HttpError,
+  configure,
+  request,
+  getText,
+  getJson
+};
@@ -0,0 +1,210 @@
+/**
+ * JSON Report Generator Module
+ * Converts analysis results into a versioned, machine-readable JSON document
+ */
+
+const specsJson = require('./specsJson');
+const rules = require('./rules');
+const reportWriter = require('./reportWriter');
+
+// Bump the major version whenever a field is removed or changes meaning
+const SCHEMA_VERSION = '2.4.0';
+
+// Possible values for the status of a single check
+const STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  ERROR: 'error',
+  INFO: 'info'
+};
+
+/**
+ * Serialize an Error (or anything thrown) into a plain object
+ * @param {Error|string|null} error - The error to serialize
+ * @returns {{name: string, message: string, code: string|null, status: number|null, url: string|null}|null} Serialized error or null
+ */
+function serializeError(error) {
+  if (!error) return null;
+
+  if (typeof error === 'string') {
+    return { name: 'Error', message: error, code: null, status: null, url: null };
+  }
+
+  // HttpError from the HTTP client also carries the status code and URL
+  return {
+    name: error.name || 'Error',
+    message: error.message || String(error),
+    code: error.code || null,
+    status: error.status || null,
+    url: error.url || null
+  };
+}
+
+/**
+ * Convert a date into an ISO 8601 string
+ * @param {Date|null} date - The date to convert
+ * @returns {string|null} ISO string or null if the date is missing or invalid
+ */
+function toIsoString(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+/**
+ * Build the per-check status list from an analysis result
+ * Every enabled rule is one check (see rules.js)
+ * @param {Object} result - Result object from analyzer.analyzeSpec
+ * @returns {Array<{id: string, status: string, message: string}>} Check statuses
+ */
+function buildChecks(result) {
+  return getRuleResults(result).map(rule => ({ id: rule.id, status: rule.status, message: rule.message }));
+}
+
+/**
+ * Get the rule results of an analysis, running the rules with default settings if that has not happened yet
+ * @param {Object} result - Result object from analyzer.analyzeSpec
+ * @returns {Array<Object>} Rule results from rules.runRules
+ */
+function getRuleResults(result) {
+  return result.ruleResults || rules.runRules(result);
+}
+
+/**
+ * Build the links section of the JSON report
+ * @param {Object|null} linkCheck - Link check summary from linkCheck.checkLinks
+ * @param {Error|null} error - Error if the check failed
+ * @returns {Object|null} Links section, or null when no links were checked
+ */
+function buildLinksSection(linkCheck, error) {
+  if (!linkCheck) {
+    return error ? { error: serializeError(error) } : null;
+  }
+
+  return {
+    internal: linkCheck.internal,
+    external: linkCheck.external,
+    broken: linkCheck.brokenLinks.map(link => ({
+      href: link.href,
+      text: link.text,
+      section: link.section,
+      type: link.type,
+      status: link.status,
+      error: link.error
+    })),
+    error: null
+  };
+}
+
+/**
+ * Build the JSON report object from an analysis result
+ * @param {Object} result - Result object from analyzer.analyzeSpec
+ * @param {string} url - The URL that was analyzed
+ * @param {string} version - Specalyzer version
+ * @returns {Object} JSON report following SCHEMA_VERSION
+ */
+function buildJsonReport(result, url, version) {
+  const versionInfo = result.versionInfo || {};
+  let buildToolName = null;
+  if (result.isUsingSpecUp) {
+    buildToolName = 'spec-up';
+  } else if (result.specUpVersion) {
+    buildToolName = 'spec-up-t';
+  }
+  const declaredVersion = result.isUsingSpecUp ? result.specUpOriginalVersion : result.specUpVersion;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    tool: {
+      name: 'specalyzer',
+      version
+    },
+    url,
+    generatedAt: new Date().toISOString(),
+    repository: typeof result.repo === 'string' ? result.repo : null,
+    ref: result.ref
+      ? { name: result.ref.name, source: result.ref.source, error: serializeError(result.ref.error) }
+      : null,
+    lastModified: toIsoString(result.lastModified),
+    headers: result.headers || {},
+    metadata: result.metadata || null,
+    metadataError: serializeError(result.metadataError),
+    pdf: {
+      exists: !!result.pdfExists,
+      error: serializeError(result.pdfError),
+      url: result.pdfUrl || null,
+      inspection: result.pdfInfo || null,
+      inspectionError: serializeError(result.pdfInspectError)
+    },
+    buildTool: {
+      name: buildToolName,
+      // The range declared in package.json; installedVersion is the exact version from the lockfile
+      version: declaredVersion || null,
+      declaredVersion: declaredVersion || null,
+      installedVersion: (result.buildToolLock && result.buildToolLock.version) || null,
+      lockfile: result.buildToolLock || null,
+      lockfileError: serializeError(result.buildToolLockError),
+      update: result.buildToolUpdate || null,
+      updateError: serializeError(result.buildToolUpdateError),
+      error: serializeError(result.buildToolError)
+    },
+    specsJson: {
+      found: !!result.specsJson,
+      valid: result.specsJsonValidation ? result.specsJsonValidation.valid : null,
+      issues: result.specsJsonValidation ? result.specsJsonValidation.issues : [],
+      effective: result.specsJson ? specsJson.getEffectiveConfig(result.specsJson) : [],
+      error: serializeError(result.specsJsonError)
+    },
+    versionHistory: {
+      exists: !!versionInfo.exists,
+      count: versionInfo.count || 0,
+      versions: versionInfo.versions || [],
+      baseUrl: versionInfo.baseUrl || null,
+      source: versionInfo.source || null,
+      error: serializeError(versionInfo.error)
+    },
+    versionDiffs: result.versionDiffs
+      ? result.versionDiffs.map(diff => ({ ...diff, error: serializeError(diff.error) }))
+      : null,
+    versionDiffsError: serializeError(result.versionDiffsError),
+    links: buildLinksSection(result.linkCheck, result.linkCheckError),
+    structure: result.structure
+      ? { ...result.structure, error: null }
+      : (result.structureError ? { error: serializeError(result.structureError) } : null),
+    accessibility: result.accessibility
+      ? { ...result.accessibility, error: null }
+      : (result.accessibilityError ? { error: serializeError(result.accessibilityError) } : null),
+    terminology: result.terminology
+      ? { ...result.terminology, error: null }
+      : (result.terminologyError ? { error: serializeError(result.terminologyError) } : null),
+    externalReferences: result.externalRefs
+      ? { ...result.externalRefs, error: null }
+      : (result.externalRefsError ? { error: serializeError(result.externalRefsError) } : null),
+    rules: getRuleResults(result),
+    checks: buildChecks(result),
+    // Filled in with the differences from the previous run of the same URL, if there is one
+    changes: null,
+    // Filled in with the CI evaluation in --ci mode
+    ci: null,
+    error: serializeError(result.error)
+  };
+}
+
+/**
+ * Write the JSON report to a file, or to stdout when no path is given
+ * @param {Object} report - JSON report object
+ * @param {string|null} outputPath - Destination file path, or null for stdout
+ * @returns {string|null} Absolute path of the written file, or null when written to stdout
+ */
+function writeJsonReport(report, outputPath = null) {
+  return reportWriter.writeReportFile(JSON.stringify(report, null, 2) + '\n', outputPath, 'JSON');
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  STATUS,
+  serializeError,
+  toIsoString,
+  buildChecks,
+  buildJsonReport,
+  writeJsonReport
+};
@@ -0,0 +1,115 @@
+/**
+ * JUnit XML Report Generator Module
+ * Converts the checks of a JSON report into JUnit XML test results for test dashboards
+ */
+
+const reportWriter = require('./reportWriter');
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    // Characters that are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Describe where a finding is, for the failure details
+ * @param {Object} finding - Finding from the JSON report
+ * @param {string} pageUrl - URL of the analyzed spec page
+ * @returns {string} Location, or an empty string when the finding is about the page as a whole
+ */
+function describeLocation(finding, pageUrl) {
+  const parts = [];
+  if (finding.artifact) {
+    parts.push(finding.artifact.startsWith('#') ? `${pageUrl}${finding.artifact}` : finding.artifact);
+  }
+  if (finding.location && finding.location !== finding.artifact) {
+    parts.push(finding.location);
+  }
+  return parts.join(' — ');
+}
+
+/**
+ * Build one test case for a rule
+ * Checks with status error or warn fail; the findings are listed in the failure body
+ * @param {Object} rule - Rule result from the JSON report
+ * @param {string} pageUrl - URL of the analyzed spec page
+ * @returns {string} testcase element
+ */
+function buildTestCase(rule, pageUrl) {
+  const open = `    <testcase classname="specalyzer.${escapeXml(rule.id)}" name="${escapeXml(rule.description || rule.id)}" time="0">`;
+
+  if (rule.status !== 'error' && rule.status !== 'warn') {
+    return `${open}\n      <system-out>${escapeXml(rule.message)}</system-out>\n    </testcase>`;
+  }
+
+  const details = rule.findings.map(finding => {
+    const location = describeLocation(finding, pageUrl);
+    return `[${finding.severity}] ${finding.message}${location ? ` (${location})` : ''}`;
+  }).join('\n');
+
+  return [
+    open,
+    `      <failure type="${escapeXml(rule.status)}" message="${escapeXml(rule.message)}">${escapeXml(details)}</failure>`,
+    '    </testcase>'
+  ].join('\n');
+}
+
+/**
+ * Build the JUnit XML document from a JSON report
+ * Every rule is a test case in one test suite named after the spec
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @returns {string} JUnit XML document
+ */
+function buildJunitReport(report) {
+  const ruleResults = report.rules || [];
+  const testCases = ruleResults.map(rule => buildTestCase(rule, report.url));
+  const failures = ruleResults.filter(rule => rule.status === 'error' || rule.status === 'warn').length;
+  let errors = 0;
+
+  // A fatal analysis error is reported as an erroring test case of its own
+  if (report.error) {
+    errors = 1;
+    testCases.push([
+      '    <testcase classname="specalyzer.analysis" name="Analysis completes" time="0">',
+      `      <error type="${escapeXml(report.error.code || report.error.name)}" message="${escapeXml(report.error.message)}"/>`,
+      '    </testcase>'
+    ].join('\n'));
+  }
+
+  const counts = `tests="${testCases.length}" failures="${failures}" errors="${errors}" skipped="0" time="0"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.tool.name)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(report.url)}" timestamp="${escapeXml(report.generatedAt)}" ${counts}>`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write the JUnit XML document to a file, or to stdout when no path is given
+ * @param {string} xml - JUnit XML document
+ * @param {string|null} outputPath - Destination file path, or null for stdout
+ * @returns {string|null} Absolute path of the written file, or null when written to stdout
+ */
+function writeJunitReport(xml, outputPath = null) {
+  return reportWriter.writeReportFile(xml, outputPath, 'JUnit XML');
+}
+
+module.exports = {
+  escapeXml,
+  buildJunitReport,
+  writeJunitReport
+};
@@ -0,0 +1,229 @@
+/**
+ * Link checking module
+ * Verifies internal anchors and external links found in the rendered specification
+ */
+
+const chalk = require('chalk');
+const httpClient = require('./httpClient');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Number of external links checked at the same time
+const DEFAULT_CONCURRENCY = 8;
+
+// Label used for links that appear before the first heading
+const NO_SECTION = '(Before first heading)';
+
+/**
+ * Collect all links in the document together with the section they appear in
+ * @param {Document} document - The parsed spec document
+ * @param {string} baseUrl - URL of the spec, used to resolve relative links
+ * @returns {Array<{href: string, text: string, section: string, type: string, url: string|null, fragment: string|null}>} Collected links
+ */
+function collectLinks(document, baseUrl) {
+  const links = [];
+  let section = NO_SECTION;
+
+  // querySelectorAll returns elements in document order, so the last heading seen is the link's section
+  for (const el of document.querySelectorAll('h1, h2, h3, h4, h5, h6, a[href]')) {
+    if (/^H[1-6]$/.test(el.tagName)) {
+      section = el.textContent.trim() || section;
+      continue;
+    }
+
+    const href = el.getAttribute('href').trim();
+    const text = el.textContent.trim();
+
+    if (href.startsWith('#')) {
+      // A bare "#" is a common placeholder (e.g. for JS handlers), not a real anchor
+      if (href.length > 1) {
+        links.push({ href, text, section, type: 'internal', url: null, fragment: safeDecode(href.slice(1)) });
+      }
+      continue;
+    }
+
+    let resolved;
+    try {
+      resolved = new URL(href, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    } catch (e) {
+      links.push({ href, text, section, type: 'invalid', url: null, fragment: null });
+      continue;
+    }
+
+    // Skip mailto:, javascript:, tel: and other non-HTTP links
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') continue;
+
+    resolved.hash = '';
+    links.push({ href, text, section, type: 'external', url: resolved.href, fragment: null });
+  }
+
+  return links;
+}
+
+/**
+ * Decode a URI component without throwing on malformed input
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value, or the input if it cannot be decoded
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Check whether an internal fragment resolves to an element in the document
+ * @param {Document} document - The parsed spec document
+ * @param {string} fragment - Decoded fragment without the leading #
+ * @returns {boolean} Whether the target exists
+ */
+function fragmentExists(document, fragment) {
+  if (document.getElementById(fragment)) return true;
+
+  // Legacy <a name="..."> anchors are valid fragment targets too
+  for (const el of document.getElementsByName(fragment)) {
+    if (el.tagName === 'A') return true;
+  }
+  return false;
+}
+
+/**
+ * Request a URL, following redirects, and report its status instead of rejecting
+ * @param {string} url - URL to request
+ * @param {string} method - HTTP method (HEAD or GET)
+ * @param {Object} options - Check options (timeout, maxRedirects)
+ * @returns {Promise<{res: Object|null, error: Error|null}>} Response or error
+ */
+function requestStatus(url, method, options) {
+  return httpClient.request(url, {
+    method,
+    timeout: options.timeout,
+    maxRedirects: options.maxRedirects,
+    // HEAD failures are retried as GET below, so only GET uses the client's retries
+    retries: method === 'HEAD' ? 0 : undefined,
+    // Only the status line matters; do not download the body
+    responseType: 'none',
+    throwHttpErrors: false
+  }).then(res => ({ res, error: null }), error => ({ res: null, error }));
+}
+
+/**
+ * Check an external URL with HEAD, falling back to GET
+ * @param {string} url - URL to check
+ * @param {Object} options - Check options
+ * @param {number} [options.timeout] - Timeout per request in milliseconds
+ * @param {number} [options.maxRedirects] - Maximum number of redirects to follow
+ * @returns {Promise<{ok: boolean, status: number|null, finalUrl: string, redirects: number, error: string|null}>} Check result
+ */
+async function checkExternalUrl(url, options = {}) {
+  let { res, error } = await requestStatus(url, 'HEAD', options);
+
+  // Many servers reject or mishandle HEAD, so retry with GET before calling a link broken
+  if (error || res.status >= 400) {
+    ({ res, error } = await requestStatus(url, 'GET', options));
+  }
+
+  if (error) {
+    return { ok: false, status: null, finalUrl: error.url || url, redirects: 0, error: error.message };
+  }
+
+  // 429 means we are rate limited, which says nothing about the link itself
+  const ok = res.status < 400 || res.status === 429;
+  return { ok, status: res.status, finalUrl: res.url, redirects: res.redirects, error: ok ? null : `HTTP ${res.status}` };
+}
+
+/**
+ * Group broken links by the section they appear in
+ * @param {Array<Object>} brokenLinks - Broken link records
+ * @returns {Array<{section: string, links: Array<Object>}>} Groups in document order
+ */
+function groupBySection(brokenLinks) {
+  const groups = new Map();
+  for (const link of brokenLinks) {
+    if (!groups.has(link.section)) {
+      groups.set(link.section, []);
+    }
+    groups.get(link.section).push(link);
+  }
+  return Array.from(groups, ([section, links]) => ({ section, links }));
+}
+
+/**
+ * Check all internal anchors and external links in the spec document
+ * @param {Document} document - The parsed spec document
+ * @param {string} baseUrl - URL of the spec
+ * @param {Object} options - Check options
+ * @param {boolean} [options.checkExternalLinks=true] - Whether to request external URLs
+ * @param {number} [options.timeout] - Timeout per request in milliseconds
+ * @param {number} [options.maxRedirects] - Maximum number of redirects to follow
+ * @param {number} [options.concurrency] - Number of external URLs checked at the same time
+ * @returns {Promise<Object>} Link check summary with broken links grouped by section
+ */
+async function checkLinks(document, baseUrl, options = {}) {
+  const links = collectLinks(document, baseUrl);
+  // Problems per link, reported later in document order
+  const problems = new Map();
+
+  // Internal anchors
+  const internalLinks = links.filter(link => link.type === 'internal');
+  for (const link of internalLinks) {
+    if (!fragmentExists(document, link.fragment)) {
+      problems.set(link, { status: null, error: `No element with id "${link.fragment}"` });
+    }
+  }
+
+  for (const link of links.filter(l => l.type === 'invalid')) {
+    problems.set(link, { status: null, error: 'Invalid URL' });
+  }
+
+  // External links, each unique URL is checked once
+  const externalLinks = links.filter(link => link.type === 'external');
+  const uniqueUrls = [...new Set(externalLinks.map(link => link.url))];
+  const externalChecked = options.checkExternalLinks !== false;
+
+  if (externalChecked && uniqueUrls.length > 0) {
+    console.log(chalk.blue(`🔗 Checking ${uniqueUrls.length} external link${uniqueUrls.length !== 1 ? 's' : ''}…`));
+    const results = await mapWithConcurrency(
+      uniqueUrls,
+      options.concurrency || DEFAULT_CONCURRENCY,
+      url => checkExternalUrl(url, options)
+    );
+    const resultByUrl = new Map(uniqueUrls.map((url, i) => [url, results[i]]));
+
+    for (const link of externalLinks) {
+      const result = resultByUrl.get(link.url);
+      if (!result.ok) {
+        problems.set(link, { status: result.status, error: result.error });
+      }
+    }
+  }
+
+  const broken = links
+    .filter(link => problems.has(link))
+    .map(link => ({ ...link, ...problems.get(link) }));
+
+  return {
+    internal: {
+      total: internalLinks.length,
+      broken: broken.filter(link => link.type === 'internal').length
+    },
+    external: {
+      total: externalLinks.length,
+      unique: uniqueUrls.length,
+      checked: externalChecked,
+      broken: broken.filter(link => link.type !== 'internal').length
+    },
+    brokenLinks: broken,
+    bySection: groupBySection(broken)
+  };
+}
+
+module.exports = {
+  safeDecode,
+  collectLinks,
+  fragmentExists,
+  checkExternalUrl,
+  groupBySection,
+  checkLinks
+};
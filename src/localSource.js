@@ -0,0 +1,218 @@
+/**
+ * Local directory source module
+ * Reads a spec from disk, either a build output folder or a source checkout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const fetcher = require('./fetcher');
+
+/**
+ * Check whether the input refers to an existing local directory
+ * @param {string} input - Path or URL given by the user
+ * @returns {boolean} Whether it is a directory on disk
+ */
+function isLocalDirectory(input) {
+  try {
+    return fs.statSync(input).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Turn user input into an analysis target: an absolute path for local directories, a URL otherwise
+ * @param {string} input - Path or URL given by the user
+ * @returns {string} Absolute directory path or normalized URL
+ */
+function resolveTarget(input) {
+  const trimmed = input.trim();
+  return isLocalDirectory(trimmed) ? path.resolve(trimmed) : fetcher.normalizeUrl(trimmed);
+}
+
+/**
+ * Read and parse a JSON file from a directory
+ * @param {string} dir - Directory containing the file
+ * @param {string} fileName - Name of the JSON file
+ * @returns {Object} The parsed JSON
+ */
+function readJson(dir, fileName) {
+  const filePath = path.join(dir, fileName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${fileName} not found in ${dir}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`JSON parsing error in ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Read a text file from a directory
+ * @param {string} dir - Directory to read from
+ * @param {string} fileName - Name of the file
+ * @returns {string|null} The file content, or null if it does not exist
+ */
+function readText(dir, fileName) {
+  const filePath = path.join(dir, fileName);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Find the build output folder of a source checkout from the output_path in specs.json
+ * @param {string} root - Root of the source checkout
+ * @returns {string|null} Absolute path of the output folder, or null if it has not been built
+ */
+function findOutputDir(root) {
+  try {
+    const config = readJson(root, 'specs.json');
+    const outputPath = config.specs && config.specs[0] && config.specs[0].output_path;
+    if (outputPath && fs.existsSync(path.join(root, outputPath, 'index.html'))) {
+      return path.resolve(root, outputPath);
+    }
+  } catch (e) {
+    // No usable specs.json, so there is no known output folder
+  }
+  return null;
+}
+
+/**
+ * Detect what kind of spec directory the target is
+ * A build output folder contains index.html; a source checkout contains package.json or specs.json
+ * (and may also contain a built spec under its output_path)
+ * @param {string} target - Analysis target (path or URL)
+ * @returns {{root: string, outputDir: string|null, sourceDir: string|null}|null} Layout, or null if the target is not a local directory
+ */
+function detectLayout(target) {
+  if (!isLocalDirectory(target)) return null;
+
+  const root = path.resolve(target);
+  const isSource = fs.existsSync(path.join(root, 'package.json')) || fs.existsSync(path.join(root, 'specs.json'));
+  const isBuild = fs.existsSync(path.join(root, 'index.html'));
+
+  return {
+    root,
+    outputDir: isBuild ? root : (isSource ? findOutputDir(root) : null),
+    sourceDir: isSource ? root : null
+  };
+}
+
+/**
+ * Get the file URL of the build output folder, used as base URL for links
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {string} file:// URL ending with a slash
+ */
+function getBaseUrl(layout) {
+  return pathToFileURL((layout.outputDir || layout.root) + path.sep).href;
+}
+
+/**
+ * Read index.html from the build output folder
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {string|null} The HTML, or null if there is no built spec
+ */
+function readIndexHtml(layout) {
+  if (!layout.outputDir) return null;
+  return fs.readFileSync(path.join(layout.outputDir, 'index.html'), 'utf8');
+}
+
+/**
+ * Check whether index.pdf exists next to index.html
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {boolean} Whether the PDF exists
+ */
+function pdfExists(layout) {
+  return !!layout.outputDir && fs.existsSync(path.join(layout.outputDir, 'index.pdf'));
+}
+
+/**
+ * Read index.pdf from the build output folder
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {Buffer|null} The PDF file, or null if it does not exist
+ */
+function readIndexPdf(layout) {
+  return pdfExists(layout) ? fs.readFileSync(path.join(layout.outputDir, 'index.pdf')) : null;
+}
+
+/**
+ * Get the modification time of index.html as the last modified date
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {{date: Date|null, headers: Object}} Last modified date and (empty) headers, like fetcher.getLastModified
+ */
+function getLastModified(layout) {
+  if (!layout.outputDir) return { date: null, headers: {} };
+  return {
+    date: fs.statSync(path.join(layout.outputDir, 'index.html')).mtime,
+    headers: {}
+  };
+}
+
+/**
+ * List the archived versions in the versions/ folder
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {{exists: boolean, count: number, versions: string[], baseUrl: string, source: string|null}} Version info, like versionCheck.checkVersions
+ */
+function listVersions(layout) {
+  const baseUrl = getBaseUrl(layout);
+  const versionsDir = layout.outputDir ? path.join(layout.outputDir, 'versions') : null;
+
+  if (!versionsDir || !isLocalDirectory(versionsDir)) {
+    return { exists: false, count: 0, versions: [], baseUrl, source: null };
+  }
+
+  const versions = fs.readdirSync(versionsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  return { exists: true, count: versions.length, versions, baseUrl, source: 'local' };
+}
+
+/**
+ * Find the repository URL of a source checkout from package.json or specs.json
+ * @param {Object} layout - Layout from detectLayout
+ * @returns {string|null} Repository URL or null
+ */
+function findRepoUrl(layout) {
+  if (!layout.sourceDir) return null;
+
+  try {
+    const pkg = readJson(layout.sourceDir, 'package.json');
+    const repository = typeof pkg.repository === 'string' ? pkg.repository : (pkg.repository && pkg.repository.url);
+    if (repository) {
+      return repository.replace(/^git\+/, '').replace(/\.git$/, '');
+    }
+  } catch (e) {
+    // Fall through to specs.json
+  }
+
+  try {
+    const config = readJson(layout.sourceDir, 'specs.json');
+    const source = config.specs && config.specs[0] && config.specs[0].source;
+    if (source && source.host && source.host.toLowerCase() === 'github' && source.account && source.repo) {
+      return `https://github.com/${source.account}/${source.repo}`;
+    }
+  } catch (e) {
+    // No repository information available
+  }
+
+  return null;
+}
+
+module.exports = {
+  isLocalDirectory,
+  resolveTarget,
+  readJson,
+  readText,
+  detectLayout,
+  getBaseUrl,
+  readIndexHtml,
+  pdfExists,
+  readIndexPdf,
+  getLastModified,
+  listVersions,
+  findRepoUrl
+};
@@ -0,0 +1,152 @@
+/**
+ * Lockfile module
+ * Finds the exact version of a dependency that was installed, from package-lock.json,
+ * yarn.lock (classic and Berry) or pnpm-lock.yaml
+ *
+ * `integrity` is a Subresource Integrity hash of the npm tarball (sha512-...). Yarn Berry records
+ * a `checksum` of its own zip archive instead, which cannot be compared with it.
+ */
+
+// Lockfiles in the order they are tried
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Find a dependency in package-lock.json (lockfile versions 1 to 3)
+ * @param {string} text - Content of package-lock.json
+ * @param {string} name - Package name
+ * @returns {{version: string, integrity: string|null, checksum: string|null, resolved: string|null}|null} Locked package, or null if not found
+ */
+function parsePackageLock(text, name) {
+  const lock = JSON.parse(text);
+  // Version 2 and 3 list packages by install path, version 1 by name
+  const entry = (lock.packages && lock.packages[`node_modules/${name}`]) ||
+    (lock.dependencies && lock.dependencies[name]);
+  if (!entry || !entry.version) return null;
+
+  return {
+    version: entry.version,
+    integrity: entry.integrity || null,
+    checksum: null,
+    resolved: entry.resolved || null
+  };
+}
+
+/**
+ * Find a dependency in yarn.lock (classic v1 and Berry)
+ * When several versions are locked, the one for the declared range is preferred
+ * @param {string} text - Content of yarn.lock
+ * @param {string} name - Package name
+ * @param {string|null} range - Version range declared in package.json
+ * @returns {{version: string, integrity: string|null, checksum: string|null, resolved: string|null}|null} Locked package, or null if not found
+ */
+function parseYarnLock(text, name, range) {
+  const entries = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    // An unindented line lists the descriptors (name@range) of one entry
+    if (!/^\s/.test(line)) {
+      const descriptors = line.replace(/:\s*$/, '').split(',').map(part => part.trim().replace(/^"|"$/g, ''));
+      const ranges = descriptors
+        .map(descriptor => descriptor.match(/^(@?[^@]+)@(.*)$/))
+        .filter(m => m && m[1] === name)
+        .map(m => m[2].replace(/^npm:/, ''));
+      current = ranges.length ? { ranges, version: null, integrity: null, checksum: null, resolved: null } : null;
+      if (current) entries.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    const field = line.trim().match(/^(version|integrity|checksum|resolved|resolution):?\s+"?([^"]+)"?$/);
+    if (!field) continue;
+    if (field[1] === 'version') current.version = field[2];
+    else if (field[1] === 'integrity') current.integrity = field[2];
+    else if (field[1] === 'checksum') current.checksum = field[2];
+    else current.resolved = field[2];
+  }
+
+  const found = entries.filter(entry => entry.version);
+  const entry = found.find(candidate => range && candidate.ranges.includes(range)) || found[0];
+  return entry ? { version: entry.version, integrity: entry.integrity, checksum: entry.checksum, resolved: entry.resolved } : null;
+}
+
+/**
+ * Find a dependency in pnpm-lock.yaml (lockfile versions 5 to 9)
+ * @param {string} text - Content of pnpm-lock.yaml
+ * @param {string} name - Package name
+ * @returns {{version: string, integrity: string|null, checksum: string|null, resolved: string|null}|null} Locked package, or null if not found
+ */
+function parsePnpmLock(text, name) {
+  const escaped = escapeRegExp(name);
+  const versionPattern = '(\\d[^\\s\'"(_:]*)';
+
+  // The version the project depends on, from "name: 1.2.3" (v5) or a specifier/version pair (v6+)
+  const direct = text.match(new RegExp(
+    `^\\s+['"]?${escaped}['"]?:\\s*(?:['"]?${versionPattern}|\\n(?:\\s+specifier:.*\\n)?\\s+version:\\s*['"]?${versionPattern})`, 'm'
+  ));
+  const directVersion = direct ? direct[1] || direct[2] : null;
+
+  // Package entries are keyed /name/1.2.3 (v5), /name@1.2.3 (v6) or name@1.2.3 (v9)
+  const entryPattern = new RegExp(`^\\s+['"]?/?${escaped}[@/]${versionPattern}[^\\n]*:\\s*\\n((?:[ \\t]{4,}.*\\n?)*)`, 'gm');
+  const entries = [...text.matchAll(entryPattern)];
+  const entry = entries.find(m => m[1] === directVersion) || entries[0];
+
+  if (!entry) {
+    return directVersion ? { version: directVersion, integrity: null, checksum: null, resolved: null } : null;
+  }
+  const integrity = entry[2].match(/integrity:\s*['"]?([^,}\s'"]+)/);
+  const tarball = entry[2].match(/tarball:\s*['"]?([^,}\s'"]+)/);
+  return {
+    version: entry[1],
+    integrity: integrity ? integrity[1] : null,
+    checksum: null,
+    resolved: tarball ? tarball[1] : null
+  };
+}
+
+/**
+ * Find the locked version of a dependency in the first lockfile that lists it
+ * @param {function(string): Promise<string|null>} readFile - Reads a file of the project, resolving to null if it does not exist
+ * @param {string} name - Package name
+ * @param {string|null} range - Version range declared in package.json
+ * @returns {Promise<{file: string, version: string, integrity: string|null, checksum: string|null, resolved: string|null}|null>} Locked package and the lockfile it was found in, or null
+ */
+async function findLockedVersion(readFile, name, range = null) {
+  for (const file of LOCKFILES) {
+    const text = await readFile(file);
+    if (!text) continue;
+
+    let entry;
+    try {
+      if (file === 'package-lock.json') entry = parsePackageLock(text, name);
+      else if (file === 'yarn.lock') entry = parseYarnLock(text, name, range);
+      else entry = parsePnpmLock(text, name);
+    } catch (e) {
+      throw new Error(`Could not parse ${file}: ${e.message}`);
+    }
+
+    if (entry) {
+      return { file, ...entry };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LOCKFILES,
+  parsePackageLock,
+  parseYarnLock,
+  parsePnpmLock,
+  findLockedVersion
+};
@@ -0,0 +1,258 @@
+/**
+ * Markdown Report Generator Module
+ * Renders a compact summary of a JSON report for pull request comments and GitHub job summaries
+ */
+
+const reportWriter = require('./reportWriter');
+
+// Emoji for each check status
+const STATUS_EMOJI = {
+  pass: '✅',
+  warn: '⚠️',
+  error: '❌',
+  info: 'ℹ️'
+};
+
+// Emoji for each finding severity
+const SEVERITY_EMOJI = {
+  error: '❌',
+  warning: '⚠️',
+  info: 'ℹ️'
+};
+
+// Findings listed before the rest is cut off, to keep comments within size limits
+const MAX_FINDINGS = 50;
+
+/**
+ * Escape text for use inside a Markdown table cell or list item
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text on a single line
+ */
+function escapeMarkdown(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\r?\n/g, ' ')
+    .replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+/**
+ * Format the status table of all checks
+ * @param {Array<Object>} checks - Checks from the JSON report
+ * @returns {string} Markdown table
+ */
+function formatChecks(checks) {
+  if (!checks.length) return '_No checks ran._\n';
+
+  const rows = checks.map(check =>
+    `| ${STATUS_EMOJI[check.status] || ''} | \`${check.id}\` | ${escapeMarkdown(check.message)} |`
+  );
+  return ['| | Check | Result |', '| --- | --- | --- |', ...rows].join('\n') + '\n';
+}
+
+/**
+ * Describe index.pdf in one line
+ * @param {Object} pdf - pdf from the JSON report
+ * @returns {string} Availability, page count and size
+ */
+function formatPdf(pdf) {
+  if (!pdf || !pdf.exists) return 'no index.pdf';
+
+  const info = pdf.inspection;
+  if (!info) return 'index.pdf available';
+  const facts = [`${Math.round(info.size / 1024)} KB`];
+  if (info.pageCount !== null) facts.unshift(`${info.pageCount} pages`);
+  return `index.pdf available (${facts.join(', ')})`;
+}
+
+/**
+ * Format the key facts of the spec as a list
+ * @param {Object} report - JSON report
+ * @returns {string} Markdown list
+ */
+function formatSummary(report) {
+  const tool = report.buildTool || {};
+  const lines = [];
+
+  const metadata = report.metadata;
+  const title = metadata && ((metadata.config && metadata.config.title) || metadata.document.title);
+  if (title) {
+    lines.push(`- **Title:** ${escapeMarkdown(title)}`);
+  }
+  lines.push(`- **Repository:** ${report.repository ? escapeMarkdown(report.repository) : 'not detected'}`);
+  const declared = tool.installedVersion && tool.version ? ` (${escapeMarkdown(tool.lockfile.file)}; package.json declares ${escapeMarkdown(tool.version)})` : '';
+  lines.push(`- **Build tool:** ${tool.name ? `${tool.name} ${escapeMarkdown(tool.installedVersion || tool.version || '')}`.trim() + declared : 'not detected'}`);
+  if (tool.update && tool.update.latest) {
+    const behind = { 'up-to-date': 'up to date', 'minor-behind': 'minor versions behind', 'major-behind': 'major version behind' }[tool.update.status] || 'not a published release';
+    lines.push(`- **Latest release:** ${escapeMarkdown(tool.update.latest)} (${behind}${tool.update.newerReleases.length ? `, ${tool.update.newerReleases.length} newer release(s)` : ''})`);
+  }
+  lines.push(`- **PDF:** ${formatPdf(report.pdf)}`);
+  lines.push(`- **Last updated:** ${report.lastModified || 'unknown'}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the archived versions of the spec
+ * @param {Object} versionHistory - versionHistory from the JSON report
+ * @returns {string} Markdown list, collapsed when it is long
+ */
+function formatVersions(versionHistory) {
+  if (!versionHistory || !versionHistory.exists || !versionHistory.versions.length) {
+    return '_No archived versions found._\n';
+  }
+
+  let baseUrl = versionHistory.baseUrl || '';
+  if (baseUrl && !baseUrl.endsWith('/')) {
+    baseUrl += '/';
+  }
+  const items = versionHistory.versions.map(version =>
+    baseUrl ? `- [${escapeMarkdown(version)}](${baseUrl}versions/${encodeURIComponent(version)}/)` : `- ${escapeMarkdown(version)}`
+  );
+
+  if (items.length <= 5) return items.join('\n') + '\n';
+  return `<details><summary>${items.length} archived versions</summary>\n\n${items.join('\n')}\n\n</details>\n`;
+}
+
+/**
+ * Format the findings of all rules, most severe first
+ * @param {Array<Object>} ruleResults - rules from the JSON report
+ * @returns {string} Markdown list inside a collapsible block
+ */
+function formatFindings(ruleResults) {
+  const order = ['error', 'warning', 'info'];
+  const findings = ruleResults
+    .flatMap(rule => rule.findings)
+    .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+
+  if (!findings.length) return '_No findings._\n';
+
+  const items = findings.slice(0, MAX_FINDINGS).map(finding =>
+    `- ${SEVERITY_EMOJI[finding.severity] || ''} \`${finding.ruleId}\` ${escapeMarkdown(finding.message)}` +
+    (finding.location ? ` — ${escapeMarkdown(finding.location)}` : '')
+  );
+  if (findings.length > MAX_FINDINGS) {
+    items.push(`- … and ${findings.length - MAX_FINDINGS} more`);
+  }
+
+  const count = severity => findings.filter(f => f.severity === severity).length;
+  const summary = `${findings.length} finding(s): ${count('error')} error(s), ${count('warning')} warning(s), ${count('info')} info`;
+  return `<details><summary>${summary}</summary>\n\n${items.join('\n')}\n\n</details>\n`;
+}
+
+/**
+ * Format the content changes between two versions, for release notes
+ * @param {Object} diff - Entry of versionDiffs from the JSON report
+ * @returns {string} Markdown lists
+ */
+function formatVersionDiff(diff) {
+  const heading = `#### ${escapeMarkdown(diff.from.name)} → ${escapeMarkdown(diff.to.name)}\n\n`;
+  if (diff.error) return `${heading}❌ ${escapeMarkdown(diff.error.message)}\n`;
+
+  const { sections, terms } = diff;
+  const lines = [];
+  sections.added.forEach(section => lines.push(`- ➕ Added section: ${escapeMarkdown(section.title)}`));
+  sections.removed.forEach(section => lines.push(`- ➖ Removed section: ${escapeMarkdown(section.title)}`));
+  sections.modified.forEach(section => lines.push(
+    `- ✏️ Modified section: ${escapeMarkdown(section.title)}` +
+    (section.previousTitle ? ` (was ${escapeMarkdown(section.previousTitle)})` : '') +
+    ` — ${section.rows.length} block(s) changed`
+  ));
+  if (terms.added.length) lines.push(`- ➕ Added terms: ${terms.added.map(escapeMarkdown).join(', ')}`);
+  if (terms.removed.length) lines.push(`- ➖ Removed terms: ${terms.removed.map(escapeMarkdown).join(', ')}`);
+
+  return heading + (lines.length ? lines.join('\n') : '_No content changes._') + '\n';
+}
+
+/**
+ * Format the changes since the previous run
+ * @param {Object} diff - changes from the JSON report
+ * @returns {string} Markdown list
+ */
+function formatChanges(diff) {
+  const { regressions, improvements, changes } = diff.summary;
+  if (!diff.changes.length) return `_No changes since the run of ${diff.before.generatedAt}._\n`;
+
+  const emoji = { regression: '🔻', improvement: '🔺', change: '🔹' };
+  const items = diff.changes.map(change => `- ${emoji[change.type] || ''} ${escapeMarkdown(change.message)}`);
+  return `${regressions} regression(s), ${improvements} improvement(s), ${changes} other change(s) since ${diff.before.generatedAt}:\n\n${items.join('\n')}\n`;
+}
+
+/**
+ * Format the CI evaluation
+ * @param {Object} evaluation - ci from the JSON report
+ * @returns {string} Markdown table
+ */
+function formatCi(evaluation) {
+  const rows = evaluation.results.map(r => `| ${r.passed ? '✅' : '❌'} | \`${r.id}\` | ${escapeMarkdown(r.message)} |`);
+  return [
+    evaluation.passed ? '**✅ All CI requirements met**' : '**❌ CI requirements not met**',
+    '',
+    '| | Requirement | Result |',
+    '| --- | --- | --- |',
+    ...rows
+  ].join('\n') + '\n';
+}
+
+/**
+ * Build the Markdown report from a JSON report
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @returns {string} Markdown document
+ */
+function buildMarkdownReport(report) {
+  const checks = report.checks || [];
+  const worst = ['error', 'warn'].find(status => checks.some(check => check.status === status));
+  const headline = { error: '❌', warn: '⚠️' }[worst] || '✅';
+
+  let md = `## ${headline} Specalyzer report for ${escapeMarkdown(report.url)}\n\n`;
+
+  if (report.error) {
+    md += `> ❌ **Analysis failed:** ${escapeMarkdown(report.error.message)}\n\n`;
+  }
+  if (report.ci) {
+    md += `### CI\n\n${formatCi(report.ci)}\n`;
+  }
+
+  md += `${formatSummary(report)}\n`;
+  md += `### Checks\n\n${formatChecks(checks)}\n`;
+  md += `### Findings\n\n${formatFindings(report.rules || [])}\n`;
+  md += `### Archived Versions\n\n${formatVersions(report.versionHistory)}\n`;
+
+  if (report.versionDiffsError) {
+    md += `### Version Changes\n\n❌ ${escapeMarkdown(report.versionDiffsError.message)}\n\n`;
+  } else if (report.versionDiffs && report.versionDiffs.length) {
+    md += `### Version Changes\n\n${report.versionDiffs.map(formatVersionDiff).join('\n')}\n`;
+  }
+
+  if (report.changes) {
+    md += `### Changes Since Previous Run\n\n${formatChanges(report.changes)}\n`;
+  }
+
+  md += `<sub>Generated by ${report.tool.name} v${report.tool.version} on ${report.generatedAt}</sub>\n`;
+  return md;
+}
+
+/**
+ * Build a Markdown comparison of two runs
+ * @param {Object} diff - Differences from runHistory.diffRuns
+ * @returns {string} Markdown document
+ */
+function buildMarkdownDiff(diff) {
+  const headline = diff.summary.regressions ? '⚠️' : '✅';
+  return `## ${headline} Specalyzer comparison for ${escapeMarkdown(diff.after.url)}\n\n${formatChanges(diff)}`;
+}
+
+/**
+ * Write the Markdown report to a file, or to stdout when no path is given
+ * @param {string} markdown - Markdown document
+ * @param {string|null} outputPath - Destination file path, or null for stdout
+ * @returns {string|null} Absolute path of the written file, or null when written to stdout
+ */
+function writeMarkdownReport(markdown, outputPath = null) {
+  return reportWriter.writeReportFile(markdown, outputPath, 'Markdown');
+}
+
+module.exports = {
+  escapeMarkdown,
+  buildMarkdownReport,
+  buildMarkdownDiff,
+  writeMarkdownReport
+};
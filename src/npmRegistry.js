@@ -0,0 +1,207 @@
+/**
+ * npm registry module
+ * Looks up the releases of the build tool in an npm registry and tells how far behind
+ * the latest release a detected version is
+ */
+
+const httpClient = require('./httpClient');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// Environment variable that overrides the default registry, e.g. for a local mirror
+const REGISTRY_ENV_VAR = 'SPECALYZER_NPM_REGISTRY';
+
+// How far a version is behind the latest release
+const UPDATE_STATUS = {
+  UP_TO_DATE: 'up-to-date',
+  MINOR_BEHIND: 'minor-behind', // Same major version, older minor or patch release
+  MAJOR_BEHIND: 'major-behind',
+  UNKNOWN: 'unknown' // The version is not a release of the package
+};
+
+// Registry-wide settings, adjustable with configure()
+const settings = {
+  registry: null
+};
+
+/**
+ * Change the registry that is queried
+ * @param {Object} options - Options
+ * @param {string|null} [options.registry] - Registry URL; null restores the default
+ */
+function configure(options = {}) {
+  if (options.registry !== undefined) {
+    settings.registry = options.registry;
+  }
+}
+
+/**
+ * Get the registry URL in use, without a trailing slash
+ * @returns {string} Registry URL from configure(), the environment or the default
+ */
+function getRegistryUrl() {
+  return (settings.registry || process.env[REGISTRY_ENV_VAR] || DEFAULT_REGISTRY).replace(/\/+$/, '');
+}
+
+/**
+ * Parse a semantic version
+ * @param {string} version - Version such as 1.2.3 or v1.2.3-beta.1
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} Parts, or null if it is not a version
+ */
+function parseSemver(version) {
+  const m = String(version).trim().match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+  if (!m) return null;
+  return {
+    major: parseInt(m[1], 10),
+    minor: parseInt(m[2], 10),
+    patch: parseInt(m[3], 10),
+    prerelease: m[4] ? m[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two semantic versions by semver precedence
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if a is newer, 0 if equal
+ */
+function compareSemver(a, b) {
+  const x = parseSemver(a);
+  const y = parseSemver(b);
+  for (const part of ['major', 'minor', 'patch']) {
+    if (x[part] !== y[part]) return x[part] - y[part];
+  }
+
+  // A prerelease comes before its release; identifiers compare numerically when both are numbers
+  if (!x.prerelease.length || !y.prerelease.length) {
+    return y.prerelease.length - x.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(x.prerelease.length, y.prerelease.length); i++) {
+    const p = x.prerelease[i];
+    const q = y.prerelease[i];
+    if (p === undefined) return -1;
+    if (q === undefined) return 1;
+    if (p === q) continue;
+    const numeric = /^\d+$/.test(p) && /^\d+$/.test(q);
+    if (numeric) return parseInt(p, 10) - parseInt(q, 10);
+    if (/^\d+$/.test(p)) return -1;
+    if (/^\d+$/.test(q)) return 1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Find the release a declared version or range stands for
+ * An exact version is used as is; for ^ and ~ ranges the newest matching release is taken,
+ * as that is what a fresh install gets; other ranges fall back to their base version
+ * @param {string} declared - Version or range, e.g. 1.0.8, ^1.0.8 or ~1.0.8
+ * @param {string[]} releases - Published versions, oldest first
+ * @returns {string|null} The release, or null if none matches
+ */
+function resolveRelease(declared, releases) {
+  const m = String(declared).trim().match(/^([\^~]|[<>]=?|=)?\s*v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)/);
+  if (!m) return null;
+
+  const operator = m[1] || '';
+  const base = parseSemver(m[2]);
+  if (operator !== '^' && operator !== '~') {
+    return releases.includes(m[2]) ? m[2] : null;
+  }
+
+  const matching = releases.filter(release => {
+    const v = parseSemver(release);
+    if (v.prerelease.length || compareSemver(release, m[2]) < 0) return false;
+    if (operator === '~') return v.major === base.major && v.minor === base.minor;
+    // ^ allows changes that do not modify the left-most non-zero part
+    if (base.major > 0) return v.major === base.major;
+    if (base.minor > 0) return v.major === 0 && v.minor === base.minor;
+    return v.major === 0 && v.minor === 0 && v.patch === base.patch;
+  });
+  return matching.length ? matching[matching.length - 1] : null;
+}
+
+/**
+ * Fetch the published releases of a package
+ * @param {string} name - Package name
+ * @returns {Promise<{registry: string, latest: string|null, releases: Array<{version: string, date: string|null}>}>} Releases, oldest first
+ */
+async function fetchReleases(name) {
+  const registry = getRegistryUrl();
+  // Scoped names keep their @ but the slash is encoded
+  const doc = await httpClient.getJson(`${registry}/${encodeURIComponent(name).replace(/^%40/, '@')}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  const time = doc.time || {};
+  const releases = Object.keys(doc.versions || {})
+    .filter(version => parseSemver(version))
+    .sort(compareSemver)
+    .map(version => ({ version, date: time[version] || null }));
+
+  return {
+    registry,
+    latest: (doc['dist-tags'] && doc['dist-tags'].latest) || null,
+    releases
+  };
+}
+
+/**
+ * Check how far a version of a package is behind its latest release
+ * @param {string} name - Package name
+ * @param {string} declared - Installed version, or the range declared in package.json
+ * @returns {Promise<Object>} name, registry, version (the release compared), latest, status (see UPDATE_STATUS),
+ *   versionDate, latestDate and newerReleases (releases between the version and latest, with publish dates)
+ */
+async function checkForUpdates(name, declared) {
+  const { registry, latest, releases } = await fetchReleases(name);
+  const versions = releases.map(release => release.version);
+  const version = resolveRelease(declared, versions);
+  const dateOf = v => {
+    const release = releases.find(r => r.version === v);
+    return release ? release.date : null;
+  };
+
+  const check = {
+    name,
+    registry,
+    declared,
+    version,
+    latest,
+    status: UPDATE_STATUS.UNKNOWN,
+    versionDate: dateOf(version),
+    latestDate: dateOf(latest),
+    newerReleases: []
+  };
+  if (!version || !latest || !parseSemver(latest)) {
+    return check;
+  }
+
+  // Prereleases only count when the spec is itself on a prerelease
+  const includePrereleases = parseSemver(version).prerelease.length > 0;
+  check.newerReleases = releases.filter(release =>
+    compareSemver(release.version, version) > 0 &&
+    compareSemver(release.version, latest) <= 0 &&
+    (includePrereleases || !parseSemver(release.version).prerelease.length)
+  );
+
+  if (compareSemver(version, latest) >= 0) {
+    check.status = UPDATE_STATUS.UP_TO_DATE;
+  } else if (parseSemver(version).major === parseSemver(latest).major) {
+    check.status = UPDATE_STATUS.MINOR_BEHIND;
+  } else {
+    check.status = UPDATE_STATUS.MAJOR_BEHIND;
+  }
+  return check;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  REGISTRY_ENV_VAR,
+  UPDATE_STATUS,
+  configure,
+  getRegistryUrl,
+  compareSemver,
+  resolveRelease,
+  checkForUpdates
+};
@@ -1,8 +1,8 @@
 // pdfCheck.js
 // Checks if index.pdf exists next to index.html at a given base URL
 
-const https = require('https');
-const http = require('http');
+const httpClient = require('./httpClient');
+const pdfInspect = require('./pdfInspect');
 const chalk = require('chalk');
 
 /**
@@ -14,35 +14,52 @@ function checkIndexPdfExists(baseUrl, callback) {
   const url = baseUrl.replace(/\/$/, '') + '/index.pdf';
   console.log(chalk.blue(`📋 Checking for PDF at: ${url}`));
 
-  // Choose the appropriate protocol handler
-  const handler = url.startsWith('https:') ? https : http;
-  
-  const req = handler.get(url, (res) => {
-    // 200 means file exists, 404 means not found
-    res.resume(); // Always consume response to free up memory
-    
-    if (res.statusCode === 200) {
-      callback(null, true);
-    } else if (res.statusCode === 404) {
-      callback(null, false);
-    } else if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-      // Handle redirects
-      console.log(chalk.yellow(`🔄 Following redirect to: ${res.headers.location}`));
-      const redirectUrl = new URL(res.headers.location, url).href;
-      checkIndexPdfExists(redirectUrl, callback);
-    } else {
-      callback(new Error(`Unexpected status code: ${res.statusCode} (${res.statusMessage || 'Unknown'})`));
-    }
-  }).on('error', err => {
-    console.log(chalk.red(`❌ Error checking for PDF: ${err.message}`));
-    callback(err);
-  });
-  
-  // Set a timeout to avoid hanging
-  req.setTimeout(10000, () => {
-    req.abort();
-    callback(new Error('Timeout when checking for PDF'));
-  });
+  // Redirects are followed by the client; the body is not downloaded
+  httpClient.request(url, { responseType: 'none', throwHttpErrors: false })
+    .then((res) => {
+      // 200 means file exists, 404 means not found
+      if (res.status === 200) {
+        callback(null, true);
+      } else if (res.status === 404) {
+        callback(null, false);
+      } else {
+        callback(new httpClient.HttpError(`Unexpected status code: ${res.status}`, {
+          url: res.url,
+          code: `HTTP_${res.status}`,
+          status: res.status,
+          headers: res.headers
+        }));
+      }
+    })
+    .catch((err) => {
+      console.log(chalk.red(`❌ Error checking for PDF: ${err.message}`));
+      callback(err);
+    });
 }
 
-module.exports = { checkIndexPdfExists };
+/**
+ * Downloads index.pdf from the given URL for inspection
+ * The download stops with an EBODYTOOLARGE HttpError beyond pdfInspect.MAX_PDF_SIZE
+ * @param {string} baseUrl - Base URL where index.pdf would be located
+ * @returns {Promise<Buffer|null>} The PDF file, or null if it does not exist
+ */
+async function fetchIndexPdf(baseUrl) {
+  const url = baseUrl.replace(/\/$/, '') + '/index.pdf';
+  console.log(chalk.blue(`📋 Downloading PDF from: ${url}`));
+
+  const res = await httpClient.request(url, { responseType: 'buffer', throwHttpErrors: false, maxBodySize: pdfInspect.MAX_PDF_SIZE });
+  if (res.status === 404) {
+    return null;
+  }
+  if (res.status !== 200) {
+    throw new httpClient.HttpError(`Unexpected status code: ${res.status}`, {
+      url: res.url,
+      code: `HTTP_${res.status}`,
+      status: res.status,
+      headers: res.headers
+    });
+  }
+  return res.body;
+}
+
+module.exports = { checkIndexPdfExists, fetchIndexPdf };
@@ -0,0 +1,465 @@
+/**
+ * PDF inspection module
+ * Reads the structure of a PDF without external dependencies: size, page count, document
+ * metadata, text layer and outline (bookmarks). Compressed object streams are inflated with zlib.
+ */
+
+const zlib = require('zlib');
+
+// Keys of the document information dictionary that are reported
+const INFO_KEYS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modDate: 'ModDate'
+};
+
+// A PDF built before the site was deployed is only stale when it is older than this
+const STALE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on outline entries walked, against malformed /Next loops
+const MAX_OUTLINE_ENTRIES = 10000;
+
+// Larger PDFs are not downloaded or inspected
+const MAX_PDF_SIZE = 25 * 1024 * 1024;
+
+// Upper bound on the decoded size of a single stream, against compression bombs
+const MAX_STREAM_SIZE = 10 * 1024 * 1024;
+
+// Number of page content streams decoded when looking for a text layer
+const MAX_TEXT_STREAMS = 20;
+
+/**
+ * Read a PDF literal string starting at an opening parenthesis
+ * @param {string} text - Latin-1 text of the PDF
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {string} The raw bytes of the string (latin1), escapes resolved
+ */
+function readLiteralString(text, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+  let depth = 0;
+  let out = '';
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      const next = text[++i];
+      if (escapes[next] !== undefined) {
+        out += escapes[next];
+      } else if (/[0-7]/.test(next)) {
+        const octal = text.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next === '\r' && text[i + 1] === '\n') {
+        i++; // Line continuation
+      }
+      // Any other escaped character (including a newline) is dropped
+      continue;
+    }
+    if (ch === '(') {
+      if (depth++ > 0) out += ch;
+    } else if (ch === ')') {
+      if (--depth === 0) break;
+      out += ch;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Decode the bytes of a PDF text string: UTF-16BE with a byte order mark, else PDFDocEncoding (close to Latin-1)
+ * @param {string} bytes - Raw bytes as a latin1 string
+ * @returns {string} Decoded text
+ */
+function decodeTextString(bytes) {
+  if (bytes.charCodeAt(0) === 0xFE && bytes.charCodeAt(1) === 0xFF) {
+    const buffer = Buffer.from(bytes.slice(2), 'latin1');
+    // Swap to little endian for Node's utf16le decoder
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      const byte = buffer[i];
+      buffer[i] = buffer[i + 1];
+      buffer[i + 1] = byte;
+    }
+    return buffer.toString('utf16le');
+  }
+  if (bytes.startsWith('ï»¿')) {
+    return Buffer.from(bytes.slice(3), 'latin1').toString('utf8');
+  }
+  return bytes;
+}
+
+/**
+ * Parse a PDF date (D:YYYYMMDDHHmmSSOHH'mm')
+ * @param {string|null} value - The date string
+ * @returns {Date|null} The date, or null if it cannot be parsed
+ */
+function parsePdfDate(value) {
+  // ISO dates (from XMP) would otherwise be read as a year with a time zone offset
+  if (!value || /^\d{4}-/.test(value)) return null;
+  const m = value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([Zz+-])?\s*(\d{2})?'?(\d{2})?'?/);
+  if (!m) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = m;
+  const offset = sign === '+' || sign === '-' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the value of a key in a dictionary as an object reference
+ * @param {string} dict - Dictionary text
+ * @param {string} key - Key without slash
+ * @returns {number|null} Object number, or null if the key is missing or not a reference
+ */
+function getRef(dict, key) {
+  const m = dict.match(new RegExp(`/${key}(?![A-Za-z])\\s*(\\d+)\\s+\\d+\\s+R`));
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Get the value of a key in a dictionary as a number
+ * @param {string} dict - Dictionary text
+ * @param {string} key - Key without slash
+ * @returns {number|null} The number, or null if the key is missing
+ */
+function getNumber(dict, key) {
+  const m = dict.match(new RegExp(`/${key}(?![A-Za-z])\\s*(-?\\d+)(?!\\s+\\d+\\s+R)`));
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Split the text of a PDF into its objects, including the objects inside compressed object streams
+ * Later definitions of an object (incremental updates) replace earlier ones
+ * @param {string} raw - Latin-1 text of the PDF
+ * @returns {Map<number, {dict: string, stream: string|null}>} Objects by number
+ */
+function parseObjects(raw) {
+  const objects = new Map();
+  const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let m;
+
+  while ((m = objectPattern.exec(raw))) {
+    const start = objectPattern.lastIndex;
+    let end = raw.indexOf('endobj', start);
+    if (end === -1) break;
+
+    let dict = raw.slice(start, end);
+    let stream = null;
+    const streamMatch = dict.match(/\bstream\r?\n/);
+    if (streamMatch) {
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      dict = dict.slice(0, streamMatch.index);
+      // Binary data can contain "endobj", so prefer the declared length
+      const length = getNumber(dict, 'Length');
+      const dataEnd = length !== null ? dataStart + length : raw.indexOf('endstream', dataStart);
+      stream = raw.slice(dataStart, dataEnd === -1 ? end : dataEnd);
+      end = raw.indexOf('endobj', dataEnd === -1 ? start : dataEnd);
+      if (end === -1) end = raw.length;
+    }
+
+    objects.set(parseInt(m[1], 10), { dict, stream });
+    objectPattern.lastIndex = end;
+  }
+
+  // Objects of PDF 1.5+ files are often stored inside compressed object streams
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+    const decoded = decodeStream(object);
+    const count = getNumber(object.dict, 'N');
+    const first = getNumber(object.dict, 'First');
+    if (decoded === null || count === null || first === null) continue;
+
+    const header = decoded.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const number = header[i * 2];
+      const offset = first + header[i * 2 + 1];
+      const next = i + 1 < count ? first + header[(i + 1) * 2 + 1] : decoded.length;
+      if (!objects.has(number)) {
+        objects.set(number, { dict: decoded.slice(offset, next), stream: null });
+      }
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Decode the data of a stream object; only unfiltered and FlateDecode streams are supported
+ * @param {{dict: string, stream: string|null}} object - Object from parseObjects
+ * @returns {string|null} Decoded data (latin1), or null if it cannot be decoded
+ */
+function decodeStream(object) {
+  if (object.stream === null) return null;
+  const filter = object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/);
+  if (!filter) return object.stream;
+  if (!/^(\[\s*)?\/FlateDecode(\s*\])?$/.test(filter[1])) return null;
+
+  try {
+    return zlib.inflateSync(Buffer.from(object.stream, 'latin1'), { maxOutputLength: MAX_STREAM_SIZE }).toString('latin1');
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    // Tolerate truncated streams, which zlib can still partly decode
+    try {
+      return zlib.inflateSync(Buffer.from(object.stream, 'latin1'), { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_STREAM_SIZE }).toString('latin1');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Read a text string value from a dictionary, following an indirect reference if needed
+ * @param {string} dict - Dictionary text
+ * @param {string} key - Key without slash
+ * @param {Map} objects - Objects from parseObjects
+ * @returns {string|null} The decoded text, or null if the key is missing
+ */
+function getText(dict, key, objects) {
+  const ref = getRef(dict, key);
+  if (ref !== null) {
+    const target = objects.get(ref);
+    return target ? getText(`/${key} ${target.dict.trim()}`, key, objects) : null;
+  }
+
+  const m = new RegExp(`/${key}(?![A-Za-z])\\s*(\\(|<(?!<))`).exec(dict);
+  if (!m) return null;
+
+  const start = m.index + m[0].length - 1;
+  if (m[1] === '(') {
+    return decodeTextString(readLiteralString(dict, start)).trim();
+  }
+  const end = dict.indexOf('>', start);
+  const hex = dict.slice(start + 1, end === -1 ? undefined : end).replace(/\s+/g, '');
+  return decodeTextString(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1')).trim();
+}
+
+/**
+ * Read metadata from the XMP packet, for PDFs without a document information dictionary
+ * @param {Map} objects - Objects from parseObjects
+ * @returns {Object} Metadata found (title, producer, creationDate, modDate)
+ */
+function readXmpMetadata(objects) {
+  for (const object of objects.values()) {
+    if (!/\/Type\s*\/Metadata/.test(object.dict)) continue;
+    const xml = decodeStream(object);
+    if (!xml) continue;
+
+    const text = Buffer.from(xml, 'latin1').toString('utf8');
+    const pick = pattern => {
+      const m = text.match(pattern);
+      return m ? m[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&').trim() : null;
+    };
+    return {
+      title: pick(/<dc:title>[\s\S]*?<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/),
+      producer: pick(/<pdf:Producer>([\s\S]*?)<\/pdf:Producer>/) || pick(/pdf:Producer="([^"]*)"/),
+      creationDate: pick(/<xmp:CreateDate>([\s\S]*?)<\/xmp:CreateDate>/) || pick(/xmp:CreateDate="([^"]*)"/),
+      modDate: pick(/<xmp:ModifyDate>([\s\S]*?)<\/xmp:ModifyDate>/) || pick(/xmp:ModifyDate="([^"]*)"/)
+    };
+  }
+  return {};
+}
+
+/**
+ * Get the content streams of the pages, in page object order
+ * @param {Map} objects - Objects from parseObjects
+ * @returns {Array<Object>} Stream objects referenced by /Contents
+ */
+function getPageContents(objects) {
+  const contents = [];
+  for (const object of objects.values()) {
+    if (!/\/Type\s*\/Page(?![a-zA-Z])/.test(object.dict)) continue;
+    const m = object.dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+    for (const ref of m ? m[1].matchAll(/(\d+)\s+\d+\s+R/g) : []) {
+      const stream = objects.get(parseInt(ref[1], 10));
+      if (stream && stream.stream !== null) contents.push(stream);
+    }
+  }
+  return contents;
+}
+
+/**
+ * Check whether any page content draws text
+ * Only the first page content streams are decoded, as text usually starts on the first page
+ * @param {Map} objects - Objects from parseObjects
+ * @returns {boolean} Whether a text layer was found
+ */
+function hasTextContent(objects) {
+  const values = [...objects.values()];
+  if (!values.some(object => /\/Type\s*\/Font\b/.test(object.dict))) return false;
+
+  // Without a readable page tree, look at every stream except images, fonts and structural streams
+  let streams = getPageContents(objects);
+  if (!streams.length) {
+    streams = values.filter(object => object.stream !== null &&
+      !/\/Subtype\s*\/Image|\/Type\s*\/(ObjStm|XRef|Metadata)|\/Length[123]\b/.test(object.dict));
+  }
+
+  for (const object of streams.slice(0, MAX_TEXT_STREAMS)) {
+    const content = decodeStream(object);
+    if (content && /\bBT\b/.test(content) && /\bT[jJ]\b/.test(content)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Count the top-level entries of the document outline (bookmarks)
+ * @param {Object|undefined} catalog - The document catalog object
+ * @param {Map} objects - Objects from parseObjects
+ * @returns {number} Number of top-level outline entries
+ */
+function countOutlineEntries(catalog, objects) {
+  const outlinesRef = catalog ? getRef(catalog.dict, 'Outlines') : null;
+  const outlines = outlinesRef !== null ? objects.get(outlinesRef) : null;
+  if (!outlines) return 0;
+
+  let count = 0;
+  const seen = new Set();
+  let ref = getRef(outlines.dict, 'First');
+  while (ref !== null && !seen.has(ref) && count < MAX_OUTLINE_ENTRIES) {
+    seen.add(ref);
+    count++;
+    const entry = objects.get(ref);
+    ref = entry ? getRef(entry.dict, 'Next') : null;
+  }
+  return count;
+}
+
+/**
+ * Find the trailer dictionary of the last cross-reference section, which startxref points to
+ * @param {string} raw - Latin-1 text of the PDF
+ * @returns {string|null} Trailer text (or the dictionary of a cross-reference stream), or null if startxref is missing or broken
+ */
+function findTrailer(raw) {
+  const m = raw.slice(-1024).match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  const offset = m ? parseInt(m[1], 10) : -1;
+  if (offset < 0 || offset >= raw.length) return null;
+
+  if (raw.startsWith('xref', offset)) {
+    const start = raw.indexOf('trailer', offset);
+    const end = raw.indexOf('startxref', start);
+    return start === -1 || end === -1 ? null : raw.slice(start, end);
+  }
+  const header = raw.slice(offset, offset + 64).match(/^\d+\s+\d+\s+obj\b/);
+  if (!header) return null;
+  const end = raw.indexOf('stream', offset);
+  return end === -1 ? null : raw.slice(offset, end);
+}
+
+/**
+ * Inspect a PDF file
+ * @param {Buffer} buffer - The PDF file, at most MAX_PDF_SIZE bytes
+ * @returns {{size: number, pdfVersion: string|null, pageCount: number|null, encrypted: boolean, metadata: Object, hasTextLayer: boolean|null, hasOutline: boolean, outlineEntries: number}} Inspection result
+ */
+function inspectPdf(buffer) {
+  if (buffer.length > MAX_PDF_SIZE) {
+    throw new Error(`index.pdf is larger than ${MAX_PDF_SIZE / 1024 / 1024} MB and was not inspected`);
+  }
+  const raw = buffer.toString('latin1');
+  const header = raw.slice(0, 1024).match(/%PDF-(\d\.\d)/);
+  if (!header) {
+    throw new Error('index.pdf is not a PDF file');
+  }
+
+  const objects = parseObjects(raw);
+  // Read references from the trailer; scan the whole file only when it is missing or incomplete,
+  // e.g. in linearized PDFs where the last trailer only holds /Size
+  let trailer = findTrailer(raw);
+  if (trailer !== null && getRef(trailer, 'Root') === null) trailer = null;
+  const lastRef = key => {
+    if (trailer !== null) return getRef(trailer, key);
+    const matches = [...raw.matchAll(new RegExp(`/${key}\\s*(\\d+)\\s+\\d+\\s+R`, 'g'))];
+    return matches.length ? parseInt(matches[matches.length - 1][1], 10) : null;
+  };
+  const encrypted = lastRef('Encrypt') !== null;
+  const catalog = objects.get(lastRef('Root'));
+
+  // Page count from the page tree, or by counting page objects
+  let pageCount = null;
+  const pagesRef = catalog ? getRef(catalog.dict, 'Pages') : null;
+  if (pagesRef !== null && objects.has(pagesRef)) {
+    pageCount = getNumber(objects.get(pagesRef).dict, 'Count');
+  }
+  if (pageCount === null) {
+    pageCount = [...objects.values()].filter(object => /\/Type\s*\/Page(?![a-zA-Z])/.test(object.dict)).length || null;
+  }
+
+  // Strings of an encrypted PDF cannot be read without decrypting them
+  const metadata = {};
+  if (!encrypted) {
+    const info = objects.get(lastRef('Info'));
+    for (const [name, key] of Object.entries(INFO_KEYS)) {
+      metadata[name] = info ? getText(info.dict, key, objects) || null : null;
+    }
+    const xmp = readXmpMetadata(objects);
+    for (const name of Object.keys(INFO_KEYS)) {
+      if (!metadata[name] && xmp[name]) metadata[name] = xmp[name];
+    }
+  }
+  for (const name of ['creationDate', 'modDate']) {
+    const date = metadata[name] && (parsePdfDate(metadata[name]) || new Date(metadata[name]));
+    metadata[name] = date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  const outlineEntries = countOutlineEntries(catalog, objects);
+  return {
+    size: buffer.length,
+    pdfVersion: header[1],
+    pageCount,
+    encrypted,
+    metadata,
+    hasTextLayer: encrypted ? null : hasTextContent(objects),
+    hasOutline: outlineEntries > 0,
+    outlineEntries
+  };
+}
+
+/**
+ * Normalize a title for comparison
+ * @param {string} title - Title to normalize
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Compare an inspected PDF with the HTML spec it belongs to
+ * @param {Object} inspection - Result of inspectPdf
+ * @param {Object} spec - The HTML spec
+ * @param {string|null} spec.title - Title of the spec from index.html
+ * @param {Date|null} spec.lastModified - Last-Modified date of the site
+ * @returns {{specTitle: string|null, titleMatches: boolean|null, olderThanHtml: boolean|null}} Comparison; null where it cannot be decided
+ */
+function compareWithSpec(inspection, spec) {
+  const pdfTitle = inspection.metadata.title ? normalizeTitle(inspection.metadata.title) : '';
+  const specTitle = spec.title ? normalizeTitle(spec.title) : '';
+  const titleMatches = pdfTitle && specTitle
+    ? pdfTitle === specTitle || pdfTitle.includes(specTitle) || specTitle.includes(pdfTitle)
+    : null;
+
+  const pdfDate = inspection.metadata.modDate || inspection.metadata.creationDate;
+  const olderThanHtml = pdfDate && spec.lastModified
+    ? new Date(pdfDate).getTime() < spec.lastModified.getTime() - STALE_TOLERANCE_MS
+    : null;
+
+  return {
+    specTitle: spec.title || null,
+    titleMatches,
+    olderThanHtml
+  };
+}
+
+module.exports = {
+  MAX_PDF_SIZE,
+  parsePdfDate,
+  inspectPdf,
+  compareWithSpec
+};
@@ -0,0 +1,155 @@
+/**
+ * Plugin module
+ * Loads third-party checks from local files or npm packages. A plugin registers extra rules
+ * (see rules.js) and can contribute its own report cards.
+ *
+ * A plugin module exports:
+ *   {
+ *     name: 'my-house-rules',
+ *     rules: [{ id, description, defaultSeverity, defaultOptions, evaluate(result, options, context) }],
+ *     cards(context, htmlReporter) // returns an HTML string or an array of them
+ *   }
+ *
+ * Both evaluate and cards are synchronous; a returned Promise is reported as an error.
+ *
+ * The context holds the fetched index.html DOM (document), specConfig, package.json (packageJson),
+ * specs.json (specsJson), the response headers and the analyzed url.
+ */
+
+const path = require('path');
+const rules = require('./rules');
+const htmlReporter = require('./htmlReporter');
+
+/**
+ * Resolve a plugin specifier to a module path
+ * Paths (./house-rules.js, /abs/plugin.js) are relative to baseDir, anything else is a package name
+ * @param {string} specifier - File path or package name
+ * @param {string} baseDir - Directory relative paths and packages are resolved from
+ * @returns {string} Absolute path of the plugin module
+ */
+function resolvePlugin(specifier, baseDir) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return require.resolve(path.resolve(baseDir, specifier));
+  }
+  return require.resolve(specifier, { paths: [baseDir, process.cwd()] });
+}
+
+/**
+ * Check that a loaded module has the plugin shape
+ * @param {Object} plugin - The module exports
+ * @param {string} specifier - File path or package name, for error messages
+ */
+function validatePlugin(plugin, specifier) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Plugin ${specifier} must export an object`);
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error(`Plugin ${specifier} must have a name`);
+  }
+  if (plugin.rules !== undefined && !Array.isArray(plugin.rules)) {
+    throw new Error(`Plugin ${plugin.name}: rules must be an array`);
+  }
+  if (plugin.cards !== undefined && typeof plugin.cards !== 'function') {
+    throw new Error(`Plugin ${plugin.name}: cards must be a function`);
+  }
+}
+
+/**
+ * Load plugins and register their rules
+ * @param {Array<string>} specifiers - File paths or package names
+ * @param {string} [baseDir] - Directory relative paths are resolved from (the working directory by default)
+ * @param {Array<Object>} [loaded] - Plugins loaded earlier, which are not registered again
+ * @returns {Array<Object>} The earlier and newly loaded plugins
+ */
+function loadPlugins(specifiers, baseDir = process.cwd(), loaded = []) {
+  const plugins = [...loaded];
+
+  for (const specifier of specifiers) {
+    let modulePath;
+    try {
+      modulePath = resolvePlugin(specifier, baseDir);
+    } catch (error) {
+      throw new Error(`Plugin not found: ${specifier} (looked in ${baseDir})`);
+    }
+
+    let plugin;
+    try {
+      plugin = require(modulePath);
+    } catch (error) {
+      throw new Error(`Could not load plugin ${specifier}: ${error && error.message ? error.message : String(error)}`);
+    }
+
+    validatePlugin(plugin, specifier);
+    // The same plugin can be named in both the configuration and --plugin
+    if (plugins.includes(plugin)) continue;
+
+    for (const rule of plugin.rules || []) {
+      try {
+        rules.registerRule(rule);
+      } catch (error) {
+        throw new Error(`Plugin ${plugin.name}: ${error.message}`);
+      }
+    }
+    plugins.push(plugin);
+  }
+
+  return plugins;
+}
+
+/**
+ * Build the card shown in place of the cards of a failing plugin
+ * @param {Object} plugin - The plugin
+ * @param {string} message - What went wrong
+ * @returns {string} HTML string for the card
+ */
+function errorCard(plugin, message) {
+  return htmlReporter.createCardSection(
+    `Plugin ${htmlReporter.escapeHtml(plugin.name)}`,
+    `<div class="alert alert-danger mb-0">Plugin failed: ${htmlReporter.escapeHtml(message)}</div>`,
+    'danger'
+  );
+}
+
+/**
+ * Collect the report cards contributed by plugins
+ * A plugin that fails gets an error card instead, so one broken plugin does not break the report
+ * @param {Array<Object>} plugins - Loaded plugins
+ * @param {Object} context - Plugin context built by the analyzer
+ * @returns {Array<string>} HTML strings of the cards
+ */
+function buildPluginCards(plugins, context) {
+  const cards = [];
+
+  for (const plugin of plugins) {
+    if (!plugin.cards) continue;
+    let contributed;
+    try {
+      contributed = plugin.cards(context, htmlReporter);
+    } catch (error) {
+      // Plugins may throw anything, not only Error objects
+      cards.push(errorCard(plugin, error && error.message ? error.message : String(error)));
+      continue;
+    }
+    if (!contributed) continue;
+
+    if (typeof contributed.then === 'function') {
+      // Swallow the rejection of a Promise that is never awaited
+      Promise.resolve(contributed).catch(() => {});
+      cards.push(errorCard(plugin, 'cards returned a Promise, but cards must return HTML synchronously'));
+      continue;
+    }
+    const list = Array.isArray(contributed) ? contributed : [contributed];
+    if (!list.every(card => typeof card === 'string')) {
+      cards.push(errorCard(plugin, 'cards must return an HTML string or an array of them'));
+      continue;
+    }
+    cards.push(...list);
+  }
+
+  return cards;
+}
+
+module.exports = {
+  loadPlugins,
+  buildPluginCards
+};
@@ -0,0 +1,48 @@
+/**
+ * Report writer module
+ * Writes a rendered report (JSON, Markdown, SARIF, JUnit XML) to a file or to stdout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Check whether a file is the GitHub Actions job summary, which other steps write to as well
+ * @param {string} filePath - Absolute path of the output file
+ * @returns {boolean} Whether the file is $GITHUB_STEP_SUMMARY
+ */
+function isStepSummary(filePath) {
+  return !!process.env.GITHUB_STEP_SUMMARY && path.resolve(process.env.GITHUB_STEP_SUMMARY) === filePath;
+}
+
+/**
+ * Write a report to a file, or to stdout when no path is given
+ * The file is replaced, except for the GitHub Actions job summary, which is appended to
+ * @param {string} content - Rendered report
+ * @param {string|null} outputPath - Destination file path, or null for stdout
+ * @param {string} label - Name of the format for the console message, e.g. Markdown
+ * @returns {string|null} Absolute path of the written file, or null when written to stdout
+ */
+function writeReportFile(content, outputPath, label) {
+  if (!outputPath) {
+    process.stdout.write(content);
+    return null;
+  }
+
+  const filePath = path.resolve(outputPath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (isStepSummary(filePath)) {
+    fs.appendFileSync(filePath, content);
+    console.log(chalk.green(`💾 ${label} report appended to: ${filePath}`));
+  } else {
+    fs.writeFileSync(filePath, content);
+    console.log(chalk.green(`💾 ${label} report saved to: ${filePath}`));
+  }
+
+  return filePath;
+}
+
+module.exports = {
+  writeReportFile
+};
@@ -0,0 +1,520 @@
+/**
+ * Rule engine module
+ * Turns an analysis result into structured findings through a registry of rules.
+ * Each rule has an id, a default severity and options, and can be disabled or
+ * overridden in the "rules" section of .specalyzerrc
+ */
+
+// Finding severities, most severe first
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Check status for the most severe finding of a rule (jsonReporter.STATUS values)
+const STATUS_BY_SEVERITY = {
+  error: 'error',
+  warning: 'warn',
+  info: 'info'
+};
+
+/**
+ * Describe an error for a finding message
+ * Plugin rules may throw anything, not only Error objects
+ * @param {*} error - The error, a string or any other thrown value
+ * @returns {string} The error message
+ */
+function errorMessage(error) {
+  return error && error.message ? error.message : String(error);
+}
+
+/**
+ * Check whether a URL matches one of the ignore patterns of a rule
+ * Patterns are URL prefixes; a trailing * is allowed and ignored
+ * @param {string} url - URL to test
+ * @param {string[]} patterns - Ignore patterns
+ * @returns {boolean} Whether the URL is ignored
+ */
+function isIgnored(url, patterns) {
+  return patterns.some(pattern => url.startsWith(pattern.replace(/\*$/, '')));
+}
+
+/**
+ * Findings for a build tool that is behind its latest release
+ * @param {Object|null} update - Result of npmRegistry.checkForUpdates
+ * @returns {Array<Object>} A warning when a major version behind, info when minor versions behind
+ */
+function updateFindings(update) {
+  if (!update || (update.status !== 'major-behind' && update.status !== 'minor-behind')) {
+    return [];
+  }
+  const message = `${update.name} ${update.version} is ${update.newerReleases.length} release(s) behind the latest ${update.latest}` +
+    (update.status === 'major-behind' ? ', a new major version' : '');
+  return [{ message, severity: update.status === 'major-behind' ? 'warning' : 'info', artifact: 'package.json' }];
+}
+
+// The rule registry, in report order; plugin rules are appended by registerRule.
+// evaluate(result, options, context) returns { message, findings } or null when the rule does not apply;
+// a finding is { message, severity?, location?, artifact? } and uses the rule severity unless it sets its own.
+// location is a human-readable place (JSON path, section, term); artifact is where the problem is for
+// code-scanning tools: a repository file (specs.json), an #anchor of the spec page or an absolute URL,
+// defaulting to the spec page itself.
+const RULES = [
+  {
+    id: 'spec-page',
+    description: 'The rendered index.html can be read, so the content checks can run',
+    defaultSeverity: 'warning',
+    defaultOptions: {},
+    evaluate(result) {
+      if (result.htmlFound) {
+        return { message: 'index.html found', findings: [] };
+      }
+      if (result.htmlError) {
+        const message = `index.html could not be fetched: ${errorMessage(result.htmlError)}`;
+        return { message, findings: [{ message }] };
+      }
+      // GitHub repository URLs and unbuilt checkouts have no rendered page
+      return null;
+    }
+  },
+  {
+    id: 'repository',
+    description: 'The source repository can be detected',
+    defaultSeverity: 'warning',
+    defaultOptions: {},
+    evaluate(result) {
+      return result.repo
+        ? { message: 'Repository URL detected', findings: [] }
+        : { message: 'Repository URL could not be detected', findings: [{ message: 'Repository URL could not be detected' }] };
+    }
+  },
+  {
+    id: 'last-modified',
+    description: 'The deployed spec reports when it was last updated',
+    defaultSeverity: 'warning',
+    defaultOptions: { maxAgeDays: null },
+    evaluate(result, options) {
+      if (!result.lastModified) {
+        const message = result.lastModifiedError
+          ? `Last-Modified date could not be read: ${errorMessage(result.lastModifiedError)}`
+          : 'Last-Modified header missing';
+        return { message, findings: [{ message }] };
+      }
+
+      const days = Math.floor((Date.now() - result.lastModified.getTime()) / (24 * 60 * 60 * 1000));
+      if (options.maxAgeDays !== null && days > options.maxAgeDays) {
+        const message = `Last updated ${days} days ago (limit ${options.maxAgeDays})`;
+        return { message, findings: [{ message }] };
+      }
+      return { message: 'Last-Modified header present', findings: [] };
+    }
+  },
+  {
+    id: 'metadata',
+    description: 'The specConfig metadata agrees with the <title>, <meta> tags and first heading',
+    defaultSeverity: 'info',
+    defaultOptions: {},
+    evaluate(result) {
+      if (result.metadataError) {
+        const message = `Metadata could not be read: ${errorMessage(result.metadataError)}`;
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      if (!result.metadata) return null;
+      const { inconsistencies } = result.metadata;
+      return {
+        message: inconsistencies.length ? `${inconsistencies.length} metadata inconsistency(ies)` : 'Metadata is consistent',
+        findings: inconsistencies.map(issue => ({ message: issue.message, location: issue.field }))
+      };
+    }
+  },
+  {
+    id: 'pdf',
+    description: 'index.pdf is published next to index.html',
+    defaultSeverity: 'warning',
+    defaultOptions: {},
+    evaluate(result) {
+      if (result.pdfError) {
+        const message = errorMessage(result.pdfError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      if (!result.pdfExists) {
+        return { message: 'index.pdf does not exist', findings: [{ message: 'index.pdf does not exist' }] };
+      }
+      if (result.pdfInspectError) {
+        const message = `index.pdf could not be inspected: ${errorMessage(result.pdfInspectError)}`;
+        return { message, findings: [{ message, artifact: result.pdfUrl }] };
+      }
+
+      const info = result.pdfInfo;
+      const findings = [];
+      if (info.titleMatches === false) {
+        findings.push({ message: `PDF title "${info.metadata.title}" does not match the spec title "${info.specTitle}"`, artifact: result.pdfUrl });
+      }
+      if (info.olderThanHtml) {
+        findings.push({ message: 'index.pdf is older than index.html; it was probably not rebuilt', artifact: result.pdfUrl });
+      }
+      if (info.hasTextLayer === false) {
+        findings.push({ message: 'index.pdf has no text layer, so it cannot be searched or read by screen readers', artifact: result.pdfUrl });
+      }
+      if (!info.hasOutline) {
+        findings.push({ message: 'index.pdf has no outline (bookmarks)', severity: 'info', artifact: result.pdfUrl });
+      }
+
+      const pages = info.pageCount !== null ? `, ${info.pageCount} page(s)` : '';
+      return { message: `index.pdf exists${pages}`, findings };
+    }
+  },
+  {
+    id: 'build-tool',
+    description: 'The Spec-Up or Spec-Up-T version can be detected from package.json',
+    defaultSeverity: 'warning',
+    defaultOptions: {},
+    evaluate(result) {
+      const version = result.isUsingSpecUp ? result.specUpOriginalVersion : result.specUpVersion;
+      if (version) {
+        const message = result.buildToolLock
+          ? `Build tool version ${result.buildToolLock.version} installed (from ${result.buildToolLock.file})`
+          : `Build tool version ${version} declared`;
+        return { message, findings: updateFindings(result.buildToolUpdate) };
+      }
+      if (result.buildToolError) {
+        const message = errorMessage(result.buildToolError);
+        return { message, findings: [{ message, severity: 'error', artifact: 'package.json' }] };
+      }
+      return { message: 'Build tool version not detected', findings: [{ message: 'Build tool version not detected', artifact: 'package.json' }] };
+    }
+  },
+  {
+    id: 'specs-json',
+    description: 'specs.json is available and valid',
+    defaultSeverity: 'error',
+    defaultOptions: {},
+    evaluate(result) {
+      if (result.specsJsonValidation) {
+        const { valid, issues } = result.specsJsonValidation;
+        let message = 'specs.json is valid';
+        if (!valid) {
+          message = `specs.json has ${issues.length} issue(s)`;
+        } else if (issues.length) {
+          message = `specs.json has ${issues.length} warning(s)`;
+        }
+        return {
+          message,
+          findings: issues.map(issue => ({ message: issue.message, severity: issue.severity, location: issue.path, artifact: 'specs.json' }))
+        };
+      }
+      if (result.specsJsonError) {
+        const message = `specs.json not available: ${errorMessage(result.specsJsonError)}`;
+        return { message, findings: [{ message, severity: 'warning', artifact: 'specs.json' }] };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'version-history',
+    description: 'Archived versions of the spec are published',
+    defaultSeverity: 'info',
+    defaultOptions: {},
+    evaluate(result) {
+      const versionInfo = result.versionInfo;
+      const error = result.versionInfoError || (versionInfo && versionInfo.error);
+      if (error) {
+        const message = errorMessage(error);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      return versionInfo && versionInfo.exists
+        ? { message: `${versionInfo.count} archived version(s) found`, findings: [] }
+        : { message: 'No archived versions found', findings: [{ message: 'No archived versions found' }] };
+    }
+  },
+  {
+    id: 'links',
+    description: 'Internal anchors and external links resolve',
+    defaultSeverity: 'warning',
+    defaultOptions: { ignore: [] },
+    evaluate(result, options) {
+      if (result.linkCheckError) {
+        const message = errorMessage(result.linkCheckError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      if (!result.linkCheck) return null;
+
+      const broken = result.linkCheck.brokenLinks.filter(link => !isIgnored(link.href, options.ignore));
+      return {
+        message: broken.length ? `${broken.length} broken link(s) found` : 'All links resolve',
+        findings: broken.map(link => ({
+          message: `Broken ${link.type} link ${link.href}${link.error ? ` (${link.error})` : ''}`,
+          location: link.section,
+          artifact: link.type === 'internal' ? link.href : null
+        }))
+      };
+    }
+  },
+  {
+    id: 'structure',
+    description: 'Headings do not skip levels, sections are not empty, ids are unique and the table of contents matches the headings',
+    defaultSeverity: 'warning',
+    defaultOptions: { ignore: [] },
+    evaluate(result, options) {
+      if (result.structureError) {
+        const message = errorMessage(result.structureError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      if (!result.structure) return null;
+
+      const issues = result.structure.issues.filter(issue => !options.ignore.includes(issue.type));
+      return {
+        message: issues.length ? `${issues.length} structure problem(s) found` : `${result.structure.headingCount} heading(s), outline is well-formed`,
+        findings: issues.map(issue => ({
+          message: issue.message,
+          location: issue.heading || (issue.id ? `#${issue.id}` : null),
+          artifact: issue.id ? `#${issue.id}` : null
+        }))
+      };
+    }
+  },
+  {
+    id: 'accessibility',
+    description: 'The page has a language, text alternatives, table headers, descriptive links, form labels and a logical heading order',
+    defaultSeverity: 'warning',
+    defaultOptions: { ignore: [] },
+    evaluate(result, options) {
+      if (result.accessibilityError) {
+        const message = errorMessage(result.accessibilityError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      if (!result.accessibility) return null;
+
+      const findings = result.accessibility.findings.filter(finding => !options.ignore.includes(finding.category));
+      return {
+        message: findings.length ? `${findings.length} accessibility problem(s) found` : 'No accessibility problems found',
+        findings: findings.map(finding => ({
+          message: finding.message,
+          location: finding.element,
+          artifact: finding.id ? `#${finding.id}` : null
+        }))
+      };
+    }
+  },
+  {
+    id: 'terminology',
+    description: 'Term references point to defined terms and every term is defined once',
+    defaultSeverity: 'warning',
+    defaultOptions: { reportUnused: false },
+    evaluate(result, options) {
+      if (result.terminologyError) {
+        const message = errorMessage(result.terminologyError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      const terms = result.terminology;
+      if (!terms) return null;
+      if (!terms.found) {
+        return { message: 'No terminology found', findings: [{ message: 'No terminology found', severity: 'info' }] };
+      }
+
+      const findings = [
+        ...terms.undefinedReferences.map(ref => ({ message: `Reference to undefined term "${ref.term}" (${ref.count}×)`, location: `#term:${ref.term}`, artifact: `#term:${ref.term}` })),
+        ...terms.duplicates.map(dup => ({ message: `Term "${dup.term}" is defined ${dup.count} times`, location: `#term:${dup.term}`, artifact: `#term:${dup.term}` }))
+      ];
+      if (options.reportUnused) {
+        findings.push(...terms.unused.map(term => ({ message: `Term "${term}" is never referenced`, severity: 'info', location: `#term:${term}`, artifact: `#term:${term}` })));
+      }
+
+      const message = terms.undefinedReferences.length || terms.duplicates.length
+        ? `${terms.undefinedReferences.length} undefined term reference(s), ${terms.duplicates.length} duplicate definition(s)`
+        : `${terms.definitions.length} term(s) defined, all references resolve`;
+      return { message, findings };
+    }
+  },
+  {
+    id: 'external-references',
+    description: 'Terms referenced from other specs ([[xref:]], [[tref:]]) exist there',
+    defaultSeverity: 'warning',
+    defaultOptions: {},
+    evaluate(result) {
+      if (result.externalRefsError) {
+        const message = errorMessage(result.externalRefsError);
+        return { message, findings: [{ message, severity: 'error' }] };
+      }
+      const refs = result.externalRefs;
+      if (!refs) return null;
+      if (refs.summary.total === 0) {
+        return { message: 'No external term references', findings: [{ message: 'No external term references', severity: 'info' }] };
+      }
+
+      const findings = refs.references
+        .filter(ref => ref.status !== 'ok' && ref.status !== 'not-checked')
+        .map(ref => ({
+          message: `${ref.type} "${ref.term}"${ref.spec ? ` in ${ref.spec}` : ''}: ${ref.status}${ref.suggestion ? ` (did you mean "${ref.suggestion}"?)` : ''}`,
+          location: ref.targetUrl
+        }));
+      const { broken, unresolved, notChecked, total } = refs.summary;
+      let message = `All ${total} external term reference(s) resolve`;
+      if (broken || unresolved) {
+        message = `${broken} broken and ${unresolved} unresolved external term reference(s)`;
+      } else if (notChecked) {
+        message = `${notChecked} external term reference(s) not checked offline`;
+      }
+      return {
+        message,
+        findings
+      };
+    }
+  }
+];
+
+/**
+ * Add a rule to the registry, e.g. a rule contributed by a plugin
+ * @param {Object} rule - Rule with id, description, defaultSeverity, defaultOptions and a synchronous evaluate
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('A rule must have an id');
+  }
+  if (RULES.some(existing => existing.id === rule.id)) {
+    throw new Error(`Rule "${rule.id}" is already registered`);
+  }
+  if (typeof rule.evaluate !== 'function') {
+    throw new Error(`Rule "${rule.id}" must have an evaluate function`);
+  }
+  if (!SEVERITIES.includes(rule.defaultSeverity)) {
+    throw new Error(`Rule "${rule.id}": defaultSeverity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  RULES.push({
+    description: '',
+    defaultOptions: {},
+    ...rule
+  });
+}
+
+/**
+ * Normalize the configuration of each rule and reject unknown rules or values
+ * A rule is configured as "off" (or false), a severity, or { enabled, severity, options }
+ * @param {Object} [rulesConfig] - The "rules" section of .specalyzerrc
+ * @returns {Object<string, {enabled: boolean, severity: string|null, options: Object}>} Settings by rule id
+ */
+function resolveRuleSettings(rulesConfig = {}) {
+  if (!rulesConfig || typeof rulesConfig !== 'object' || Array.isArray(rulesConfig)) {
+    throw new Error('rules must be an object keyed by rule id');
+  }
+
+  for (const id of Object.keys(rulesConfig)) {
+    if (!RULES.some(rule => rule.id === id)) {
+      throw new Error(`Unknown rule "${id}". Known rules: ${RULES.map(rule => rule.id).join(', ')}`);
+    }
+  }
+
+  const settings = {};
+  for (const rule of RULES) {
+    let value = rulesConfig[rule.id];
+    if (value === undefined || value === true || value === 'on') {
+      value = {};
+    } else if (value === false || value === 'off') {
+      value = { enabled: false };
+    } else if (typeof value === 'string') {
+      value = { severity: value };
+    } else if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`rules.${rule.id} must be "off", a severity or an object`);
+    }
+
+    if (value.severity !== undefined && !SEVERITIES.includes(value.severity)) {
+      throw new Error(`rules.${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    settings[rule.id] = {
+      enabled: value.enabled !== false,
+      severity: value.severity || null,
+      options: { ...rule.defaultOptions, ...(value.options || {}) }
+    };
+  }
+
+  return settings;
+}
+
+/**
+ * Build the outcome of a rule that could not be evaluated
+ * @param {string} reason - Why the rule failed
+ * @returns {{message: string, findings: Array<Object>}} Outcome with a single error finding
+ */
+function failedOutcome(reason) {
+  const message = `Rule failed: ${reason}`;
+  return { message, findings: [{ message, severity: 'error' }] };
+}
+
+/**
+ * Check that a rule outcome has the expected shape, as plugins can return anything
+ * @param {*} outcome - Value returned by evaluate
+ * @returns {string|null} What is wrong with the outcome, or null if it is valid
+ */
+function checkOutcome(outcome) {
+  if (outcome === null || outcome === undefined) return null;
+  if (typeof outcome.then === 'function') {
+    // Swallow the rejection of a Promise that is never awaited
+    Promise.resolve(outcome).catch(() => {});
+    return 'evaluate returned a Promise, but rules must be synchronous';
+  }
+  if (typeof outcome !== 'object' || Array.isArray(outcome)) {
+    return 'evaluate must return null or an object with message and findings';
+  }
+  if (outcome.findings !== undefined && !Array.isArray(outcome.findings)) {
+    return 'findings must be an array';
+  }
+  return null;
+}
+
+/**
+ * Run every enabled rule against an analysis result
+ * Rules are synchronous: evaluate returns null (not applicable) or { message, findings }
+ * @param {Object} result - Result object from analyzer.analyzeSpec
+ * @param {Object} [rulesConfig] - The "rules" section of .specalyzerrc
+ * @param {Object} [context] - Plugin context (document, specConfig, packageJson, ...) passed on to evaluate
+ * @returns {Array<{id: string, description: string, severity: string, status: string, message: string, findings: Array<Object>}>} Rule results
+ */
+function runRules(result, rulesConfig = {}, context = {}) {
+  const settings = resolveRuleSettings(rulesConfig);
+  const ruleResults = [];
+
+  for (const rule of RULES) {
+    const setting = settings[rule.id];
+    if (!setting.enabled) continue;
+
+    // A failing (plugin) rule is reported as a finding rather than aborting the analysis
+    let outcome;
+    try {
+      outcome = rule.evaluate(result, setting.options, context);
+    } catch (error) {
+      outcome = failedOutcome(errorMessage(error));
+    }
+    const problem = checkOutcome(outcome);
+    if (problem) {
+      outcome = failedOutcome(problem);
+    }
+    if (!outcome) continue;
+
+    const findings = (outcome.findings || []).map(finding => ({
+      ruleId: rule.id,
+      severity: setting.severity || finding.severity || rule.defaultSeverity,
+      message: finding.message,
+      location: finding.location || null,
+      artifact: finding.artifact || null
+    }));
+    const worst = SEVERITIES.find(severity => findings.some(f => f.severity === severity));
+
+    ruleResults.push({
+      id: rule.id,
+      description: rule.description,
+      severity: setting.severity || rule.defaultSeverity,
+      status: worst ? STATUS_BY_SEVERITY[worst] : 'pass',
+      message: outcome.message,
+      findings
+    });
+  }
+
+  return ruleResults;
+}
+
+module.exports = {
+  SEVERITIES,
+  RULES,
+  registerRule,
+  resolveRuleSettings,
+  runRules
+};
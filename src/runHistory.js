@@ -0,0 +1,275 @@
+/**
+ * Run history module
+ * Saves each analysis run as a JSON snapshot in reports/ and compares two runs
+ * to highlight regressions and improvements
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const htmlReporter = require('./htmlReporter');
+const jsonReporter = require('./jsonReporter');
+const markdownReporter = require('./markdownReporter');
+
+// Kinds of change between two runs
+const CHANGE_TYPE = {
+  REGRESSION: 'regression',
+  IMPROVEMENT: 'improvement',
+  CHANGE: 'change'
+};
+
+// Severity of each check status; info means "not applicable" and counts as passing
+const STATUS_RANK = {
+  pass: 0,
+  info: 0,
+  warn: 1,
+  error: 2
+};
+
+/**
+ * Get the directory where reports and run snapshots are stored
+ * @returns {string} Absolute path of the reports directory
+ */
+function getReportsDir() {
+  return path.join(process.cwd(), 'reports');
+}
+
+/**
+ * Save a JSON report as a run snapshot in the reports directory
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @param {string} baseFilename - Filename prefix, e.g. example_com_report
+ * @returns {string|null} Path of the snapshot, or null if it could not be written
+ */
+function saveRun(report, baseFilename) {
+  const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+  const filePath = path.join(getReportsDir(), `${baseFilename}_${timestamp}.json`);
+
+  try {
+    fs.mkdirSync(getReportsDir(), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n');
+    return filePath;
+  } catch (error) {
+    console.error(chalk.red(`⚠️  Could not save run snapshot: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Load a saved JSON report
+ * @param {string} filePath - Path of the JSON report
+ * @param {string} [url] - URL the report must be for
+ * @returns {Object} The report
+ */
+function loadRun(filePath, url) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read report ${filePath}: ${error.message}`);
+  }
+
+  const major = String(report.schemaVersion || '').split('.')[0];
+  if (major !== jsonReporter.SCHEMA_VERSION.split('.')[0]) {
+    throw new Error(`${filePath} is not a Specalyzer JSON report with schema version ${jsonReporter.SCHEMA_VERSION.split('.')[0]}.x`);
+  }
+  if (url !== undefined && report.url !== url) {
+    throw new Error(`${filePath} is a report for ${report.url}, not ${url}`);
+  }
+
+  return report;
+}
+
+/**
+ * Find the most recent saved run for a URL
+ * Snapshots are named <baseFilename>_<timestamp>.json, so only the newest snapshots with the
+ * URL's prefix are read, until one of the same URL and schema major version is found
+ * @param {string} url - The analyzed URL or local path
+ * @param {string} baseFilename - Filename prefix the URL's snapshots are saved with (see saveRun)
+ * @returns {Object|null} The most recent report for the URL, or null if there is none
+ */
+function findPreviousRun(url, baseFilename) {
+  const snapshotName = new RegExp(`^${baseFilename}_\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.json$`);
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(getReportsDir()).filter(name => snapshotName.test(name));
+  } catch (e) {
+    return null;
+  }
+
+  // ISO timestamps sort chronologically as text
+  fileNames.sort().reverse();
+  for (const fileName of fileNames) {
+    try {
+      return loadRun(path.join(getReportsDir(), fileName), url);
+    } catch (e) {
+      // Unreadable, another URL with the same prefix, or another schema major version
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare the check statuses of two runs
+ * @param {Array<Object>} beforeChecks - Checks of the earlier run
+ * @param {Array<Object>} afterChecks - Checks of the later run
+ * @returns {Array<Object>} Changes
+ */
+function diffChecks(beforeChecks, afterChecks) {
+  const changes = [];
+  const beforeById = new Map(beforeChecks.map(check => [check.id, check]));
+
+  for (const check of afterChecks) {
+    const previous = beforeById.get(check.id);
+    const rank = STATUS_RANK[check.status] || 0;
+
+    // A check the earlier run did not have (a new rule or plugin) is not a regression of the spec
+    if (!previous) {
+      if (rank > 0) {
+        changes.push({ id: `check:${check.id}`, type: CHANGE_TYPE.CHANGE, message: `New check ${check.id} is ${check.status}: ${check.message}`, before: null, after: check.status });
+      }
+      continue;
+    }
+
+    const previousRank = STATUS_RANK[previous.status] || 0;
+    if (rank > previousRank) {
+      changes.push({ id: `check:${check.id}`, type: CHANGE_TYPE.REGRESSION, message: `${check.id} went from ${previous.status} to ${check.status}: ${check.message}`, before: previous.status, after: check.status });
+    } else if (rank < previousRank) {
+      changes.push({ id: `check:${check.id}`, type: CHANGE_TYPE.IMPROVEMENT, message: `${check.id} went from ${previous.status} to ${check.status}: ${check.message}`, before: previous.status, after: check.status });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two runs of the same spec
+ * @param {Object} before - JSON report of the earlier run
+ * @param {Object} after - JSON report of the later run
+ * @returns {{before: Object, after: Object, changes: Array<{id: string, type: string, message: string, before: *, after: *}>, summary: Object}} Differences
+ */
+function diffRuns(before, after) {
+  const changes = [];
+
+  // PDF
+  const hadPdf = !!(before.pdf && before.pdf.exists);
+  const hasPdf = !!(after.pdf && after.pdf.exists);
+  if (hadPdf && !hasPdf) {
+    changes.push({ id: 'pdf', type: CHANGE_TYPE.REGRESSION, message: 'index.pdf disappeared', before: true, after: false });
+  } else if (!hadPdf && hasPdf) {
+    changes.push({ id: 'pdf', type: CHANGE_TYPE.IMPROVEMENT, message: 'index.pdf is now available', before: false, after: true });
+  }
+
+  // Build tool
+  const beforeTool = before.buildTool || {};
+  const afterTool = after.buildTool || {};
+  const describeTool = tool => `${tool.name || 'unknown'} ${tool.version}`;
+  if (beforeTool.version && !afterTool.version) {
+    changes.push({ id: 'build-tool', type: CHANGE_TYPE.REGRESSION, message: `Build tool no longer detected (was ${describeTool(beforeTool)})`, before: beforeTool.version, after: null });
+  } else if (!beforeTool.version && afterTool.version) {
+    changes.push({ id: 'build-tool', type: CHANGE_TYPE.IMPROVEMENT, message: `Build tool detected: ${describeTool(afterTool)}`, before: null, after: afterTool.version });
+  } else if (beforeTool.version !== afterTool.version || beforeTool.name !== afterTool.name) {
+    changes.push({ id: 'build-tool', type: CHANGE_TYPE.CHANGE, message: `Build tool changed from ${describeTool(beforeTool)} to ${describeTool(afterTool)}`, before: beforeTool.version, after: afterTool.version });
+  }
+  // Only when both runs read a lockfile, so a lockfile that appears or disappears is not a version change
+  if (beforeTool.installedVersion && afterTool.installedVersion && beforeTool.installedVersion !== afterTool.installedVersion) {
+    changes.push({ id: 'build-tool-installed', type: CHANGE_TYPE.CHANGE, message: `Installed ${afterTool.name || 'build tool'} version changed from ${beforeTool.installedVersion} to ${afterTool.installedVersion}`, before: beforeTool.installedVersion, after: afterTool.installedVersion });
+  }
+
+  // Archived versions
+  const beforeVersions = (before.versionHistory && before.versionHistory.versions) || [];
+  const afterVersions = (after.versionHistory && after.versionHistory.versions) || [];
+  const removed = beforeVersions.filter(v => !afterVersions.includes(v));
+  const added = afterVersions.filter(v => !beforeVersions.includes(v));
+  if (removed.length) {
+    changes.push({ id: 'version-history', type: CHANGE_TYPE.REGRESSION, message: `Archived version${removed.length !== 1 ? 's' : ''} removed: ${removed.join(', ')}`, before: beforeVersions, after: afterVersions });
+  }
+  if (added.length) {
+    changes.push({ id: 'version-history', type: CHANGE_TYPE.CHANGE, message: `Archived version${added.length !== 1 ? 's' : ''} added: ${added.join(', ')}`, before: beforeVersions, after: afterVersions });
+  }
+
+  // Last modified
+  if (before.lastModified && after.lastModified && before.lastModified !== after.lastModified) {
+    const movedBack = after.lastModified < before.lastModified;
+    changes.push({
+      id: 'last-modified',
+      type: CHANGE_TYPE.CHANGE,
+      message: `Last modified ${movedBack ? 'moved back' : 'moved'} from ${before.lastModified} to ${after.lastModified}`,
+      before: before.lastModified,
+      after: after.lastModified
+    });
+  }
+
+  // Broken links, compared by href
+  const brokenHrefs = report => new Set(((report.links && report.links.broken) || []).map(link => link.href));
+  const beforeBroken = brokenHrefs(before);
+  const afterBroken = brokenHrefs(after);
+  const newlyBroken = [...afterBroken].filter(href => !beforeBroken.has(href));
+  const fixed = [...beforeBroken].filter(href => !afterBroken.has(href));
+  if (newlyBroken.length) {
+    changes.push({ id: 'links', type: CHANGE_TYPE.REGRESSION, message: `${newlyBroken.length} newly broken link${newlyBroken.length !== 1 ? 's' : ''}: ${newlyBroken.join(', ')}`, before: null, after: newlyBroken });
+  }
+  if (fixed.length) {
+    changes.push({ id: 'links', type: CHANGE_TYPE.IMPROVEMENT, message: `${fixed.length} broken link${fixed.length !== 1 ? 's' : ''} fixed: ${fixed.join(', ')}`, before: fixed, after: null });
+  }
+
+  changes.push(...diffChecks(before.checks || [], after.checks || []));
+
+  const countByType = type => changes.filter(change => change.type === type).length;
+
+  return {
+    before: { url: before.url, generatedAt: before.generatedAt },
+    after: { url: after.url, generatedAt: after.generatedAt },
+    changes,
+    summary: {
+      regressions: countByType(CHANGE_TYPE.REGRESSION),
+      improvements: countByType(CHANGE_TYPE.IMPROVEMENT),
+      changes: countByType(CHANGE_TYPE.CHANGE)
+    }
+  };
+}
+
+/**
+ * Compare two saved JSON reports and write the result as HTML, JSON or Markdown
+ * @param {string} beforePath - JSON report of the earlier run
+ * @param {string} afterPath - JSON report of the later run
+ * @param {string} version - Specalyzer version
+ * @param {Object} options - Output options
+ * @param {string} [options.format='html'] - 'html', 'json' or 'markdown'
+ * @param {string|null} [options.output] - File for JSON or Markdown output, or null for stdout
+ * @returns {Promise<string|null>} Path of the generated file, or null when written to stdout
+ */
+async function generateDiffReport(beforePath, afterPath, version, options = {}) {
+  const diff = diffRuns(loadRun(beforePath), loadRun(afterPath));
+
+  if (options.format === 'json') {
+    return jsonReporter.writeJsonReport(diff, options.output || null);
+  }
+  if (options.format === 'markdown') {
+    return markdownReporter.writeMarkdownReport(markdownReporter.buildMarkdownDiff(diff), options.output || null);
+  }
+
+  let html = htmlReporter.generateHtmlBoilerplate(
+    'Specalyzer Comparison',
+    diff.after.url,
+    `Changes between the runs of ${htmlReporter.escapeHtml(diff.before.generatedAt)} and ${htmlReporter.escapeHtml(diff.after.generatedAt)}.`
+  );
+  html += htmlReporter.createCardSection(
+    'Changes Between Runs',
+    htmlReporter.formatRunDiff(diff),
+    diff.summary.regressions ? 'warning' : 'success',
+    'bi-arrow-left-right'
+  );
+  html += htmlReporter.generateHtmlFooter(version, diff.after.url, `npx specalyzer --diff ${beforePath} ${afterPath}`);
+
+  return htmlReporter.saveAndOpenReport(html, diff.after.url, 'diff_report');
+}
+
+module.exports = {
+  CHANGE_TYPE,
+  saveRun,
+  loadRun,
+  findPreviousRun,
+  diffRuns,
+  generateDiffReport
+};
@@ -0,0 +1,129 @@
+/**
+ * SARIF Report Generator Module
+ * Converts the findings of a JSON report into SARIF 2.1.0 for code-scanning dashboards
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const reportWriter = require('./reportWriter');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result level for each finding severity
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+// Base id for artifacts that are files in the spec's source repository
+const SOURCE_ROOT = 'SRCROOT';
+
+/**
+ * Resolve the artifact of a finding to a SARIF artifact location
+ * Repository files stay relative to the source root, #anchors are resolved against the spec page
+ * @param {string|null} artifact - Artifact of the finding (see rules.js)
+ * @param {string} pageUri - URI of the analyzed spec page
+ * @returns {{uri: string, uriBaseId?: string}} SARIF artifact location
+ */
+function toArtifactLocation(artifact, pageUri) {
+  if (!artifact) {
+    return { uri: pageUri };
+  }
+  if (artifact.startsWith('#')) {
+    return { uri: `${pageUri}${artifact}` };
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(artifact)) {
+    return { uri: artifact };
+  }
+  return { uri: artifact, uriBaseId: SOURCE_ROOT };
+}
+
+/**
+ * Get the URI of the analyzed spec page; a local directory becomes a file: URI
+ * @param {string} url - The analyzed URL or absolute path
+ * @returns {string} URI of the page
+ */
+function toPageUri(url) {
+  return path.isAbsolute(url) ? pathToFileURL(url).href : url;
+}
+
+/**
+ * Build the SARIF log from a JSON report
+ * Every rule becomes a SARIF rule and every finding a result
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @returns {Object} SARIF log
+ */
+function buildSarifReport(report) {
+  const ruleResults = report.rules || [];
+  const pageUri = toPageUri(report.url);
+
+  const results = ruleResults.flatMap(rule => rule.findings.map(finding => {
+    const sarifResult = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleResults.indexOf(rule),
+      level: LEVELS[finding.severity] || 'warning',
+      message: { text: finding.message },
+      locations: [{
+        physicalLocation: { artifactLocation: toArtifactLocation(finding.artifact, pageUri) }
+      }]
+    };
+    if (finding.location) {
+      sarifResult.locations[0].logicalLocations = [{ fullyQualifiedName: finding.location }];
+    }
+    return sarifResult;
+  }));
+
+  const run = {
+    tool: {
+      driver: {
+        name: report.tool.name,
+        version: report.tool.version,
+        informationUri: 'https://github.com/blockchainbird/specalyzer',
+        rules: ruleResults.map(rule => ({
+          id: rule.id,
+          shortDescription: { text: rule.description || rule.id },
+          defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' }
+        }))
+      }
+    },
+    invocations: [{
+      executionSuccessful: !report.error,
+      startTimeUtc: report.generatedAt,
+      toolExecutionNotifications: report.error
+        ? [{ level: 'error', message: { text: report.error.message } }]
+        : []
+    }],
+    results
+  };
+
+  if (report.repository && /^https?:\/\//.test(report.repository)) {
+    run.versionControlProvenance = [{
+      repositoryUri: report.repository,
+      ...(report.ref && report.ref.name ? { branch: report.ref.name } : {})
+    }];
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
+
+/**
+ * Write the SARIF log to a file, or to stdout when no path is given
+ * @param {Object} sarif - SARIF log
+ * @param {string|null} outputPath - Destination file path, or null for stdout
+ * @returns {string|null} Absolute path of the written file, or null when written to stdout
+ */
+function writeSarifReport(sarif, outputPath = null) {
+  return reportWriter.writeReportFile(JSON.stringify(sarif, null, 2) + '\n', outputPath, 'SARIF');
+}
+
+module.exports = {
+  SARIF_VERSION,
+  buildSarifReport,
+  writeSarifReport
+};
@@ -37,6 +37,16 @@ function extractConfigFromScript(script) {
   }
 }
 
+/**
+ * Get the window.specConfig object of a rendered spec
+ * @param {Document} document - DOM document of index.html
+ * @returns {Object|null} The specConfig object or null
+ */
+function getSpecConfig(document) {
+  const specConfigScript = findSpecConfigScript(document.querySelectorAll('script'));
+  return specConfigScript ? extractConfigFromScript(specConfigScript) || null : null;
+}
+
 /**
  * Extract repository URL from spec config
  * @param {string} html - HTML content
@@ -44,12 +54,7 @@ function extractConfigFromScript(script) {
  */
 function extractRepoUrlFromSpecConfig(html) {
   const dom = new JSDOM(html);
-  const scripts = dom.window.document.querySelectorAll('script');
-  
-  const specConfigScript = findSpecConfigScript(scripts);
-  if (!specConfigScript) return null;
-  
-  const config = extractConfigFromScript(specConfigScript);
+  const config = getSpecConfig(dom.window.document);
   if (!config || !config.source) return null;
   
   // Handle different formats of specConfig.source
@@ -80,3 +85,4 @@ function extractRepoUrlFromSpecConfig(html) {
 
 // Export functions
 module.exports.extractRepoUrlFromSpecConfig = extractRepoUrlFromSpecConfig;
+module.exports.getSpecConfig = getSpecConfig;
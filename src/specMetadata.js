@@ -0,0 +1,192 @@
+/**
+ * Spec metadata module
+ * Collects the metadata of a rendered spec from its specConfig and from the document
+ * (<title>, <meta> tags, first heading, favicon) and flags where the two disagree
+ */
+
+const { cleanText } = require('./accessibility');
+
+// specConfig fields shown as metadata; every other field is listed as is
+const CONFIG_FIELDS = ['title', 'description', 'author', 'authors', 'editors', 'editor', 'logo', 'logo_link', 'favicon', 'status'];
+
+// Longest value of another specConfig field shown before it is cut off
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Collapse whitespace in a text, for fields that are null when missing
+ * @param {*} value - Text to clean
+ * @returns {string|null} Trimmed text on one line, or null when empty or not a string
+ */
+function textOrNull(value) {
+  return cleanText(value) || null;
+}
+
+/**
+ * Normalize a text for comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalize(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Check whether two texts say the same, ignoring case, punctuation and a prefix or suffix
+ * (a <title> is often "Spec title – Site name"); a text without letters or digits matches nothing
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {boolean} Whether they match
+ */
+function textsMatch(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return false;
+  return x === y || x.includes(y) || y.includes(x);
+}
+
+/**
+ * Resolve a possibly relative URL against the page
+ * @param {string|null} value - URL from the spec
+ * @param {string|null} pageUrl - URL of the spec page
+ * @returns {string|null} Absolute URL, or the value as is when it cannot be resolved
+ */
+function resolveUrl(value, pageUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, pageUrl || undefined).href;
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Read the people of a spec (authors or editors) from a specConfig value
+ * @param {*} value - A string, a list of strings or a list of { name, url, company } objects
+ * @returns {string[]} Names
+ */
+function readPeople(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(person => {
+    if (typeof person === 'string') return textOrNull(person);
+    if (person && typeof person === 'object') return textOrNull(person.name);
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Describe the value of a specConfig field in one line
+ * @param {*} value - Field value
+ * @returns {string} The text, or the JSON of other values, cut off when long
+ */
+function describeValue(value) {
+  let text;
+  try {
+    text = typeof value === 'string' ? value : JSON.stringify(value);
+  } catch (e) {
+    text = String(value);
+  }
+  text = text === undefined ? String(value) : text;
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+/**
+ * Read the metadata of the document itself
+ * @param {Document} document - The parsed spec document
+ * @returns {Object} title, heading, description, author, favicon, language, generator and the other meta tags
+ */
+function readDocumentMetadata(document) {
+  const h1 = document.querySelector('h1');
+  const icon = document.querySelector('link[rel~="icon" i]');
+  // <meta name=""> falls back to its property attribute; tags without either name are skipped
+  const metas = [...document.querySelectorAll('meta[name], meta[property]')]
+    .map(meta => ({
+      name: (meta.getAttribute('name') || meta.getAttribute('property') || '').trim(),
+      content: cleanText(meta.getAttribute('content'))
+    }))
+    .filter(meta => meta.name);
+  const meta = name => {
+    const found = metas.find(m => m.name.toLowerCase() === name);
+    return found ? found.content || null : null;
+  };
+
+  return {
+    title: textOrNull(document.title),
+    heading: h1 ? textOrNull(h1.textContent) : null,
+    description: meta('description') || meta('og:description'),
+    author: meta('author'),
+    favicon: icon ? icon.getAttribute('href') : null,
+    language: textOrNull(document.documentElement.getAttribute('lang')),
+    generator: meta('generator'),
+    meta: metas.filter(m => !['description', 'author', 'generator', 'viewport'].includes(m.name.toLowerCase()))
+  };
+}
+
+/**
+ * Find where the specConfig and the document disagree
+ * @param {Object} config - Metadata from specConfig
+ * @param {Object} doc - Metadata from the document
+ * @returns {Array<{field: string, message: string}>} Inconsistencies
+ */
+function findInconsistencies(config, doc) {
+  const issues = [];
+
+  if (!doc.title) {
+    issues.push({ field: 'title', message: 'The page has no <title>' });
+  } else if (config.title && !textsMatch(config.title, doc.title)) {
+    issues.push({ field: 'title', message: `specConfig title "${config.title}" differs from the <title> "${doc.title}"` });
+  }
+  if (config.title && doc.heading && !textsMatch(config.title, doc.heading)) {
+    issues.push({ field: 'heading', message: `specConfig title "${config.title}" differs from the first heading "${doc.heading}"` });
+  }
+  if (config.description && !doc.description) {
+    issues.push({ field: 'description', message: 'specConfig has a description but the page has no <meta name="description">' });
+  } else if (config.description && !textsMatch(config.description, doc.description)) {
+    issues.push({ field: 'description', message: 'specConfig description differs from <meta name="description">' });
+  }
+  if (config.favicon && !doc.favicon) {
+    issues.push({ field: 'favicon', message: 'specConfig has a favicon but the page links no icon' });
+  }
+  if (config.authors.length && doc.author && !config.authors.some(name => textsMatch(name, doc.author))) {
+    issues.push({ field: 'author', message: `<meta name="author"> "${doc.author}" is not among the specConfig authors` });
+  }
+
+  return issues;
+}
+
+/**
+ * Extract the metadata of a rendered spec
+ * @param {Document} document - The parsed spec document
+ * @param {Object|null} specConfig - The window.specConfig object, if any
+ * @param {string|null} pageUrl - URL of the spec page, to resolve logo and favicon URLs
+ * @returns {{config: Object|null, document: Object, inconsistencies: Array<Object>}} Metadata from both sources and where they disagree
+ */
+function extractMetadata(document, specConfig, pageUrl = null) {
+  const doc = readDocumentMetadata(document);
+  doc.faviconUrl = resolveUrl(doc.favicon, pageUrl);
+
+  if (!specConfig || typeof specConfig !== 'object') {
+    return { config: null, document: doc, inconsistencies: findInconsistencies({ authors: [] }, doc) };
+  }
+
+  const config = {
+    title: textOrNull(specConfig.title),
+    description: textOrNull(specConfig.description),
+    authors: readPeople([specConfig.author, specConfig.authors].filter(Boolean).flat()),
+    editors: readPeople([specConfig.editor, specConfig.editors].filter(Boolean).flat()),
+    logo: textOrNull(specConfig.logo),
+    logoUrl: resolveUrl(textOrNull(specConfig.logo), pageUrl),
+    logoLink: textOrNull(specConfig.logo_link),
+    favicon: textOrNull(specConfig.favicon),
+    status: textOrNull(specConfig.status),
+    other: Object.keys(specConfig)
+      .filter(key => !CONFIG_FIELDS.includes(key) && specConfig[key] !== undefined)
+      .sort()
+      .map(key => ({ key, value: describeValue(specConfig[key]) }))
+  };
+
+  return { config, document: doc, inconsistencies: findInconsistencies(config, doc) };
+}
+
+module.exports = {
+  extractMetadata
+};
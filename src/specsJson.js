@@ -0,0 +1,210 @@
+/**
+ * specs.json validation module
+ * Validates a repository's specs.json against the known Spec-Up-T configuration schema
+ */
+
+// Schema for an entry of external_specs
+const EXTERNAL_SPEC_SCHEMA = {
+  type: 'object',
+  deprecatedForm: {
+    test: isLegacyExternalSpec,
+    message: 'The { "<name>": "<url>" } form is deprecated. Use an object with external_spec, gh_page, url and terms_dir.'
+  },
+  properties: {
+    external_spec: { type: 'string', required: true },
+    gh_page: { type: 'string', required: true },
+    url: { type: 'string', required: true },
+    terms_dir: { type: 'string', required: true }
+  }
+};
+
+// Schema for a single entry of the "specs" array
+const SPEC_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    author: { type: 'string' },
+    spec_directory: { type: 'string', required: true },
+    spec_terms_directory: { type: 'string', default: 'terms-definitions' },
+    output_path: { type: 'string', required: true },
+    markdown_paths: { type: 'array', items: { type: 'string' }, required: true },
+    logo: { type: 'string' },
+    logo_link: { type: 'string' },
+    favicon: { type: 'string' },
+    source: {
+      type: 'object',
+      properties: {
+        host: { type: 'string', required: true },
+        account: { type: 'string', required: true },
+        repo: { type: 'string', required: true },
+        branch: { type: 'string', default: 'main' }
+      }
+    },
+    external_specs: { type: 'array', items: EXTERNAL_SPEC_SCHEMA, default: [] },
+    assets: { type: 'array', items: { type: 'object' }, default: [] },
+    katex: { type: 'boolean', default: false },
+    anchor_symbol: { type: 'string', default: '§' },
+    search_highlight_style: { type: 'string' },
+    external_specs_repos: { deprecated: 'Use "external_specs" instead.' }
+  }
+};
+
+// Schema for the whole file
+const SPECS_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    specs: { type: 'array', items: SPEC_SCHEMA, required: true, minItems: 1 }
+  }
+};
+
+// Severity of each issue type
+const ISSUE_SEVERITY = {
+  missing: 'error',
+  invalid: 'error',
+  deprecated: 'warning',
+  unknown: 'warning'
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} 'array', 'null' or the typeof result
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Build the JSON path of an object property
+ * @param {string} path - Path of the parent
+ * @param {string} key - Property name
+ * @returns {string} Path such as $.specs[0].output_path
+ */
+function propertyPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Record a validation issue
+ * @param {Array<Object>} issues - Issue list to append to
+ * @param {string} type - Issue type (missing, invalid, deprecated, unknown)
+ * @param {string} path - JSON path of the offending key
+ * @param {string} message - Human readable message
+ */
+function addIssue(issues, type, path, message) {
+  issues.push({ path, type, severity: ISSUE_SEVERITY[type], message });
+}
+
+/**
+ * Validate a value against a schema node, collecting issues
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - JSON path of the value
+ * @param {Array<Object>} issues - Issue list to append to
+ */
+function validateValue(value, schema, path, issues) {
+  const actualType = typeOf(value);
+
+  if (schema.deprecatedForm && schema.deprecatedForm.test(value)) {
+    addIssue(issues, 'deprecated', path, schema.deprecatedForm.message);
+    return;
+  }
+
+  if (schema.type && actualType !== schema.type) {
+    addIssue(issues, 'invalid', path, `Expected ${schema.type} but found ${actualType}`);
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      addIssue(issues, 'invalid', path, `Expected at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, issues));
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (propertySchema.required && !(key in value)) {
+        addIssue(issues, 'missing', propertyPath(path, key), `Required key "${key}" is missing`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const keyPath = propertyPath(path, key);
+      const propertySchema = schema.properties[key];
+
+      if (!propertySchema) {
+        addIssue(issues, 'unknown', keyPath, `Unknown key "${key}"`);
+      } else if (propertySchema.deprecated) {
+        addIssue(issues, 'deprecated', keyPath, `"${key}" is deprecated. ${propertySchema.deprecated}`);
+      } else {
+        validateValue(propertyValue, propertySchema, keyPath, issues);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether an external_specs entry uses the legacy { "<name>": "<url>" } form
+ * @param {*} entry - external_specs entry
+ * @returns {boolean} Whether the entry uses the legacy form
+ */
+function isLegacyExternalSpec(entry) {
+  return typeOf(entry) === 'object' &&
+    !('external_spec' in entry) &&
+    Object.keys(entry).length > 0 &&
+    Object.values(entry).every(v => typeof v === 'string');
+}
+
+/**
+ * Validate a parsed specs.json
+ * @param {Object} specsJson - Parsed specs.json
+ * @returns {{valid: boolean, issues: Array<{path: string, type: string, severity: string, message: string}>}} Validation result
+ */
+function validateSpecsJson(specsJson) {
+  const issues = [];
+  validateValue(specsJson, SPECS_JSON_SCHEMA, '$', issues);
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    issues
+  };
+}
+
+/**
+ * Get the effective configuration of each spec, with schema defaults filled in
+ * @param {Object} specsJson - Parsed specs.json
+ * @returns {Array<{values: Object, defaulted: string[]}>} Effective config per spec and the keys that came from defaults
+ */
+function getEffectiveConfig(specsJson) {
+  if (!specsJson || !Array.isArray(specsJson.specs)) return [];
+
+  return specsJson.specs
+    .filter(spec => typeOf(spec) === 'object')
+    .map(spec => {
+      const values = { ...spec };
+      const defaulted = [];
+
+      for (const [key, propertySchema] of Object.entries(SPEC_SCHEMA.properties)) {
+        if (!(key in values) && propertySchema.default !== undefined) {
+          values[key] = propertySchema.default;
+          defaulted.push(key);
+        }
+      }
+
+      return { values, defaulted };
+    });
+}
+
+module.exports = {
+  SPECS_JSON_SCHEMA,
+  SPEC_SCHEMA,
+  EXTERNAL_SPEC_SCHEMA,
+  validateSpecsJson,
+  getEffectiveConfig
+};
@@ -1,15 +1,20 @@
 // specupVersion.js
 // Given a repository URL, fetch its package.json and extract the spec-up-t version
 
-const https = require('https');
+const httpClient = require('./httpClient');
+
+// Branches tried when the repository's default branch is unknown
+const DEFAULT_BRANCHES = ['main', 'master'];
 
 /**
- * Constructs URLs for the raw package.json file from a GitHub repository URL
- * Tries both main and master branches
+ * Constructs URLs for a raw file in a GitHub repository
+ * Tries the given refs, by default both main and master branches
  * @param {string} repoUrl - The GitHub repository URL
- * @returns {Array<string>|null} Array of raw URLs for package.json or null if not a GitHub repo
+ * @param {string} filePath - Path of the file inside the repository (e.g. 'specs.json')
+ * @param {Array<string>} refs - Branches, tags or commits to try, in order
+ * @returns {Array<string>|null} Array of raw URLs for the file or null if not a GitHub repo
  */
-function getRawPackageJsonUrls(repoUrl) {
+function getRawFileUrls(repoUrl, filePath, refs = DEFAULT_BRANCHES) {
   // Support GitHub only for now
   // Accepts: https://github.com/org/repo or https://github.com/org/repo.git
   const m = repoUrl.match(/^https:\/\/github.com\/([^\/]+)\/([^\/\.]+)(?:\.git)?/);
@@ -18,11 +23,19 @@ function getRawPackageJsonUrls(repoUrl) {
   const org = m[1];
   const repo = m[2];
 
-  // Return URLs for both main and master branches
-  return [
-    `https://raw.githubusercontent.com/${org}/${repo}/main/package.json`,
-    `https://raw.githubusercontent.com/${org}/${repo}/master/package.json`
-  ];
+  // Return one URL per ref
+  return refs.map(ref => `https://raw.githubusercontent.com/${org}/${repo}/${ref}/${filePath}`);
+}
+
+/**
+ * Constructs URLs for the raw package.json file from a GitHub repository URL
+ * Tries both main and master branches unless other refs are given
+ * @param {string} repoUrl - The GitHub repository URL
+ * @param {Array<string>} refs - Branches, tags or commits to try, in order
+ * @returns {Array<string>|null} Array of raw URLs for package.json or null if not a GitHub repo
+ */
+function getRawPackageJsonUrls(repoUrl, refs = DEFAULT_BRANCHES) {
+  return getRawFileUrls(repoUrl, 'package.json', refs);
 }
 
 /**
@@ -42,33 +55,29 @@ function getRawPackageJsonUrl(repoUrl) {
  * @param {function} callback - Callback with (error, jsonData) parameters
  */
 function fetchJson(url, callback) {
-  https.get(url, (res) => {
-    // Check if the response is successful
-    if (res.statusCode >= 400) {
-      return callback(new Error(`HTTP Error: ${res.statusCode}`));
-    }
-    
-    // Check content type to ensure it's JSON
-    const contentType = res.headers['content-type'];
-    if (contentType && !contentType.includes('application/json') && !contentType.includes('text/plain')) {
-      return callback(new Error(`Invalid content type: ${contentType}`));
-    }
-    
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => {
+  httpClient.request(url, { responseType: 'text' })
+    .then((res) => {
+      // Check content type to ensure it's JSON
+      const contentType = res.headers['content-type'];
+      if (contentType && !contentType.includes('application/json') && !contentType.includes('text/plain')) {
+        return callback(new Error(`Invalid content type: ${contentType}`));
+      }
+
+      // Trim the data to remove any whitespace before parsing
+      const trimmedData = res.body.trim();
+      if (!trimmedData) {
+        return callback(new Error('Empty response received'));
+      }
+
+      let data;
       try {
-        // Trim the data to remove any whitespace before parsing
-        const trimmedData = data.trim();
-        if (!trimmedData) {
-          return callback(new Error('Empty response received'));
-        }
-        callback(null, JSON.parse(trimmedData));
+        data = JSON.parse(trimmedData);
       } catch (e) {
-        callback(new Error(`JSON parsing error: ${e.message}`));
+        return callback(new Error(`JSON parsing error: ${e.message}`));
       }
-    });
-  }).on('error', err => callback(err));
+      callback(null, data);
+    })
+    .catch(err => callback(err));
 }
 
 /**
@@ -220,6 +229,8 @@ function getSpecUpVersionFromPackageJson(pkg) {
 }
 
 module.exports = {
+  DEFAULT_BRANCHES,
+  getRawFileUrls,
   getRawPackageJsonUrl,
   getRawPackageJsonUrls,
   fetchJson,
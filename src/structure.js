@@ -0,0 +1,273 @@
+/**
+ * Document structure module
+ * Validates the skeleton of a rendered spec: heading levels, empty sections, duplicate ids,
+ * the table of contents and section numbering, and builds the outline tree of the headings
+ *
+ * Spec-Up and Spec-Up-T render the table of contents with markdown-it-toc-and-anchor
+ * as a list of links inside `#toc` (a `ul.toc`), and add a `.toc-anchor` link to each heading.
+ */
+
+const { safeDecode } = require('./linkCheck');
+
+// Containers of the table of contents
+const TOC_SELECTOR = '#toc, .toc, nav[role="doc-toc"]';
+
+// Elements whose text is not section content
+const NON_CONTENT_SELECTOR = `h1, h2, h3, h4, h5, h6, script, style, noscript, template, ${TOC_SELECTOR}`;
+
+// Elements that are content even without text
+const EMBEDDED_SELECTOR = 'img, svg, table, pre, iframe, video, object, math';
+
+// Kinds of structure issues
+const ISSUE_TYPE = {
+  LEVEL_SKIP: 'level-skip',
+  EMPTY_SECTION: 'empty-section',
+  DUPLICATE_ID: 'duplicate-id',
+  TOC_MISSING_TARGET: 'toc-missing-target',
+  TOC_MISSING_HEADING: 'toc-missing-heading',
+  NUMBERING_GAP: 'numbering-gap'
+};
+
+/**
+ * Get the text of a heading without its anchor links
+ * @param {Element} heading - Heading element
+ * @returns {string} Heading text on one line
+ */
+function headingText(heading) {
+  const clone = heading.cloneNode(true);
+  clone.querySelectorAll('.toc-anchor').forEach(anchor => anchor.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim().replace(/^[#§¶]\s*|\s*[#§¶]$/g, '');
+}
+
+/**
+ * Read a section number such as "3.2" or "3.2." from the start of a heading
+ * @param {string} text - Heading text
+ * @returns {number[]|null} The number parts, or null if the heading is not numbered
+ */
+function parseSectionNumber(text) {
+  const m = text.match(/^(\d+(?:\.\d+)*)\.?\s/);
+  return m ? m[1].split('.').map(Number) : null;
+}
+
+/**
+ * Collect the headings of the document, leaving out those of the table of contents
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<Object>} Headings in document order: element, level, text, id, number and issues
+ */
+function collectHeadings(document) {
+  return [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+    .filter(el => !el.closest(TOC_SELECTOR))
+    .map(el => {
+      const text = headingText(el);
+      return {
+        element: el,
+        level: parseInt(el.tagName[1], 10),
+        text,
+        id: el.id || null,
+        number: parseSectionNumber(text),
+        issues: []
+      };
+    });
+}
+
+/**
+ * Mark the headings that have no content before the next heading and no subsections
+ * @param {Document} document - The parsed spec document
+ * @param {Array<Object>} headings - Headings from collectHeadings
+ * @returns {Array<Object>} Headings of empty sections
+ */
+function findEmptySections(document, headings) {
+  if (!document.body || !headings.length) return [];
+
+  const byElement = new Map(headings.map(heading => [heading.element, heading]));
+  const hasContent = new Set();
+  let current = null;
+
+  // Walk the body in document order; a heading starts a section, text or embedded content fills it
+  const walker = document.createTreeWalker(document.body, 1 | 4); // elements and text nodes
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === 1) {
+      if (byElement.has(node)) {
+        current = byElement.get(node);
+      } else if (current && node.matches(EMBEDDED_SELECTOR) && !node.closest(NON_CONTENT_SELECTOR)) {
+        hasContent.add(current);
+      }
+    } else if (current && node.textContent.trim() && !node.parentElement.closest(NON_CONTENT_SELECTOR)) {
+      hasContent.add(current);
+    }
+  }
+
+  return headings.filter((heading, i) => {
+    const next = headings[i + 1];
+    const hasSubsections = next && next.level > heading.level;
+    return !hasContent.has(heading) && !hasSubsections;
+  });
+}
+
+/**
+ * Find ids used by more than one element
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<{id: string, count: number, elements: string[]}>} Duplicate ids with the tag names of their elements
+ */
+function findDuplicateIds(document) {
+  const ids = new Map();
+  for (const el of document.querySelectorAll('[id]')) {
+    if (!ids.has(el.id)) ids.set(el.id, []);
+    ids.get(el.id).push(el.tagName.toLowerCase());
+  }
+  return [...ids]
+    .filter(([, elements]) => elements.length > 1)
+    .map(([id, elements]) => ({ id, count: elements.length, elements }));
+}
+
+/**
+ * Compare the table of contents with the headings
+ * Headings are expected in the table of contents for the levels it lists
+ * @param {Document} document - The parsed spec document
+ * @param {Array<Object>} headings - Headings from collectHeadings
+ * @returns {{found: boolean, entries: number, missingTargets: Array<Object>, missingHeadings: Array<Object>}} TOC entries without a heading and headings without an entry
+ */
+function checkToc(document, headings) {
+  const toc = document.querySelector(TOC_SELECTOR);
+  const links = toc ? [...toc.querySelectorAll('a[href^="#"]')] : [];
+  if (!links.length) {
+    return { found: false, entries: 0, missingTargets: [], missingHeadings: [] };
+  }
+
+  const byId = new Map(headings.filter(heading => heading.id).map(heading => [heading.id, heading]));
+  const listed = new Set();
+  const missingTargets = [];
+  for (const link of links) {
+    const fragment = safeDecode(link.getAttribute('href').slice(1));
+    if (byId.has(fragment)) {
+      listed.add(byId.get(fragment));
+    } else {
+      missingTargets.push({ href: link.getAttribute('href'), text: link.textContent.replace(/\s+/g, ' ').trim() });
+    }
+  }
+
+  const levels = [...listed].map(heading => heading.level);
+  const minLevel = Math.min(...levels);
+  const maxLevel = Math.max(...levels);
+  const missingHeadings = levels.length
+    ? headings.filter(heading => heading.level >= minLevel && heading.level <= maxLevel && !listed.has(heading))
+    : [];
+
+  return { found: true, entries: links.length, missingTargets, missingHeadings };
+}
+
+/**
+ * Check that numbered headings (1, 1.1, 1.2, 2, ...) follow each other without gaps
+ * @param {Array<Object>} headings - Headings from collectHeadings
+ * @returns {Array<{heading: Object, expected: string}>} Headings whose number is not the expected one
+ */
+function findNumberingGaps(headings) {
+  const gaps = [];
+  let previous = null;
+
+  for (const heading of headings) {
+    const number = heading.number;
+    if (!number) continue;
+
+    let expected;
+    if (!previous) {
+      // Numbering may start at 0 or 1
+      expected = number.map((part, i) => (i === 0 && part === 0 ? 0 : 1));
+    } else if (number.length <= previous.length) {
+      expected = previous.slice(0, number.length);
+      expected[number.length - 1] += 1;
+    } else {
+      expected = [...previous, ...new Array(number.length - previous.length).fill(1)];
+    }
+
+    // Going more than one level deeper is a gap even when the numbers line up
+    if (number.join('.') !== expected.join('.') || (previous && number.length > previous.length + 1)) {
+      gaps.push({ heading, expected: expected.join('.') });
+    }
+    previous = number;
+  }
+
+  return gaps;
+}
+
+/**
+ * Nest the headings into an outline tree
+ * @param {Array<Object>} headings - Headings from collectHeadings, with their issues
+ * @returns {Array<Object>} Top-level nodes: level, text, id, issues and children
+ */
+function buildOutline(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  for (const heading of headings) {
+    const node = { level: heading.level, text: heading.text, id: heading.id, issues: heading.issues, children: [] };
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+
+  return root.children;
+}
+
+/**
+ * Analyze the structure of a rendered spec
+ * @param {Document} document - The parsed spec document
+ * @returns {Object} headingCount, outline tree, issues (type, message, id, heading), duplicateIds and toc summary
+ */
+function analyzeStructure(document) {
+  const headings = collectHeadings(document);
+  const issues = [];
+  const addIssue = (type, message, heading = null, id = heading ? heading.id : null) => {
+    const issue = { type, message, id, heading: heading ? heading.text : null };
+    issues.push(issue);
+    if (heading) heading.issues.push({ type, message });
+  };
+
+  headings.forEach((heading, i) => {
+    const previous = headings[i - 1];
+    if (previous && heading.level > previous.level + 1) {
+      addIssue(ISSUE_TYPE.LEVEL_SKIP, `"${heading.text}" (h${heading.level}) follows an h${previous.level}, skipping a level`, heading);
+    }
+  });
+
+  for (const heading of findEmptySections(document, headings)) {
+    addIssue(ISSUE_TYPE.EMPTY_SECTION, `Section "${heading.text}" is empty`, heading);
+  }
+
+  const duplicateIds = findDuplicateIds(document);
+  for (const duplicate of duplicateIds) {
+    const heading = headings.find(h => h.id === duplicate.id);
+    addIssue(ISSUE_TYPE.DUPLICATE_ID, `id "${duplicate.id}" is used by ${duplicate.count} elements (${duplicate.elements.join(', ')})`, heading, duplicate.id);
+  }
+
+  const toc = checkToc(document, headings);
+  for (const target of toc.missingTargets) {
+    addIssue(ISSUE_TYPE.TOC_MISSING_TARGET, `Table of contents entry "${target.text}" points to a missing heading (${target.href})`, null, target.href.slice(1));
+  }
+  for (const heading of toc.missingHeadings) {
+    addIssue(ISSUE_TYPE.TOC_MISSING_HEADING, `Heading "${heading.text}" is missing from the table of contents`, heading);
+  }
+
+  for (const gap of findNumberingGaps(headings)) {
+    addIssue(ISSUE_TYPE.NUMBERING_GAP, `Section "${gap.heading.text}" is numbered ${gap.heading.number.join('.')}, expected ${gap.expected}`, gap.heading);
+  }
+
+  return {
+    headingCount: headings.length,
+    outline: buildOutline(headings),
+    issues,
+    duplicateIds,
+    toc: {
+      found: toc.found,
+      entries: toc.entries,
+      missingTargets: toc.missingTargets.length,
+      missingHeadings: toc.missingHeadings.length
+    }
+  };
+}
+
+module.exports = {
+  ISSUE_TYPE,
+  parseSectionNumber,
+  analyzeStructure
+};
@@ -0,0 +1,104 @@
+/**
+ * Terminology analysis module
+ * Analyzes term definitions and term references in a rendered Spec-Up / Spec-Up-T document
+ *
+ * Both build tools render `[[def: term]]` as an element with id `term:<term>` inside a
+ * `<dt>` of the terms-and-definitions list, and `[[ref: term]]` as a link to `#term:<term>`.
+ */
+
+const { safeDecode } = require('./linkCheck');
+
+// Prefix of the ids that Spec-Up and Spec-Up-T give to term definitions
+const TERM_ID_PREFIX = 'term:';
+
+/**
+ * Collect term definitions from the terms-and-definitions list
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<{term: string, text: string, transcluded: boolean}>} Definitions in document order, duplicates included
+ */
+function collectDefinitions(document) {
+  const definitions = [];
+
+  for (const el of document.querySelectorAll(`dt[id^="${TERM_ID_PREFIX}"], dt [id^="${TERM_ID_PREFIX}"]`)) {
+    definitions.push({
+      term: el.id.slice(TERM_ID_PREFIX.length),
+      text: el.textContent.trim(),
+      // Terms pulled in from another spec with [[tref:]] are marked by Spec-Up-T
+      transcluded: !!el.closest('.transcluded-xref-term')
+    });
+  }
+
+  return definitions;
+}
+
+/**
+ * Collect local term references
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<{term: string, text: string}>} References in document order
+ */
+function collectReferences(document) {
+  const references = [];
+
+  for (const el of document.querySelectorAll(`a[href^="#${TERM_ID_PREFIX}"]`)) {
+    // Links inside a definition term point at the term itself and are not references
+    if (el.closest('dt')) continue;
+
+    references.push({
+      term: safeDecode(el.getAttribute('href').slice(TERM_ID_PREFIX.length + 1)),
+      text: el.textContent.trim()
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Analyze the terminology of a spec document
+ * @param {Document} document - The parsed spec document
+ * @returns {{found: boolean, definitions: Array<Object>, referenceCount: number, unused: string[], undefinedReferences: Array<{term: string, count: number}>, duplicates: Array<{term: string, count: number}>}} Terminology analysis
+ */
+function analyzeTerminology(document) {
+  const definitions = collectDefinitions(document);
+  const references = collectReferences(document);
+
+  // Count definitions per term to find duplicates
+  const definitionCounts = new Map();
+  for (const definition of definitions) {
+    definitionCounts.set(definition.term, (definitionCounts.get(definition.term) || 0) + 1);
+  }
+
+  // Count references per term
+  const referenceCounts = new Map();
+  for (const reference of references) {
+    referenceCounts.set(reference.term, (referenceCounts.get(reference.term) || 0) + 1);
+  }
+
+  const seen = new Set();
+  const uniqueDefinitions = definitions.filter(definition => {
+    if (seen.has(definition.term)) return false;
+    seen.add(definition.term);
+    return true;
+  });
+
+  return {
+    found: definitions.length > 0 || references.length > 0,
+    definitions: uniqueDefinitions,
+    referenceCount: references.length,
+    unused: uniqueDefinitions
+      .filter(definition => !referenceCounts.has(definition.term))
+      .map(definition => definition.term),
+    undefinedReferences: Array.from(referenceCounts)
+      .filter(([term]) => !definitionCounts.has(term))
+      .map(([term, count]) => ({ term, count })),
+    duplicates: Array.from(definitionCounts)
+      .filter(([, count]) => count > 1)
+      .map(([term, count]) => ({ term, count }))
+  };
+}
+
+module.exports = {
+  TERM_ID_PREFIX,
+  collectDefinitions,
+  collectReferences,
+  analyzeTerminology
+};
@@ -0,0 +1,111 @@
+/**
+ * Trend store module
+ * Keeps a JSON-lines history of the key metrics of every analysis per URL in reports/history/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// Number of runs shown in trend views
+const DEFAULT_LIMIT = 30;
+
+/**
+ * Get the directory holding the trend files
+ * @returns {string} Absolute path of reports/history
+ */
+function getHistoryDir() {
+  return path.join(process.cwd(), 'reports', 'history');
+}
+
+/**
+ * Get the trend file for a URL
+ * @param {string} url - The analyzed URL or local path
+ * @returns {string} Absolute path of the JSON-lines file
+ */
+function getTrendFile(url) {
+  const slug = url
+    .replace(/^https?:\/\//i, '')
+    .replace(/[^\w-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 100);
+  return path.join(getHistoryDir(), `${slug || 'spec'}.jsonl`);
+}
+
+/**
+ * Reduce a JSON report to the metrics tracked over time
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @returns {Object} Trend point
+ */
+function toTrendPoint(report) {
+  const checks = {};
+  for (const check of report.checks || []) {
+    checks[check.id] = check.status;
+  }
+
+  return {
+    generatedAt: report.generatedAt,
+    url: report.url,
+    buildTool: {
+      name: report.buildTool ? report.buildTool.name : null,
+      version: report.buildTool ? report.buildTool.version : null
+    },
+    archivedVersions: report.versionHistory ? report.versionHistory.count : 0,
+    lastModified: report.lastModified,
+    pdf: !!(report.pdf && report.pdf.exists),
+    brokenLinks: report.links && report.links.broken ? report.links.broken.length : null,
+    checks
+  };
+}
+
+/**
+ * Read the trend points of a URL, oldest first
+ * @param {string} url - The analyzed URL or local path
+ * @param {number} [limit] - Maximum number of (most recent) points to return
+ * @returns {Array<Object>} Trend points
+ */
+function readTrend(url, limit = DEFAULT_LIMIT) {
+  let content;
+  try {
+    content = fs.readFileSync(getTrendFile(url), 'utf8');
+  } catch (e) {
+    return [];
+  }
+
+  const points = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const point = JSON.parse(line);
+      // Slugs can collide, so only keep points of this exact URL
+      if (point.url === url) points.push(point);
+    } catch (e) {
+      // Skip a damaged line rather than losing the whole history
+    }
+  }
+
+  return points.slice(-limit);
+}
+
+/**
+ * Append a run to the trend file of its URL and return the updated trend
+ * @param {Object} report - JSON report from jsonReporter.buildJsonReport
+ * @returns {Array<Object>} Trend points including this run, oldest first
+ */
+function recordTrend(report) {
+  try {
+    fs.mkdirSync(getHistoryDir(), { recursive: true });
+    fs.appendFileSync(getTrendFile(report.url), JSON.stringify(toTrendPoint(report)) + '\n');
+  } catch (error) {
+    console.error(chalk.red(`⚠️  Could not record trend: ${error.message}`));
+  }
+
+  return readTrend(report.url);
+}
+
+module.exports = {
+  getTrendFile,
+  toTrendPoint,
+  readTrend,
+  recordTrend
+};
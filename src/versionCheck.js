@@ -1,45 +1,210 @@
 /**
  * Version checking module
- * Checks for the existence of a versions directory and counts v* subdirectories
+ * Discovers the archived versions of a spec in its versions directory
  */
 
-const https = require('https');
-const fetcher = require('./fetcher');
+const httpClient = require('./httpClient');
+const github = require('./github');
+const { JSDOM } = require('jsdom');
 const chalk = require('chalk');
 
+// How the archived versions were found, most reliable first
+const VERSION_SOURCE = {
+  MENU: 'version-menu',
+  LISTING: 'directory-listing',
+  GITHUB_API: 'github-api',
+  PROBE: 'probe',
+  LOCAL: 'local'
+};
+
+// Containers a version menu is rendered in
+const MENU_SELECTOR = 'nav, header, [role="navigation"], [role="menu"], .dropdown-menu, [id*="version" i], [class*="version" i]';
+
+// Files that can be linked from a version menu or listing but are not version directories
+const FILE_PATTERN = /\.(html?|pdf|json|xml|txt|css|js|png|svg|ico)$/i;
+
+/**
+ * Sort version names naturally (v2 before v10)
+ * @param {string[]} versions - Version directory names
+ * @returns {string[]} Sorted names
+ */
+function sortVersions(versions) {
+  return [...versions].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Collect version directory names from links that point into the versions directory
+ * @param {Iterable<string>} hrefs - Link targets
+ * @param {string} baseUrl - URL the links are relative to
+ * @param {string} versionsUrl - URL of the versions directory (with trailing slash)
+ * @returns {string[]} Sorted, unique version directory names
+ */
+function getVersionsFromLinks(hrefs, baseUrl, versionsUrl) {
+  const versions = new Set();
+
+  for (const href of hrefs) {
+    let resolved;
+    try {
+      resolved = new URL(href, baseUrl);
+    } catch (e) {
+      continue;
+    }
+    resolved.hash = '';
+    resolved.search = '';
+    if (!resolved.href.startsWith(versionsUrl)) continue;
+
+    const rest = resolved.href.slice(versionsUrl.length);
+    const name = rest.split('/')[0];
+    // Skip the directory itself, parent links and files such as versions/index.html
+    if (!name || name === '.' || name === '..') continue;
+    if (!rest.includes('/') && FILE_PATTERN.test(name)) continue;
+
+    try {
+      versions.add(decodeURIComponent(name));
+    } catch (e) {
+      versions.add(name);
+    }
+  }
+
+  return sortVersions(versions);
+}
+
+/**
+ * Find versions linked from the version menu of the rendered spec
+ * Only links inside navigation, dropdown menus and elements named after versions count, not links in the text
+ * @param {Document|null} document - DOM document of index.html
+ * @param {string} pageUrl - URL of index.html's directory (with trailing slash)
+ * @param {string} versionsUrl - URL of the versions directory
+ * @returns {string[]} Version directory names
+ */
+function findVersionsInMenu(document, pageUrl, versionsUrl) {
+  if (!document) return [];
+  const hrefs = Array.from(document.querySelectorAll('a[href]'))
+    .filter(a => a.closest(MENU_SELECTOR))
+    .map(a => a.getAttribute('href'));
+  return getVersionsFromLinks(hrefs, pageUrl, versionsUrl);
+}
+
+/**
+ * Read the versions directory page: a server directory listing or an index.html listing the versions
+ * @param {string} versionsUrl - URL of the versions directory
+ * @returns {Promise<{exists: boolean, versions: string[]}>} Whether the directory answered and the versions it links to
+ */
+async function readDirectoryListing(versionsUrl) {
+  console.log(chalk.blue(`📁 Reading directory listing: ${versionsUrl}`));
+
+  try {
+    const res = await httpClient.request(versionsUrl, { timeout: 5000, throwHttpErrors: false });
+    if (res.status < 200 || res.status >= 300) {
+      console.log(chalk.cyan(`📂 Directory ${versionsUrl}: no listing (status: ${res.status})`));
+      return { exists: false, versions: [] };
+    }
+
+    const contentType = res.headers['content-type'] || '';
+    if (!contentType.includes('html')) {
+      return { exists: true, versions: [] };
+    }
+
+    const document = new JSDOM(res.body).window.document;
+    const hrefs = Array.from(document.querySelectorAll('a[href]'), a => a.getAttribute('href'));
+    return { exists: true, versions: getVersionsFromLinks(hrefs, res.url || versionsUrl, versionsUrl) };
+  } catch (err) {
+    console.log(chalk.red(`❌ Error reading directory ${versionsUrl}: ${err.message}`));
+    return { exists: false, versions: [] };
+  }
+}
+
 /**
- * Checks if there's a versions directory in the same directory as index.html
+ * List the versions folder of the branch a GitHub Pages site is deployed from
+ * Works for *.github.io sites, and for custom domains when the repository URL is known
+ * @param {string} pageUrl - URL of index.html's directory (with trailing slash)
+ * @param {string|null} repoUrl - Repository URL from the spec config, if known
+ * @returns {Promise<string[]>} Version directory names (empty when the site is not on GitHub Pages)
+ */
+async function listVersionsFromGithub(pageUrl, repoUrl) {
+  let site = github.parseGithubPagesUrl(pageUrl);
+  if (!site) {
+    const repo = github.parseGithubRepo(repoUrl);
+    if (!repo) return [];
+    // A custom domain serves the repository's site from its root
+    site = { ...repo, sitePath: new URL(pageUrl).pathname.split('/').filter(Boolean).join('/') };
+  }
+
+  console.log(chalk.blue(`🐙 Listing versions through the GitHub API for ${site.owner}/${site.repo}`));
+  let source;
+  try {
+    source = await github.getPagesSource(site.owner, site.repo);
+  } catch (error) {
+    // The Pages endpoint can be unavailable (e.g. for Actions deployments); gh-pages is the usual branch
+    source = { branch: 'gh-pages', path: '' };
+  }
+
+  const dirPath = [source.path, site.sitePath, 'versions'].filter(Boolean).join('/');
+  try {
+    return sortVersions(await github.listDirectories(site.owner, site.repo, dirPath, source.branch));
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not list ${dirPath} on ${source.branch}: ${error.message}`));
+    return [];
+  }
+}
+
+/**
+ * Discover the archived versions of a deployed spec
+ * Tries, in order: links in the rendered spec's version menu, the versions directory page
+ * (server listing or versions index), the GitHub API for GitHub Pages sites, and as a last
+ * resort probing common directory names
  * @param {string} baseUrl - The base URL where index.html is located
- * @returns {Promise<{exists: boolean, count: number, versions: string[]}>} Result object with existence flag and version info
+ * @param {Object} [options] - Discovery options
+ * @param {Document|null} [options.document] - DOM document of the rendered index.html
+ * @param {string|null} [options.repoUrl] - Repository URL of the spec
+ * @returns {Promise<{exists: boolean, count: number, versions: string[], baseUrl: string, source: string|null}>} Result object with existence flag and version info
  */
-async function checkVersions(baseUrl) {
+async function checkVersions(baseUrl, options = {}) {
   // Normalize URL to ensure it ends with a trailing slash
   const normalizedUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
   
   // Construct URL for the versions directory
   const versionsUrl = new URL('versions/', normalizedUrl).toString();
   
+  const found = (versions, source) => ({
+    exists: true,
+    count: versions.length,
+    versions,
+    baseUrl: normalizedUrl, // Include the base URL for constructing version links
+    source
+  });
+  
   try {
-    // First check if the versions directory exists
-    const versionsExists = await checkDirectoryExists(versionsUrl);
+    const menuVersions = findVersionsInMenu(options.document || null, normalizedUrl, versionsUrl);
+    if (menuVersions.length) {
+      return found(menuVersions, VERSION_SOURCE.MENU);
+    }
+    
+    const listing = await readDirectoryListing(versionsUrl);
+    if (listing.versions.length) {
+      return found(listing.versions, VERSION_SOURCE.LISTING);
+    }
     
-    if (!versionsExists) {
-      return {
-        exists: false,
-        count: 0,
-        versions: [],
-        baseUrl: normalizedUrl  // Include the base URL for links
-      };
+    const githubVersions = await listVersionsFromGithub(normalizedUrl, options.repoUrl || null);
+    if (githubVersions.length) {
+      return found(githubVersions, VERSION_SOURCE.GITHUB_API);
     }
     
-    // If versions directory exists, try to list its contents to find v* subdirectories
-    const versionDirs = await listVersionDirectories(versionsUrl);
+    // Probing sends many requests, so only do it when the versions directory itself exists
+    if (listing.exists) {
+      const probedVersions = await listVersionDirectories(versionsUrl);
+      // An empty versions directory holds no archived versions
+      if (probedVersions.length) {
+        return found(probedVersions, VERSION_SOURCE.PROBE);
+      }
+    }
     
     return {
-      exists: true,
-      count: versionDirs.length,
-      versions: versionDirs,
-      baseUrl: baseUrl // Include the base URL for constructing version links
+      exists: false,
+      count: 0,
+      versions: [],
+      baseUrl: normalizedUrl,  // Include the base URL for links
+      source: null
     };
   } catch (error) {
     console.error(chalk.red(`❌ Error checking versions: ${error.message}`));
@@ -48,7 +213,8 @@ async function checkVersions(baseUrl) {
       count: 0,
       versions: [],
       error: error.message,
-      baseUrl: normalizedUrl  // Include the base URL for links
+      baseUrl: normalizedUrl,  // Include the base URL for links
+      source: null
     };
   }
 }
@@ -58,64 +224,34 @@ async function checkVersions(baseUrl) {
  * @param {string} url - URL of the directory
  * @returns {Promise<boolean>} Whether the directory exists
  */
-function checkDirectoryExists(url) {
-  return new Promise((resolve) => {
-    console.log(chalk.blue(`📁 Checking directory: ${url}`));
-    const parsedUrl = new URL(url);
-    
-    // Choose the right module based on protocol
-    const protocol = parsedUrl.protocol === 'https:' ? https : require('http');
-    
-    const options = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'HEAD',
-      timeout: 5000 // 5 second timeout
-    };
-    
-    const req = protocol.request(options, (res) => {
-      // Status codes 200, 301, 302 indicate the directory exists
-      const exists = res.statusCode >= 200 && res.statusCode < 400;
-      console.log(chalk.cyan(`📂 Directory ${url}: ${exists ? 'exists' : 'does not exist'} (status: ${res.statusCode})`));
-      resolve(exists);
-    });
-    
-    req.on('error', (err) => {
-      console.log(chalk.red(`❌ Error checking directory ${url}: ${err.message}`));
-      resolve(false);
-    });
-    
-    req.on('timeout', () => {
-      console.log(chalk.yellow(`⏰ Timeout checking directory ${url}`));
-      req.abort();
-      resolve(false);
-    });
-    
-    req.end();
-  });
+async function checkDirectoryExists(url) {
+  console.log(chalk.blue(`📁 Checking directory: ${url}`));
+
+  try {
+    const res = await httpClient.request(url, { method: 'HEAD', timeout: 5000, throwHttpErrors: false });
+    // Any successful status after following redirects indicates the directory exists
+    const exists = res.status >= 200 && res.status < 400;
+    console.log(chalk.cyan(`📂 Directory ${url}: ${exists ? 'exists' : 'does not exist'} (status: ${res.status})`));
+    return exists;
+  } catch (err) {
+    const icon = err.code === 'ETIMEDOUT' ? '⏰' : '❌';
+    console.log(chalk.red(`${icon} Error checking directory ${url}: ${err.message}`));
+    return false;
+  }
 }
 
 /**
- * Lists subdirectories in the versions directory that match v* pattern
- * Note: This is a simplified approach and may not work for all web servers
- * More reliable implementation would require server-side directory listing
- * or specific knowledge of the repository structure
+ * Probes common version directory names in the versions directory
+ * Last resort of checkVersions: names outside the list (v21, v1.2.3) are missed
  * @param {string} versionsUrl - URL of the versions directory
  * @returns {Promise<string[]>} Array of version directory names (e.g., ['v1', 'v2'])
  */
 async function listVersionDirectories(versionsUrl) {
-  console.log(chalk.magenta(`🔍 Checking for version directories at: ${versionsUrl}`));
+  console.log(chalk.magenta(`🔍 Probing for version directories at: ${versionsUrl}`));
   const versionDirs = [];
   let missingCount = 0;
   const maxMissingVersions = 3; // Allow up to 3 missing versions before stopping
   
-  // First check for a GitHub repository structure if it's GitHub
-  if (versionsUrl.includes('github.com')) {
-    console.log(chalk.blue(`🐙 GitHub repository detected - checking for versions through GitHub API...`));
-    // For GitHub, we'd need to use the GitHub API but we'll skip for now
-  }
-  
   // Check for common version patterns
   const versionPatterns = [
     // numeric versions from 1 to 20
@@ -163,6 +299,8 @@ function formatVersionInfo(versionInfo) {
 }
 
 module.exports = {
+  VERSION_SOURCE,
+  getVersionsFromLinks,
   checkVersions,
   formatVersionInfo
 };
@@ -0,0 +1,282 @@
+/**
+ * Version diff module
+ * Compares the content of archived spec versions (versions/<name>/) with each other or with the
+ * current spec: sections are aligned by heading id (or title) and compared block by block
+ */
+
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { JSDOM } = require('jsdom');
+const httpClient = require('./httpClient');
+const terminology = require('./terminology');
+
+// Name used for the current (live) spec in comparisons
+const CURRENT = 'current';
+
+// Elements whose text forms one block of a section
+const BLOCK_SELECTOR = 'p, li, dt, dd, pre, blockquote, td, th, figcaption';
+
+// Above this many block pairs a section is diffed as fully replaced instead of block by block
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Parse a comparison list such as "v2" or "v1..v2,v2..current"
+ * A single name is compared with the current spec; "latest" is the newest archived version
+ * @param {string} spec - Comma-separated names or from..to pairs
+ * @returns {Array<{from: string, to: string}>} Pairs to compare
+ */
+function parseComparisons(spec) {
+  return spec.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [from, to] = item.split('..').map(name => name.trim());
+    if (!from || (item.includes('..') && !to)) {
+      throw new Error(`Invalid version comparison "${item}". Use <version> or <from>..<to>`);
+    }
+    return { from, to: to || CURRENT };
+  });
+}
+
+/**
+ * Normalize whitespace in a text
+ * @param {string} text - Text to normalize
+ * @returns {string} Text on one line without repeated spaces
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a spec document into sections, one per heading
+ * A section holds the text blocks up to the next heading of any level
+ * @param {Document} document - The parsed spec document
+ * @returns {Array<{key: string, id: string|null, title: string, level: number, blocks: string[]}>} Sections in document order
+ */
+function extractSections(document) {
+  const sections = [];
+  let current = { key: '(preamble)', id: null, title: '(Before the first heading)', level: 0, blocks: [] };
+
+  const elements = document.body ? document.body.querySelectorAll(`h1, h2, h3, h4, h5, h6, ${BLOCK_SELECTOR}`) : [];
+  for (const el of elements) {
+    if (/^H[1-6]$/.test(el.tagName)) {
+      sections.push(current);
+      const title = normalizeText(el.textContent);
+      const id = el.id || null;
+      current = { key: id ? `#${id}` : title.toLowerCase(), id, title, level: parseInt(el.tagName[1], 10), blocks: [] };
+      continue;
+    }
+    // Nested blocks (a p inside an li) are part of their outer block
+    if (el.parentElement && el.parentElement.closest(BLOCK_SELECTOR)) continue;
+
+    const text = normalizeText(el.textContent);
+    if (text) current.blocks.push(text);
+  }
+  sections.push(current);
+
+  // Drop an empty preamble and make keys unique (two headings with the same title)
+  const seen = {};
+  return sections.filter(section => section.level > 0 || section.blocks.length).map(section => {
+    seen[section.key] = (seen[section.key] || 0) + 1;
+    return seen[section.key] > 1 ? { ...section, key: `${section.key} (${seen[section.key]})` } : section;
+  });
+}
+
+/**
+ * Diff two lists of text blocks with a longest-common-subsequence alignment
+ * @param {string[]} before - Blocks of the old section
+ * @param {string[]} after - Blocks of the new section
+ * @returns {Array<{type: string, before: string|null, after: string|null}>} Rows of type same, removed, added or changed
+ */
+function diffBlocks(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const rows = [];
+
+  if (n * m > MAX_DIFF_CELLS) {
+    before.forEach(text => rows.push({ type: 'removed', before: text, after: null }));
+    after.forEach(text => rows.push({ type: 'added', before: null, after: text }));
+    return rows;
+  }
+
+  // lcs[i][j] = length of the common subsequence of before[i..] and after[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && before[i] === after[j]) {
+      rows.push({ type: 'same', before: before[i++], after: after[j++] });
+    } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      rows.push({ type: 'removed', before: before[i++], after: null });
+    } else {
+      rows.push({ type: 'added', before: null, after: after[j++] });
+    }
+  }
+
+  // Pair a run of removed blocks with the run of added blocks that follows it as changed rows
+  const merged = [];
+  for (let k = 0; k < rows.length;) {
+    if (rows[k].type === 'same') {
+      merged.push(rows[k++]);
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < rows.length && rows[k].type === 'removed') removed.push(rows[k++].before);
+    while (k < rows.length && rows[k].type === 'added') added.push(rows[k++].after);
+    for (let p = 0; p < Math.max(removed.length, added.length); p++) {
+      if (p < removed.length && p < added.length) {
+        merged.push({ type: 'changed', before: removed[p], after: added[p] });
+      } else if (p < removed.length) {
+        merged.push({ type: 'removed', before: removed[p], after: null });
+      } else {
+        merged.push({ type: 'added', before: null, after: added[p] });
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compare two parsed spec documents
+ * @param {Document} beforeDoc - The older document
+ * @param {Document} afterDoc - The newer document
+ * @returns {{sections: Object, terms: Object, summary: Object}} Sections added, removed and modified, terms added and removed, and counts
+ */
+function compareDocuments(beforeDoc, afterDoc) {
+  const beforeSections = extractSections(beforeDoc);
+  const afterSections = extractSections(afterDoc);
+
+  // Align by key (heading id, or title without an id), then pair leftovers with the same title
+  const matches = new Map();
+  const unmatchedBefore = [];
+  for (const section of beforeSections) {
+    const match = afterSections.find(candidate => candidate.key === section.key);
+    if (match) matches.set(match, section);
+    else unmatchedBefore.push(section);
+  }
+  const removed = [];
+  for (const section of unmatchedBefore) {
+    const match = afterSections.find(candidate => !matches.has(candidate) && candidate.title === section.title);
+    if (match) matches.set(match, section);
+    else removed.push(section);
+  }
+
+  const added = [];
+  const modified = [];
+  for (const section of afterSections) {
+    const old = matches.get(section);
+    if (!old) {
+      added.push(section);
+      continue;
+    }
+    const rows = diffBlocks(old.blocks, section.blocks);
+    if (old.title !== section.title || rows.some(row => row.type !== 'same')) {
+      // Unchanged blocks are only counted, to keep reports small
+      modified.push({
+        key: section.key,
+        title: section.title,
+        previousTitle: old.title !== section.title ? old.title : null,
+        rows: rows.filter(row => row.type !== 'same'),
+        unchangedBlocks: rows.filter(row => row.type === 'same').length
+      });
+    }
+  }
+
+  const beforeTerms = new Set(terminology.analyzeTerminology(beforeDoc).definitions.map(d => d.term));
+  const afterTerms = new Set(terminology.analyzeTerminology(afterDoc).definitions.map(d => d.term));
+  const termsAdded = [...afterTerms].filter(term => !beforeTerms.has(term)).sort();
+  const termsRemoved = [...beforeTerms].filter(term => !afterTerms.has(term)).sort();
+
+  const outline = section => ({ key: section.key, title: section.title, level: section.level });
+  return {
+    sections: {
+      added: added.map(outline),
+      removed: removed.map(outline),
+      modified
+    },
+    terms: {
+      added: termsAdded,
+      removed: termsRemoved
+    },
+    summary: {
+      sectionsAdded: added.length,
+      sectionsRemoved: removed.length,
+      sectionsModified: modified.length,
+      termsAdded: termsAdded.length,
+      termsRemoved: termsRemoved.length
+    }
+  };
+}
+
+/**
+ * Read the index.html of a version of the spec
+ * @param {string} url - URL of the version's index.html (http(s) or file)
+ * @returns {Promise<Document>} The parsed document
+ */
+async function loadDocument(url) {
+  const html = url.startsWith('file:')
+    ? fs.readFileSync(fileURLToPath(url), 'utf8')
+    : await httpClient.getText(url);
+  return new JSDOM(html).window.document;
+}
+
+/**
+ * Compare archived versions with each other or with the current spec
+ * Each comparison is independent: a version that cannot be loaded only fails its own comparison
+ * @param {Array<{from: string, to: string}>} comparisons - Pairs from parseComparisons
+ * @param {Object} versionInfo - Version info from versionCheck.checkVersions or localSource.listVersions
+ * @param {Document|null} currentDoc - The parsed current spec, if available
+ * @returns {Promise<Array<Object>>} One diff per comparison: from, to (name and url), sections, terms, summary and error
+ */
+async function compareVersions(comparisons, versionInfo, currentDoc) {
+  let baseUrl = versionInfo.baseUrl || '';
+  if (baseUrl && !baseUrl.endsWith('/')) baseUrl += '/';
+  const versions = versionInfo.versions || [];
+  const cache = new Map();
+
+  const resolveVersion = name => {
+    if (name === CURRENT) return { name, url: `${baseUrl}index.html` };
+    const resolved = name === 'latest' && versions.length ? versions[versions.length - 1] : name;
+    return { name: resolved, url: `${baseUrl}versions/${encodeURIComponent(resolved)}/index.html` };
+  };
+  const getDocument = async version => {
+    if (version.name === CURRENT) {
+      if (!currentDoc) throw new Error('The current spec could not be read');
+      return currentDoc;
+    }
+    // Versions missing from the discovered list are still tried, as discovery can be incomplete
+    if (!cache.has(version.url)) {
+      cache.set(version.url, loadDocument(version.url).catch(error => {
+        const known = versions.length ? ` Archived versions found: ${versions.join(', ')}` : '';
+        throw new Error(`Could not load version "${version.name}": ${error.message}.${known}`);
+      }));
+    }
+    return cache.get(version.url);
+  };
+
+  const diffs = [];
+  for (const comparison of comparisons) {
+    const from = resolveVersion(comparison.from);
+    const to = resolveVersion(comparison.to);
+    try {
+      const [beforeDoc, afterDoc] = await Promise.all([getDocument(from), getDocument(to)]);
+      diffs.push({ from, to, ...compareDocuments(beforeDoc, afterDoc), error: null });
+    } catch (error) {
+      diffs.push({ from, to, sections: null, terms: null, summary: null, error });
+    }
+  }
+  return diffs;
+}
+
+module.exports = {
+  CURRENT,
+  parseComparisons,
+  extractSections,
+  diffBlocks,
+  compareDocuments,
+  compareVersions
+};
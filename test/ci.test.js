@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ci = require('../src/ci');
+
+const check = (id, status, message = `${id} is ${status}`) => ({ id, status, message });
+const resultFor = (evaluation, id) => evaluation.results.find(result => result.id === id);
+
+test('passes required checks with status pass or info and fails warn, error and checks that did not run', () => {
+  const report = {
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    checks: [
+      check('pdf', 'info', 'index.pdf exists, 3 page(s)'),
+      check('build-tool', 'pass'),
+      check('links', 'warn', '2 broken link(s)'),
+      check('structure', 'error')
+    ]
+  };
+  const config = ci.resolveCiConfig({ requiredChecks: ['pdf', 'build-tool', 'links', 'structure', 'terminology'], failOn: 'none' });
+  const evaluation = ci.evaluateReport(report, config);
+
+  assert.equal(resultFor(evaluation, 'pdf').passed, true);
+  assert.equal(resultFor(evaluation, 'build-tool').passed, true);
+  assert.equal(resultFor(evaluation, 'links').passed, false);
+  assert.equal(resultFor(evaluation, 'links').message, 'warn: 2 broken link(s)');
+  assert.equal(resultFor(evaluation, 'structure').passed, false);
+  assert.deepEqual(resultFor(evaluation, 'terminology'), { id: 'terminology', passed: false, message: 'Required check did not run' });
+  assert.equal(evaluation.passed, false);
+});
+
+test('fails other checks from the failOn status up', () => {
+  const report = { checks: [check('pdf', 'info'), check('links', 'warn'), check('structure', 'error')] };
+  const failing = config => ci.evaluateReport(report, ci.resolveCiConfig(config)).results.map(result => result.id);
+
+  assert.deepEqual(failing({ failOn: 'error' }), ['structure']);
+  assert.deepEqual(failing({ failOn: 'warn' }), ['links', 'structure']);
+  assert.deepEqual(failing({ failOn: 'none' }), []);
+  assert.equal(ci.evaluateReport({ checks: [check('pdf', 'info')] }, ci.resolveCiConfig({ failOn: 'warn' })).passed, true);
+});
+
+test('compares the installed spec-up-t version with the minimum', () => {
+  const evaluate = buildTool => resultFor(ci.evaluateReport({ checks: [], buildTool }, ci.resolveCiConfig({ minSpecUpTVersion: '1.2.0', failOn: 'none' })), 'min-spec-up-t-version');
+
+  assert.equal(evaluate({ name: 'spec-up-t', version: '^1.0.0', installedVersion: '1.2.3' }).passed, true);
+  assert.equal(evaluate({ name: 'spec-up-t', version: '^1.3.0', installedVersion: '1.1.9' }).passed, false);
+  assert.equal(evaluate({ name: 'spec-up-t', version: '^1.2.0', installedVersion: null }).passed, true);
+  assert.equal(evaluate({ name: 'spec-up', version: '^0.10.0' }).message, 'Uses spec-up, not spec-up-t');
+});
+
+test('checks the age of the spec and the number of broken links', () => {
+  const report = {
+    checks: [],
+    generatedAt: '2024-01-31T00:00:00.000Z',
+    lastModified: '2024-01-01T00:00:00.000Z',
+    links: { broken: [{ href: 'https://a.example' }] }
+  };
+
+  const strict = ci.evaluateReport(report, ci.resolveCiConfig({ maxDaysSinceUpdate: 7, maxBrokenLinks: 0 }));
+  assert.deepEqual(strict.results.map(result => [result.id, result.passed]), [['max-days-since-update', false], ['max-broken-links', false]]);
+
+  const lenient = ci.evaluateReport(report, ci.resolveCiConfig({ maxDaysSinceUpdate: 30, maxBrokenLinks: 1 }));
+  assert.equal(lenient.passed, true);
+
+  assert.equal(resultFor(ci.evaluateReport({ checks: [] }, ci.resolveCiConfig({ maxBrokenLinks: 0 })), 'max-broken-links').message, 'Links were not checked');
+});
+
+test('fails when the analysis itself failed', () => {
+  const evaluation = ci.evaluateReport({ checks: [], error: { message: 'boom' } }, ci.resolveCiConfig({}));
+
+  assert.deepEqual(evaluation.results, [{ id: 'analysis', passed: false, message: 'boom' }]);
+});
+
+test('rejects invalid configurations', () => {
+  assert.throws(() => ci.resolveCiConfig([]), /ci must be an object/);
+  assert.throws(() => ci.resolveCiConfig({ requireChecks: ['pdf'] }), /Unknown ci setting "requireChecks"/);
+  assert.throws(() => ci.resolveCiConfig({ requiredChecks: ['pdfs'] }), /Unknown check "pdfs"/);
+  assert.throws(() => ci.resolveCiConfig({ failOn: 'info' }), /ci.failOn must be one of/);
+  assert.throws(() => ci.resolveCiConfig({ minSpecUpTVersion: 'latest' }), /minSpecUpTVersion/);
+  assert.throws(() => ci.resolveCiConfig({ maxBrokenLinks: -1 }), /ci.maxBrokenLinks/);
+  assert.deepEqual(ci.resolveCiConfig(undefined), ci.DEFAULT_CI_CONFIG);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const httpClient = require('../src/httpClient');
+
+httpClient.configure({ retryDelay: 1 });
+
+/**
+ * Start a local server for the duration of a test
+ * @param {Object} t - Test context
+ * @param {Function} handler - Request handler
+ * @returns {Promise<string>} Origin of the server, e.g. http://127.0.0.1:1234
+ */
+async function startServer(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('follows redirects and reports the final URL', async t => {
+  const origin = await startServer(t, (req, res) => {
+    if (req.url === '/start') res.writeHead(301, { Location: '/middle' }).end();
+    else if (req.url === '/middle') res.writeHead(302, { Location: `${origin}/end` }).end();
+    else res.end('done');
+  });
+
+  const res = await httpClient.request(`${origin}/start`, { cache: false });
+  assert.equal(res.body, 'done');
+  assert.equal(res.url, `${origin}/end`);
+  assert.equal(res.redirects, 2);
+});
+
+test('stops after the maximum number of redirects', async t => {
+  const origin = await startServer(t, (req, res) => res.writeHead(302, { Location: '/again' }).end());
+
+  await assert.rejects(
+    httpClient.request(`${origin}/`, { cache: false, maxRedirects: 3 }),
+    error => error instanceof httpClient.HttpError && error.code === 'EMAXREDIRECTS' && error.status === 302
+  );
+});
+
+test('retries server errors and gives up after the last retry', async t => {
+  let calls = 0;
+  const origin = await startServer(t, (req, res) => {
+    calls++;
+    if (req.url === '/flaky' && calls < 3) res.writeHead(503).end();
+    else if (req.url === '/flaky') res.end('ok');
+    else res.writeHead(500).end();
+  });
+
+  assert.equal((await httpClient.request(`${origin}/flaky`, { cache: false, retries: 2 })).body, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(
+    httpClient.request(`${origin}/broken`, { cache: false, retries: 1 }),
+    error => error.code === 'HTTP_500' && error.status === 500
+  );
+  assert.equal(calls, 2);
+});
+
+test('does not retry client errors and can return them', async t => {
+  let calls = 0;
+  const origin = await startServer(t, (req, res) => {
+    calls++;
+    res.writeHead(404).end('missing');
+  });
+
+  const res = await httpClient.request(`${origin}/`, { cache: false, throwHttpErrors: false });
+  assert.equal(res.status, 404);
+  assert.equal(res.body, 'missing');
+  assert.equal(calls, 1);
+});
+
+test('retries network errors', async () => {
+  // A port that was just freed refuses connections
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  await assert.rejects(
+    httpClient.request(`http://127.0.0.1:${port}/`, { cache: false, retries: 1 }),
+    error => error instanceof httpClient.HttpError && error.code === 'ECONNREFUSED'
+  );
+});
+
+test('drops credentials when a redirect leaves the origin', async t => {
+  const seen = {};
+  const other = await startServer(t, (req, res) => {
+    seen.other = req.headers;
+    res.end('other');
+  });
+  const origin = await startServer(t, (req, res) => {
+    if (req.url === '/same') return res.writeHead(302, { Location: '/landing' }).end();
+    if (req.url === '/away') return res.writeHead(302, { Location: `${other}/landing` }).end();
+    seen.same = req.headers;
+    res.end('same');
+  });
+  const headers = { Authorization: 'token secret', Cookie: 'session=1', Accept: 'text/plain' };
+
+  await httpClient.request(`${origin}/same`, { cache: false, headers });
+  assert.equal(seen.same.authorization, 'token secret');
+  assert.equal(seen.same.cookie, 'session=1');
+
+  await httpClient.request(`${origin}/away`, { cache: false, headers });
+  assert.equal(seen.other.authorization, undefined);
+  assert.equal(seen.other.cookie, undefined);
+  assert.equal(seen.other.accept, 'text/plain');
+});
+
+test('rejects responses larger than the size limit', async t => {
+  const origin = await startServer(t, (req, res) => {
+    if (req.url === '/declared') {
+      res.writeHead(200, { 'Content-Length': 1000 }).end(Buffer.alloc(1000));
+    } else {
+      // Chunked, so the size is only known while reading
+      res.write(Buffer.alloc(600));
+      res.end(Buffer.alloc(600));
+    }
+  });
+
+  for (const path of ['/declared', '/streamed']) {
+    await assert.rejects(
+      httpClient.request(`${origin}${path}`, { cache: false, maxBodySize: 500 }),
+      error => error.code === 'EBODYTOOLARGE'
+    );
+  }
+});
+
+test('reports bodies that are not JSON', async t => {
+  const origin = await startServer(t, (req, res) => res.end(req.url === '/empty' ? ' ' : '<html>'));
+
+  await assert.rejects(httpClient.getJson(`${origin}/html`, { cache: false }), error => error.code === 'EJSONPARSE');
+  await assert.rejects(httpClient.getJson(`${origin}/empty`, { cache: false }), error => error.code === 'EEMPTY');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const lockfile = require('../src/lockfile');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'lockfiles', name), 'utf8');
+
+test('reads package-lock.json v1, v2 and v3', () => {
+  const v1 = lockfile.parsePackageLock(readFixture('package-lock-v1.json'), 'spec-up-t');
+  assert.equal(v1.version, '1.0.87');
+  assert.equal(v1.integrity, 'sha512-v1specupt');
+  assert.equal(v1.checksum, null);
+
+  // The top-level package wins over a nested copy
+  const v2 = lockfile.parsePackageLock(readFixture('package-lock-v2.json'), 'spec-up-t');
+  assert.equal(v2.version, '1.1.4');
+  assert.equal(v2.resolved, 'https://registry.npmjs.org/spec-up-t/-/spec-up-t-1.1.4.tgz');
+
+  const v3 = lockfile.parsePackageLock(readFixture('package-lock-v3.json'), 'spec-up');
+  assert.equal(v3.version, '0.10.7');
+  assert.equal(v3.integrity, 'sha512-v3specup');
+
+  assert.equal(lockfile.parsePackageLock(readFixture('package-lock-v3.json'), 'spec-up-t'), null);
+});
+
+test('reads a classic yarn.lock and prefers the entry for the declared range', () => {
+  const text = readFixture('yarn-classic.lock');
+
+  const entry = lockfile.parseYarnLock(text, 'spec-up-t', '^1.2.0');
+  assert.equal(entry.version, '1.2.3');
+  assert.equal(entry.integrity, 'sha512-classicnew');
+  assert.equal(entry.checksum, null);
+
+  assert.equal(lockfile.parseYarnLock(text, 'spec-up-t', '~1.2.1').version, '1.2.3');
+  assert.equal(lockfile.parseYarnLock(text, 'spec-up-t', '^1.0.0').version, '1.0.50');
+  assert.equal(lockfile.parseYarnLock(text, 'spec-up', '^1.0.0'), null);
+});
+
+test('reads a Yarn Berry lockfile and keeps its checksum apart from integrity', () => {
+  const entry = lockfile.parseYarnLock(readFixture('yarn-berry.lock'), 'spec-up-t', '^1.1.0');
+
+  assert.equal(entry.version, '1.1.9');
+  assert.equal(entry.integrity, null); // Berry checksums are not SRI hashes
+  assert.equal(entry.checksum, '10c0/berrychecksum');
+  assert.equal(entry.resolved, 'spec-up-t@npm:1.1.9');
+});
+
+test('reads pnpm-lock.yaml v5, v6 and v9', () => {
+  const v5 = lockfile.parsePnpmLock(readFixture('pnpm-v5.yaml'), 'spec-up-t');
+  assert.equal(v5.version, '1.0.84');
+  assert.equal(v5.integrity, 'sha512-pnpm5specupt');
+
+  // The version the project depends on, not another one in the lockfile
+  const v6 = lockfile.parsePnpmLock(readFixture('pnpm-v6.yaml'), 'spec-up-t');
+  assert.equal(v6.version, '1.1.2');
+  assert.equal(v6.integrity, 'sha512-pnpm6specupt');
+  assert.equal(v6.resolved, 'https://example.com/spec-up-t-1.1.2.tgz');
+
+  const v9 = lockfile.parsePnpmLock(readFixture('pnpm-v9.yaml'), 'spec-up-t');
+  assert.equal(v9.version, '1.3.1');
+  assert.equal(v9.integrity, 'sha512-pnpm9specupt');
+  assert.equal(v9.checksum, null);
+});
+
+test('finds the first lockfile that locks the package', async () => {
+  const files = {
+    'package-lock.json': readFixture('package-lock-v3.json'), // Locks spec-up, not spec-up-t
+    'yarn.lock': null,
+    'pnpm-lock.yaml': readFixture('pnpm-v9.yaml')
+  };
+  const read = [];
+  const readFile = async file => {
+    read.push(file);
+    return files[file];
+  };
+
+  const entry = await lockfile.findLockedVersion(readFile, 'spec-up-t', '^1.3.0');
+  assert.equal(entry.file, 'pnpm-lock.yaml');
+  assert.equal(entry.version, '1.3.1');
+  assert.deepEqual(read, lockfile.LOCKFILES);
+
+  assert.equal(await lockfile.findLockedVersion(async () => null, 'spec-up-t'), null);
+});
+
+test('reports which lockfile could not be parsed', async () => {
+  const readFile = async file => (file === 'package-lock.json' ? '{ not json' : null);
+
+  await assert.rejects(lockfile.findLockedVersion(readFile, 'spec-up-t'), /Could not parse package-lock\.json/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const pdfInspect = require('../src/pdfInspect');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'pdf', name));
+
+test('reads a classic PDF: pages, info dictionary, text layer and outline', () => {
+  const info = pdfInspect.inspectPdf(readFixture('simple.pdf'));
+
+  assert.equal(info.pdfVersion, '1.4');
+  assert.equal(info.pageCount, 2);
+  assert.equal(info.encrypted, false);
+  assert.equal(info.hasTextLayer, true);
+  assert.equal(info.hasOutline, true);
+  assert.equal(info.outlineEntries, 2);
+  assert.equal(info.metadata.title, 'Example (Draft) Spec');
+  assert.equal(info.metadata.author, 'Zoë Müller'); // UTF-16BE hex string
+  assert.equal(info.metadata.producer, 'Spec-Up-T édition'); // Octal escape in PDFDocEncoding
+  assert.equal(info.metadata.creationDate, '2024-01-02T02:04:05.000Z');
+  assert.equal(info.metadata.modDate, '2024-03-01T12:00:00.000Z');
+});
+
+test('reads objects from compressed object streams and metadata from XMP', () => {
+  const info = pdfInspect.inspectPdf(readFixture('object-stream.pdf'));
+
+  assert.equal(info.pdfVersion, '1.5');
+  assert.equal(info.pageCount, 1);
+  assert.equal(info.metadata.title, 'Scanned & Signed');
+  assert.equal(info.metadata.producer, 'ScanTool 2.0');
+  assert.equal(info.metadata.creationDate, '2023-05-06T07:08:09.000Z');
+  assert.equal(info.hasTextLayer, false); // No fonts, only an image
+});
+
+test('does not read the strings of an encrypted PDF', () => {
+  const info = pdfInspect.inspectPdf(readFixture('encrypted.pdf'));
+
+  assert.equal(info.encrypted, true);
+  assert.equal(info.metadata.title, undefined);
+  assert.equal(info.hasTextLayer, null);
+  assert.equal(info.pageCount, 1);
+});
+
+test('uses the trailer of the last revision of an incrementally updated PDF', () => {
+  const info = pdfInspect.inspectPdf(readFixture('incremental.pdf'));
+
+  assert.equal(info.metadata.title, 'Second Revision');
+});
+
+test('falls back to scanning the file when startxref is broken', () => {
+  const raw = readFixture('simple.pdf').toString('latin1').replace(/startxref\s+\d+/, 'startxref\n999999');
+  const info = pdfInspect.inspectPdf(Buffer.from(raw, 'latin1'));
+
+  assert.equal(info.pageCount, 2);
+  assert.equal(info.metadata.title, 'Example (Draft) Spec');
+});
+
+test('rejects files that are not PDFs or too large', () => {
+  assert.throws(() => pdfInspect.inspectPdf(Buffer.from('<!DOCTYPE html><html></html>')), /not a PDF/);
+
+  const oversized = Buffer.alloc(pdfInspect.MAX_PDF_SIZE + 1);
+  oversized.write('%PDF-1.7\n');
+  assert.throws(() => pdfInspect.inspectPdf(oversized), /larger than/);
+});
+
+test('does not inflate a content stream beyond the stream size limit', () => {
+  // 12 MB of spaces followed by text: decoding it would exceed the limit
+  const bomb = zlib.deflateSync(Buffer.concat([Buffer.alloc(12 * 1024 * 1024, ' '), Buffer.from('BT (x) Tj ET')]));
+  const raw = readFixture('simple.pdf').toString('latin1')
+    .replace(/5 0 obj\n<<\s*\/Filter \/FlateDecode \/Length \d+ >>\nstream\n[\s\S]*?\nendstream/, () =>
+      `5 0 obj\n<< /Filter /FlateDecode /Length ${bomb.length} >>\nstream\n${bomb.toString('latin1')}\nendstream`)
+    .replace(/\/Contents \[10 0 R\]/, '/Contents 5 0 R');
+  const info = pdfInspect.inspectPdf(Buffer.from(raw, 'latin1'));
+
+  assert.equal(info.hasTextLayer, false);
+});
+
+test('parses PDF dates with and without time zones', () => {
+  assert.equal(pdfInspect.parsePdfDate("D:20240102030405+01'00'").toISOString(), '2024-01-02T02:04:05.000Z');
+  assert.equal(pdfInspect.parsePdfDate('D:20240102').toISOString(), '2024-01-02T00:00:00.000Z');
+  assert.equal(pdfInspect.parsePdfDate('D:2024').toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(pdfInspect.parsePdfDate('garbage'), null);
+  assert.equal(pdfInspect.parsePdfDate('2024-01-02T03:04:05Z'), null); // ISO dates are left to Date
+  assert.equal(pdfInspect.parsePdfDate(null), null);
+});
+
+test('compares the PDF with the HTML spec', () => {
+  const inspection = pdfInspect.inspectPdf(readFixture('simple.pdf'));
+
+  const fresh = pdfInspect.compareWithSpec(inspection, { title: 'Example (Draft) Spec', lastModified: new Date('2024-03-01T18:00:00Z') });
+  assert.equal(fresh.titleMatches, true);
+  assert.equal(fresh.olderThanHtml, false);
+
+  const stale = pdfInspect.compareWithSpec(inspection, { title: 'Another Spec', lastModified: new Date('2024-06-01T00:00:00Z') });
+  assert.equal(stale.titleMatches, false);
+  assert.equal(stale.olderThanHtml, true);
+
+  assert.equal(pdfInspect.compareWithSpec(inspection, { title: null, lastModified: null }).titleMatches, null);
+});
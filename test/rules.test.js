@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../src/rules');
+
+/**
+ * Build a rules configuration that turns off every rule except the given ones
+ * @param {Object} enabled - Configuration of the rules to keep, by id
+ * @returns {Object} The "rules" section
+ */
+function only(enabled) {
+  return Object.fromEntries(rules.RULES.map(rule => [rule.id, enabled[rule.id] === undefined ? 'off' : enabled[rule.id]]));
+}
+
+/**
+ * Register a plugin rule whose evaluate returns or throws the given behaviour
+ * @param {string} id - Rule id
+ * @param {Function} evaluate - Rule evaluate function
+ * @param {string} [defaultSeverity] - Default severity
+ */
+function register(id, evaluate, defaultSeverity = 'warning') {
+  rules.registerRule({ id, description: `Test rule ${id}`, defaultSeverity, evaluate });
+}
+
+test('reports the status of the most severe finding', () => {
+  const [repository] = rules.runRules({ repo: null }, only({ repository: true }));
+  assert.equal(repository.status, 'warn');
+  assert.equal(repository.findings[0].severity, 'warning');
+  assert.equal(repository.findings[0].ruleId, 'repository');
+
+  const [passing] = rules.runRules({ repo: 'https://github.com/example/spec' }, only({ repository: true }));
+  assert.equal(passing.status, 'pass');
+  assert.deepEqual(passing.findings, []);
+});
+
+test('applies severity overrides and disabled rules from the configuration', () => {
+  const [asError] = rules.runRules({ repo: null }, only({ repository: 'error' }));
+  assert.equal(asError.severity, 'error');
+  assert.equal(asError.status, 'error');
+
+  const [asInfo] = rules.runRules({ repo: null }, only({ repository: { severity: 'info' } }));
+  assert.equal(asInfo.status, 'info');
+
+  assert.deepEqual(rules.runRules({ repo: null }, only({ repository: false })), []);
+  assert.deepEqual(rules.runRules({ repo: null }, only({ repository: { enabled: false } })), []);
+});
+
+test('passes rule options, merged with the defaults, to evaluate', () => {
+  const result = { lastModified: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) };
+
+  assert.equal(rules.runRules(result, only({ 'last-modified': true }))[0].status, 'pass');
+  const [stale] = rules.runRules(result, only({ 'last-modified': { options: { maxAgeDays: 5 } } }));
+  assert.equal(stale.status, 'warn');
+  assert.match(stale.message, /limit 5/);
+});
+
+test('leaves out rules that do not apply', () => {
+  assert.deepEqual(rules.runRules({ metadata: null }, only({ metadata: true })), []);
+});
+
+test('turns a throwing plugin rule into an error finding, whatever it throws', () => {
+  register('test-throws-error', () => { throw new Error('broken'); });
+  register('test-throws-string', () => { throw 'plain string'; });
+  register('test-throws-undefined', () => { throw undefined; });
+
+  const results = rules.runRules({}, only({ 'test-throws-error': true, 'test-throws-string': true, 'test-throws-undefined': true }));
+  assert.deepEqual(results.map(result => [result.status, result.message]), [
+    ['error', 'Rule failed: broken'],
+    ['error', 'Rule failed: plain string'],
+    ['error', 'Rule failed: undefined']
+  ]);
+});
+
+test('rejects asynchronous and malformed plugin outcomes', () => {
+  register('test-async', async () => ({ message: 'too late', findings: [] }));
+  register('test-rejects', () => Promise.reject(new Error('never awaited')));
+  register('test-bad-findings', () => ({ message: 'bad', findings: 'none' }));
+  register('test-not-object', () => 'fine');
+
+  const results = rules.runRules({}, only({ 'test-async': true, 'test-rejects': true, 'test-bad-findings': true, 'test-not-object': true }));
+  assert.deepEqual(results.map(result => result.status), ['error', 'error', 'error', 'error']);
+  assert.match(results[0].message, /must be synchronous/);
+  assert.match(results[2].message, /findings must be an array/);
+});
+
+test('validates rule registrations and configurations', () => {
+  assert.throws(() => rules.registerRule({ id: 'repository', defaultSeverity: 'warning', evaluate() {} }), /already registered/);
+  assert.throws(() => rules.registerRule({ id: 'test-no-evaluate', defaultSeverity: 'warning' }), /evaluate function/);
+  assert.throws(() => rules.registerRule({ id: 'test-bad-severity', defaultSeverity: 'fatal', evaluate() {} }), /defaultSeverity/);
+
+  assert.throws(() => rules.resolveRuleSettings({ 'no-such-rule': 'off' }), /Unknown rule "no-such-rule"/);
+  assert.throws(() => rules.resolveRuleSettings({ repository: 'fatal' }), /severity must be one of/);
+  assert.throws(() => rules.resolveRuleSettings({ repository: 3 }), /must be "off", a severity or an object/);
+  assert.throws(() => rules.resolveRuleSettings([]), /rules must be an object/);
+});
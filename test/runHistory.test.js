@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonReporter = require('../src/jsonReporter');
+const runHistory = require('../src/runHistory');
+
+/**
+ * Build a minimal JSON report
+ * @param {Object} fields - Fields to set on top of the defaults
+ * @returns {Object} Report
+ */
+function report(fields = {}) {
+  return {
+    schemaVersion: jsonReporter.SCHEMA_VERSION,
+    url: 'https://example.com/spec',
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    pdf: { exists: true },
+    buildTool: { name: 'spec-up-t', version: '^1.0.0', installedVersion: '1.0.5' },
+    versionHistory: { versions: ['v1'] },
+    links: { broken: [] },
+    checks: [],
+    ...fields
+  };
+}
+
+const check = (id, status, message = `${id} is ${status}`) => ({ id, status, message });
+const byId = (diff, id) => diff.changes.filter(change => change.id === id);
+
+test('finds no changes between identical runs', () => {
+  const diff = runHistory.diffRuns(report(), report());
+
+  assert.deepEqual(diff.changes, []);
+  assert.deepEqual(diff.summary, { regressions: 0, improvements: 0, changes: 0 });
+});
+
+test('ranks check statuses, with info counting as passing', () => {
+  const before = report({ checks: [check('pdf', 'pass'), check('links', 'warn'), check('structure', 'pass'), check('metadata', 'pass')] });
+  const after = report({ checks: [check('pdf', 'error'), check('links', 'pass'), check('structure', 'info'), check('metadata', 'pass')] });
+  const diff = runHistory.diffRuns(before, after);
+
+  assert.equal(byId(diff, 'check:pdf')[0].type, runHistory.CHANGE_TYPE.REGRESSION);
+  assert.equal(byId(diff, 'check:links')[0].type, runHistory.CHANGE_TYPE.IMPROVEMENT);
+  assert.deepEqual(byId(diff, 'check:structure'), []);
+  assert.deepEqual(byId(diff, 'check:metadata'), []);
+  assert.deepEqual(diff.summary, { regressions: 1, improvements: 1, changes: 0 });
+});
+
+test('reports checks the earlier run did not have as changes, not regressions', () => {
+  const before = report({ checks: [check('pdf', 'pass')] });
+  const after = report({ checks: [check('pdf', 'pass'), check('accessibility', 'warn'), check('plugin:x', 'error'), check('terminology', 'pass')] });
+  const diff = runHistory.diffRuns(before, after);
+
+  assert.deepEqual(diff.changes.map(change => [change.id, change.type]), [
+    ['check:accessibility', runHistory.CHANGE_TYPE.CHANGE],
+    ['check:plugin:x', runHistory.CHANGE_TYPE.CHANGE]
+  ]);
+  assert.equal(diff.summary.regressions, 0);
+});
+
+test('compares the PDF, build tool, archived versions and broken links', () => {
+  const before = report({ links: { broken: [{ href: 'https://a.example' }, { href: 'https://b.example' }] } });
+  const after = report({
+    pdf: { exists: false },
+    buildTool: { name: 'spec-up-t', version: '^1.1.0', installedVersion: '1.1.2' },
+    versionHistory: { versions: ['v2'] },
+    links: { broken: [{ href: 'https://b.example' }, { href: 'https://c.example' }] }
+  });
+  const diff = runHistory.diffRuns(before, after);
+
+  assert.equal(byId(diff, 'pdf')[0].type, runHistory.CHANGE_TYPE.REGRESSION);
+  assert.equal(byId(diff, 'build-tool')[0].type, runHistory.CHANGE_TYPE.CHANGE);
+  assert.equal(byId(diff, 'build-tool-installed')[0].after, '1.1.2');
+  assert.deepEqual(byId(diff, 'version-history').map(change => change.type), [runHistory.CHANGE_TYPE.REGRESSION, runHistory.CHANGE_TYPE.CHANGE]);
+  assert.deepEqual(byId(diff, 'links').map(change => [change.type, change.after || change.before]), [
+    [runHistory.CHANGE_TYPE.REGRESSION, ['https://c.example']],
+    [runHistory.CHANGE_TYPE.IMPROVEMENT, ['https://a.example']]
+  ]);
+});
+
+test('does not report a lockfile that appears as an installed version change', () => {
+  const before = report({ buildTool: { name: 'spec-up-t', version: '^1.0.0', installedVersion: null } });
+
+  assert.deepEqual(byId(runHistory.diffRuns(before, report()), 'build-tool-installed'), []);
+});
+
+test('finds the newest previous run of the same URL and schema major version', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'specalyzer-history-'));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const save = (name, content) => fs.writeFileSync(path.join(dir, 'reports', name), JSON.stringify(content));
+  fs.mkdirSync(path.join(dir, 'reports'));
+  save('example_com_report_2024-01-01T00-00-00.json', report({ generatedAt: 'oldest' }));
+  save('example_com_report_2024-02-01T00-00-00.json', report({ generatedAt: 'newest' }));
+  save('example_com_report_2024-03-01T00-00-00.json', report({ url: 'https://example.com/other' }));
+  save('example_com_report_2024-04-01T00-00-00.json', report({ schemaVersion: '1.0.0' }));
+  save('example_com_report_extra_2024-05-01T00-00-00.json', report({ generatedAt: 'other prefix' }));
+
+  assert.equal(runHistory.findPreviousRun('https://example.com/spec', 'example_com_report').generatedAt, 'newest');
+  assert.equal(runHistory.findPreviousRun('https://example.org/', 'example_org_report'), null);
+});
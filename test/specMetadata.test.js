@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const specMetadata = require('../src/specMetadata');
+
+const parse = html => new JSDOM(html).window.document;
+
+test('skips <meta> tags with an empty name', () => {
+  const document = parse(`
+    <html><head>
+      <title>Example Spec</title>
+      <meta name="" content="no name">
+      <meta name="" property="og:title" content="Example Spec">
+      <meta name="description" content="An example">
+    </head><body><h1>Example Spec</h1></body></html>
+  `);
+  const metadata = specMetadata.extractMetadata(document, null);
+
+  assert.equal(metadata.document.description, 'An example');
+  assert.deepEqual(metadata.document.meta, [{ name: 'og:title', content: 'Example Spec' }]);
+});
+
+test('flags titles that differ, including titles without letters or digits', () => {
+  const document = parse('<html><head><title>–</title></head><body><h1>Example Spec</h1></body></html>');
+
+  const metadata = specMetadata.extractMetadata(document, { title: 'Example Spec' });
+  assert.deepEqual(metadata.inconsistencies.map(issue => issue.field), ['title']);
+
+  const punctuation = specMetadata.extractMetadata(parse('<title>Example Spec – Site</title><h1>Example</h1>'), { title: '***' });
+  assert.deepEqual(punctuation.inconsistencies.map(issue => issue.field), ['title', 'heading']);
+});
+
+test('accepts a <title> with a site name around the specConfig title', () => {
+  const document = parse('<html><head><title>Example Spec | Trust over IP</title></head><body><h1>Example Spec</h1></body></html>');
+
+  assert.deepEqual(specMetadata.extractMetadata(document, { title: 'Example Spec' }).inconsistencies, []);
+});